@@ -0,0 +1,509 @@
+#!/usr/bin/env node
+/**
+ * 로또 분석 명령줄 도구
+ * 브라우저 없이 LottoAnalyzer 분석을 실행하여 표 또는 JSON으로 출력
+ *
+ * 사용법: lotto <명령> [옵션]
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { LottoAnalyzer, LottoCsv, LottoTicketChecker, LottoOddsCalculator, LottoSimulator, LottoStrategyRegistry } = require('../index.js');
+
+const DEFAULT_DATA_FILE = path.join(__dirname, '..', 'lotto_history.json');
+
+const HELP = `사용법: lotto <명령> [옵션]
+
+명령:
+  summary                         데이터 요약
+  frequency                       번호별 출현 빈도 분석
+  pattern                         홀짝/고저 패턴 분석
+  cycle                           출현 주기 분석
+  bonus                           보너스 번호 분석
+  transition                      연속 회차 이월수/이웃수/전이 확률 분석
+  prize                           판매액/1등 당첨금 분석
+  recommend                       추천 번호 생성
+  strategies                      추천 전략과 파라미터 목록
+  check <번호6개> [...]           티켓 당첨 확인 (예: check 1,7,14,21,28,35)
+  odds <번호6개> [...]            등수별 당첨 확률과 1,000원당 기대값
+  simulate                        공정 추첨 가상 이력과 실제 이력 비교
+
+옵션:
+  -d, --data <파일>               데이터 파일 (.json 또는 .csv, 기본: lotto_history.json)
+  -s, --strategy <전략>           추천 전략 (${LottoStrategyRegistry.getDefault().list().map(strategy => strategy.id).join(', ')})
+      --params <키=값,...>        추천 전략 파라미터 (예: --params oddCount=4)
+  -n, --count <개수>              추천 조합 수 (기본: 5)
+  -r, --recent <회차>             최근 N회차 트렌드 반영 (기본: 0 = 전체)
+      --draw <회차>               확인할 회차 (기본: 최신 회차)
+      --from <회차> --to <회차>   분석/확인할 회차 범위
+      --from-date <날짜>          분석 시작일 (YYYY-MM-DD)
+      --to-date <날짜>            분석 종료일 (YYYY-MM-DD)
+      --year <연도>               해당 연도만 분석
+      --bonus                     빈도/패턴/주기 분석에 보너스 번호 포함
+      --runs <횟수>               시뮬레이션 가상 이력 수 (기본: 1000)
+      --seed <시드>               추천/시뮬레이션 난수 시드 (같은 시드면 같은 결과)
+      --popularity <방식>         추천 인기 조합 회피 (none, rank, filter)
+      --json                      JSON으로 출력
+      --csv                       CSV로 출력 (frequency, cycle, recommend)
+  -h, --help                      도움말
+`;
+
+/**
+ * 명령줄 인자 파싱
+ * @param {Array} argv - process.argv.slice(2)
+ */
+function parseArgs(argv) {
+    const aliases = { d: 'data', s: 'strategy', n: 'count', r: 'recent', h: 'help' };
+    const flags = new Set(['json', 'csv', 'help', 'bonus']);
+    const args = { command: null, positionals: [], options: {} };
+
+    for (let i = 0; i < argv.length; i++) {
+        const token = argv[i];
+
+        if (token.startsWith('-')) {
+            const isLong = token.startsWith('--');
+            let [key, value] = token.replace(/^--?/, '').split('=');
+            if (!isLong) {
+                key = aliases[key] || key;
+            }
+
+            if (flags.has(key)) {
+                args.options[key] = true;
+            } else {
+                if (value === undefined) {
+                    value = argv[++i];
+                }
+                if (value === undefined) {
+                    throw new Error(`옵션 '${token}'에 값이 필요합니다.`);
+                }
+                args.options[key] = value;
+            }
+        } else if (args.command === null) {
+            args.command = token;
+        } else {
+            args.positionals.push(token);
+        }
+    }
+
+    return args;
+}
+
+/**
+ * 데이터 파일 읽기
+ * @param {string} file - 파일 경로
+ */
+function readHistory(file) {
+    if (!fs.existsSync(file)) {
+        throw new Error(`데이터 파일을 찾을 수 없습니다: ${file}`);
+    }
+
+    const text = fs.readFileSync(file, 'utf8');
+    if (path.extname(file).toLowerCase() === '.csv') {
+        return LottoCsv.parse(text);
+    }
+    return JSON.parse(text);
+}
+
+/**
+ * 터미널 표시 폭 계산 (한글 등 전각 문자는 2칸)
+ * @param {string} text - 문자열
+ */
+function displayWidth(text) {
+    let width = 0;
+    for (const char of String(text)) {
+        const code = char.codePointAt(0);
+        const isWide = (code >= 0x1100 && code <= 0x115F) ||
+            (code >= 0x2E80 && code <= 0xA4CF) ||
+            (code >= 0xAC00 && code <= 0xD7A3) ||
+            (code >= 0xF900 && code <= 0xFAFF) ||
+            (code >= 0xFF00 && code <= 0xFF60);
+        width += isWide ? 2 : 1;
+    }
+    return width;
+}
+
+/**
+ * 표 출력
+ * @param {string} title - 표 제목
+ * @param {Array} headers - 열 제목
+ * @param {Array} rows - 행 배열
+ */
+function printTable(title, headers, rows) {
+    const widths = headers.map((header, col) =>
+        Math.max(displayWidth(header), ...rows.map(row => displayWidth(row[col])))
+    );
+    const pad = (value, col) => String(value) + ' '.repeat(widths[col] - displayWidth(value));
+    const line = cells => cells.map(pad).join('  ').trimEnd();
+
+    console.log(`\n${title}`);
+    console.log(line(headers));
+    console.log(widths.map(w => '-'.repeat(w)).join('  '));
+    rows.forEach(row => console.log(line(row)));
+}
+
+/**
+ * 티켓 인자 파싱 ("1,7,14,21,28,35" 또는 공백 구분 6개)
+ * @param {Array} positionals - 위치 인자
+ */
+function parseTicketArgs(positionals) {
+    const joined = positionals.join(' ');
+    const chunks = joined.includes(',') ? positionals : [joined];
+    return chunks.map(chunk => chunk.split(/[\s,]+/).filter(s => s !== '').map(Number));
+}
+
+/**
+ * 분석 구간 옵션 파싱 (--from/--to, --from-date/--to-date, --year)
+ * @param {Object} options - 명령줄 옵션
+ * @returns {Object|null} 분석 구간 (지정하지 않으면 null)
+ */
+function parseRange(options) {
+    const range = {
+        fromDraw: options.from ? parseInt(options.from) : undefined,
+        toDraw: options.to ? parseInt(options.to) : undefined,
+        fromDate: options['from-date'],
+        toDate: options['to-date'],
+        year: options.year
+    };
+    return Object.values(range).some(value => value !== undefined) ? range : null;
+}
+
+/**
+ * 전략 파라미터 옵션 파싱 ("oddCount=4,offset=1")
+ * @param {string} text - --params 값
+ * @returns {Object} 파라미터 (값 검증은 레지스트리에서 한다)
+ */
+function parseStrategyParams(text) {
+    const params = {};
+    if (!text) {
+        return params;
+    }
+
+    text.split(',').filter(pair => pair.trim() !== '').forEach(pair => {
+        const [key, value] = pair.split('=').map(part => part.trim());
+        if (!key || value === undefined) {
+            throw new Error(`전략 파라미터는 키=값 형식이어야 합니다: ${pair}`);
+        }
+        params[key] = value;
+    });
+    return params;
+}
+
+/**
+ * 분석 구간 설명 출력
+ * @param {Object} info - 분석 결과의 range 정보
+ */
+function printRange(info) {
+    console.log(`\n분석 구간: ${info.fromDraw}~${info.toDraw}회 (${info.startDate} ~ ${info.endDate}, ${info.totalDraws}회차)`);
+}
+
+/**
+ * 당첨 확률/기대값 보고서 출력
+ * @param {Object} report - LottoOddsCalculator.evaluate 결과
+ */
+function printOdds(report) {
+    const set = report.set;
+    printTable(`등수별 당첨 확률 (${set.count}게임, 서로 다른 번호 ${set.uniqueNumbers}개)`,
+        ['등수', '1게임 확률', '평균 당첨금(원)', '최고 등수 확률'],
+        report.perTicket.tiers.map((tier, index) => [
+            `${tier.rank}등`,
+            `1/${Math.round(tier.odds).toLocaleString()}`,
+            Math.round(tier.averagePrize).toLocaleString(),
+            `${(set.bestRank[index].probability * 100).toFixed(6)}%`
+        ]));
+    console.log(`\n1,000원당 기대 당첨금: ${report.perTicket.expectedValuePer1000.toFixed(1)}원`);
+    console.log(`적어도 한 게임 당첨: ${(set.winProbability * 100).toFixed(4)}% (각 게임이 독립이라고 가정하면 ${(set.independentWinProbability * 100).toFixed(4)}%)`);
+}
+
+const commands = {
+    summary(analyzer) {
+        const summary = analyzer.getDataSummary();
+        const latest = analyzer.data[analyzer.data.length - 1];
+        const latestNumbers = [latest.num1, latest.num2, latest.num3, latest.num4, latest.num5, latest.num6];
+        return {
+            result: Object.assign({}, summary, {
+                latestNumbers: analyzer.sortNumbers(latestNumbers),
+                latestBonus: latest.bonus
+            }),
+            print: (result) => {
+                printTable('데이터 요약', ['항목', '값'], [
+                    ['총 회차', result.totalDraws],
+                    ['기간', `${result.startDate} ~ ${result.endDate}`],
+                    ['최신 회차', result.latestDraw],
+                    ['최신 당첨번호', `${result.latestNumbers.join(' ')} + ${result.latestBonus}`],
+                    ['누적 판매액', `${Math.round(result.totalSales / 1e8).toLocaleString()}억원`],
+                    ['회차 평균 판매액', `${Math.round(result.averageSales / 1e8).toLocaleString()}억원`],
+                    ['1등 당첨자 없는 회차', `${result.zeroWinnerDraws}회`]
+                ]);
+            }
+        };
+    },
+
+    frequency(analyzer, args) {
+        return {
+            csvType: 'frequency',
+            result: analyzer.frequencyAnalysis(parseRange(args.options), { includeBonus: Boolean(args.options.bonus) }),
+            print: (result) => {
+                printRange(result.range);
+                const toRow = ([num, count], index) => [index + 1, num, count, `${(count / result.totalDraws * 100).toFixed(1)}%`];
+                printTable('Hot Numbers (TOP 10)', ['순위', '번호', '출현', '비율'], result.hotNumbers.map(toRow));
+                printTable('Cold Numbers (TOP 10)', ['순위', '번호', '출현', '비율'], result.coldNumbers.map(toRow));
+                console.log(`\n기대 출현 횟수: ${result.expectedFrequency.toFixed(1)}회 (${result.totalDraws}회차)`);
+            }
+        };
+    },
+
+    pattern(analyzer, args) {
+        return {
+            result: analyzer.patternAnalysis(parseRange(args.options), { includeBonus: Boolean(args.options.bonus) }),
+            print: (result) => {
+                printRange(result.range);
+                const toRow = ([pattern, count]) => [pattern, count, `${(count / result.totalDraws * 100).toFixed(1)}%`];
+                printTable('홀짝 패턴', ['홀:짝', '출현', '비율'], result.oddEven.map(toRow));
+                printTable('고저 패턴', ['저:고', '출현', '비율'], result.highLow.map(toRow));
+            }
+        };
+    },
+
+    cycle(analyzer, args) {
+        return {
+            csvType: 'cycle',
+            result: analyzer.cycleAnalysis(parseRange(args.options), { includeBonus: Boolean(args.options.bonus) }),
+            print: (result) => {
+                printRange(result.range);
+                printTable('평균 출현 주기가 짧은 번호', ['번호', '평균 주기'],
+                    result.topFrequent.map(([num, cycle]) => [num, cycle.toFixed(1)]));
+                printTable('가장 오래 미출현 번호', ['번호', '미출현', '평균 주기', '중앙값', '최대', '백분위', '위험률'],
+                    result.topGap.map(([num, gap]) => {
+                        const stats = result.gapStats[num];
+                        return [num, gap, (result.averageCycles[num] || 0).toFixed(1), stats.count > 0 ? stats.median : '-', stats.count > 0 ? stats.max : '-',
+                            stats.percentile === null ? '-' : `${stats.percentile.toFixed(0)}%`,
+                            stats.hazard === null ? '-' : `${(stats.hazard * 100).toFixed(1)}% (${stats.hazardTrials})`];
+                    }));
+                const pooled = result.gapDistribution;
+                const geometric = result.geometric;
+                if (pooled) {
+                    console.log(`\n출현 간격: 평균 ${pooled.mean.toFixed(2)}, 중앙값 ${pooled.median}, 표준편차 ${pooled.stdDev.toFixed(2)}, 최대 ${pooled.max}`);
+                    console.log(`기하분포(p = ${(geometric.probability * 100).toFixed(2)}%): 평균 ${geometric.mean.toFixed(2)}, 중앙값 ${geometric.median}, 표준편차 ${geometric.stdDev.toFixed(2)}, 적합도 p = ${pooled.chiSquare.pValue.toFixed(4)}`);
+                }
+            }
+        };
+    },
+
+    bonus(analyzer, args) {
+        return {
+            result: analyzer.bonusAnalysis(parseRange(args.options)),
+            print: (result) => {
+                printRange(result.range);
+                printTable('보너스 번호 빈도 (TOP 10)', ['순위', '번호', '출현'],
+                    result.hotNumbers.map(([num, count], index) => [index + 1, num, count]));
+                printTable('보너스 번호 미출현 (TOP 10)', ['번호', '미출현', '평균 주기'],
+                    result.topGap.map(([num, gap]) => [num, gap, (result.averageCycles[num] || 0).toFixed(1)]));
+                const next = result.nextDrawMain;
+                console.log(`\n기대 출현 횟수: ${result.expectedFrequency.toFixed(1)}회, 균일성 p = ${result.chiSquare.pValue.toFixed(4)}`);
+                console.log(`보너스 → 다음 회차 당첨번호: ${next.count}/${next.trials}회 (${(next.rate * 100).toFixed(1)}%, 기대 ${(next.expectedRate * 100).toFixed(1)}%, p = ${next.pValue.toFixed(4)})`);
+            }
+        };
+    },
+
+    transition(analyzer, args) {
+        return {
+            result: analyzer.transitionAnalysis(parseRange(args.options)),
+            print: (result) => {
+                const rows = (comparison) => comparison.histogram
+                    .filter(bin => bin.observed > 0 || bin.expected >= 0.5)
+                    .map(bin => [bin.label, bin.observed, bin.expected.toFixed(1)]);
+                printRange(result.range);
+                printTable('직전 회차와 겹친 번호 개수 (이월수)', ['개수', '관측', '독립 기대'], rows(result.overlap));
+                printTable('직전 회차 번호의 ±1 이웃수 개수', ['개수', '관측', '독립 기대'], rows(result.adjacent));
+                printTable('자주 이어진 전이 (TOP 10)', ['직전', '다음', '출현/기회', 'P(j|i)', 'z', 'BH p'],
+                    result.strongestTransitions.map(item => [item.from, item.to, `${item.count}/${item.trials}`,
+                        `${(item.probability * 100).toFixed(1)}%`, item.zScore.toFixed(2), item.adjustedPValue.toFixed(4)]));
+                console.log(`\n이월수 평균: ${result.overlap.mean.toFixed(3)}개 (기대 ${result.overlap.expectedMean.toFixed(3)}개), 분포 p = ${result.overlap.chiSquare.pValue.toFixed(4)}`);
+                console.log(`이웃수 평균: ${result.adjacent.mean.toFixed(3)}개 (기대 ${result.adjacent.expectedMean.toFixed(3)}개), 분포 p = ${result.adjacent.chiSquare.pValue.toFixed(4)}`);
+                console.log(`P(j|i) 독립 기대 ${(result.expectedProbability * 100).toFixed(2)}%, BH 보정 후 유의한 전이: ${result.significantTransitions.length}/${result.testedTransitions}개`);
+            }
+        };
+    },
+
+    prize(analyzer, args) {
+        return {
+            result: analyzer.prizeAnalysis(parseRange(args.options)),
+            print: (result) => {
+                const eok = (amount) => `${Math.round(amount / 1e8).toLocaleString()}억원`;
+                printRange(result.range);
+                printTable('연도별 판매액/1등 당첨금', ['연도', '회차', '평균 판매액', '1등 평균 당첨금', '당첨자 없음'],
+                    result.yearly.map(year => [year.year, year.draws, eok(year.averageSales), eok(year.averageFirstPrize), year.zeroWinnerDraws]));
+                printTable('1등 당첨자 수 분포', ['당첨자', '회차'], result.winnerDistribution);
+                printTable('인기 패턴과 당첨자/기대 비율', ['패턴', '회차', '해당', '그 외', '상관계수'],
+                    result.patterns.map(p => [p.label, p.draws, p.averageRatio === null ? '-' : p.averageRatio.toFixed(2),
+                        p.otherAverageRatio === null ? '-' : p.otherAverageRatio.toFixed(2), p.correlation.toFixed(3)]));
+                console.log(`\n1등 당첨자 없는 회차: ${result.zeroWinnerDraws.length}회 (무작위 선택 기대 ${result.expectedZeroWinnerDraws.toFixed(1)}회)`);
+            }
+        };
+    },
+
+    recommend(analyzer, args) {
+        const options = args.options;
+        const count = options.count !== undefined ? Number(options.count) : 5;
+        if (!Number.isInteger(count) || count < 1) {
+            throw new Error(`추천 조합 수(--count)는 1 이상의 정수여야 합니다: ${options.count}\n예: lotto recommend -n 5`);
+        }
+
+        return {
+            csvType: 'recommendations',
+            result: analyzer.generateRecommendations({
+                numRecommendations: count,
+                strategy: options.strategy || 'mixed',
+                params: parseStrategyParams(options.params),
+                recentPeriod: parseInt(options.recent || 0),
+                range: parseRange(options),
+                seed: options.seed !== undefined ? options.seed : null,
+                popularity: options.popularity || 'none'
+            }),
+            print: (result) => {
+                printTable('추천 번호', ['#', '전략', '번호', '인기 위험', '시드'],
+                    result.map((rec, index) => [index + 1, rec.name, rec.numbers.join(' '), `${rec.popularity.score} (${rec.popularity.label})`, rec.seed]));
+                const weighted = result.filter(rec => rec.details && rec.details.weights);
+                if (weighted.length > 0) {
+                    printTable('번호별 선택 가중치', ['전략', '가중치'],
+                        weighted.map(rec => [rec.name, rec.details.weights.map(item =>
+                            `${item.number}:${item.weight === null ? '점수 순' : `${(item.weight * 100).toFixed(1)}%`}`).join(' ')]));
+                }
+                printOdds(new LottoOddsCalculator(analyzer).evaluate(result.map(rec => rec.numbers)));
+            }
+        };
+    },
+
+    strategies() {
+        return {
+            result: LottoStrategyRegistry.getDefault().list(),
+            print: (result) => {
+                printTable('추천 전략', ['ID', '이름', '설명'],
+                    result.map(strategy => [strategy.id, strategy.label, strategy.description]));
+                printTable('전략 파라미터', ['전략', '키', '설명', '기본값', '범위'],
+                    result.flatMap(strategy => strategy.params.map(param => [
+                        strategy.id,
+                        param.key,
+                        param.label || '',
+                        param.default,
+                        param.type === 'select' ? param.options.map(option => option.value).join('/') :
+                            param.type === 'boolean' ? 'true/false' : `${param.min} ~ ${param.max}`
+                    ])));
+            }
+        };
+    },
+
+    check(analyzer, args) {
+        const tickets = parseTicketArgs(args.positionals);
+        if (tickets.length === 0) {
+            throw new Error('확인할 번호를 입력해주세요. 예: lotto check 1,7,14,21,28,35');
+        }
+
+        const checker = new LottoTicketChecker(analyzer);
+        const options = args.options;
+        return {
+            result: checker.checkTickets(tickets, {
+                drawNo: options.draw ? parseInt(options.draw) : undefined,
+                fromDraw: options.from ? parseInt(options.from) : undefined,
+                toDraw: options.to ? parseInt(options.to) : undefined
+            }),
+            print: (result) => {
+                const rows = [];
+                result.results.forEach(draw => {
+                    draw.tickets.forEach(ticket => {
+                        if (result.results.length === 1 || ticket.rank > 0) {
+                            rows.push([
+                                draw.drawNo,
+                                ticket.numbers.join(' '),
+                                ticket.matched.join(' ') || '-',
+                                ticket.bonusMatch ? 'O' : '',
+                                ticket.rank > 0 ? `${ticket.rank}등` : '낙첨',
+                                ticket.prize.toLocaleString()
+                            ]);
+                        }
+                    });
+                });
+                printTable(`당첨 확인 (${result.fromDraw}회 ~ ${result.toDraw}회)`,
+                    ['회차', '번호', '일치', '보너스', '등수', '당첨금(원)'], rows);
+                console.log(`\n예상 당첨금 합계: ${result.totalPrize.toLocaleString()}원 (2·3등은 추정치)`);
+            }
+        };
+    },
+
+    odds(analyzer, args) {
+        const tickets = parseTicketArgs(args.positionals);
+        if (tickets.length === 0) {
+            throw new Error('계산할 번호를 입력해주세요. 예: lotto odds 1,7,14,21,28,35');
+        }
+
+        return {
+            result: new LottoOddsCalculator(analyzer).evaluate(tickets),
+            print: printOdds
+        };
+    },
+
+    simulate(analyzer, args) {
+        const options = args.options;
+        return {
+            result: new LottoSimulator(analyzer).run({
+                simulations: options.runs ? parseInt(options.runs) : undefined,
+                seed: options.seed !== undefined ? options.seed : null,
+                range: parseRange(options)
+            }),
+            print: (result) => {
+                printRange(result.range);
+                printTable(`공정 추첨 시뮬레이션 (가상 이력 ${result.simulations}개)`, ['지표', '실제', '95% 구간', '백분위', 'p-값'],
+                    result.metrics.map(metric => [
+                        metric.label + (metric.unusual ? ' *' : ''),
+                        metric.actualText,
+                        `${metric.lowerText} ~ ${metric.upperText}`,
+                        `${metric.percentile.toFixed(1)}%`,
+                        metric.pValue.toFixed(3)
+                    ]));
+                console.log(`\n시드: ${result.seed} (* 표시는 가상 이력 95% 구간 밖)`);
+            }
+        };
+    }
+};
+
+function main() {
+    const args = parseArgs(process.argv.slice(2));
+
+    if (args.options.help || !args.command) {
+        console.log(HELP);
+        return;
+    }
+
+    const command = commands[args.command];
+    if (!command) {
+        throw new Error(`알 수 없는 명령입니다: ${args.command}\n\n${HELP}`);
+    }
+
+    const analyzer = new LottoAnalyzer();
+    // 표준 출력은 결과 전용으로 사용
+    analyzer.logger = {
+        info: () => {},
+        warn: (msg) => console.error(`[WARN] ${msg}`),
+        error: (msg) => console.error(`[ERROR] ${msg}`)
+    };
+    analyzer.loadData(readHistory(path.resolve(args.options.data || DEFAULT_DATA_FILE)));
+
+    const { result, print, csvType } = command(analyzer, args);
+    if (args.options.csv) {
+        if (!csvType) {
+            throw new Error(`'${args.command}' 명령은 CSV 출력을 지원하지 않습니다.`);
+        }
+        process.stdout.write(LottoCsv.exportResult(csvType, result, { bom: false, lineEnding: '\n' }));
+    } else if (args.options.json) {
+        console.log(JSON.stringify(result, null, 2));
+    } else {
+        print(result);
+    }
+}
+
+try {
+    main();
+} catch (error) {
+    console.error(`오류: ${error.message}`);
+    process.exitCode = 1;
+}
@@ -0,0 +1,32 @@
+/**
+ * 로또 분석 라이브러리 Node.js 진입점
+ * 브라우저의 <script> 로드 순서와 같은 순서로 모듈을 불러와 내보낸다.
+ */
+
+const LottoStats = require('./lotto_stats.js');
+const LottoRandom = require('./lotto_random.js');
+const LottoPopularityScorer = require('./lotto_popularity.js');
+const LottoStrategyRegistry = require('./lotto_strategies.js');
+const LottoAnalyzer = require('./lotto_analysis.js');
+const LottoCsv = require('./lotto_csv.js');
+const LottoTicketChecker = require('./lotto_ticket_checker.js');
+const LottoWallet = require('./lotto_wallet.js');
+const LottoBacktester = require('./lotto_backtest.js');
+const LottoCombinationGenerator = require('./lotto_generator.js');
+const LottoOddsCalculator = require('./lotto_odds.js');
+const LottoSimulator = require('./lotto_simulation.js');
+
+module.exports = {
+    LottoStats,
+    LottoRandom,
+    LottoPopularityScorer,
+    LottoStrategyRegistry,
+    LottoAnalyzer,
+    LottoCsv,
+    LottoTicketChecker,
+    LottoWallet,
+    LottoBacktester,
+    LottoCombinationGenerator,
+    LottoOddsCalculator,
+    LottoSimulator
+};
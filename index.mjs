@@ -0,0 +1,22 @@
+/**
+ * 로또 분석 라이브러리 ES 모듈 진입점
+ */
+
+import lotto from './index.js';
+
+export const {
+    LottoStats,
+    LottoRandom,
+    LottoPopularityScorer,
+    LottoStrategyRegistry,
+    LottoAnalyzer,
+    LottoCsv,
+    LottoTicketChecker,
+    LottoWallet,
+    LottoBacktester,
+    LottoCombinationGenerator,
+    LottoOddsCalculator,
+    LottoSimulator
+} = lotto;
+
+export default lotto;
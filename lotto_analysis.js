@@ -4,6 +4,11 @@
  * 리팩토링: 일관된 에러 처리, 코드 구조 개선
  */
 
+// 의존 모듈: 브라우저·워커에서는 먼저 로드된 전역 클래스를, Node.js에서는 require로 불러온 모듈을 쓴다.
+const analysisDeps = typeof module !== 'undefined' && module.exports
+    ? { LottoStats: require('./lotto_stats.js'), LottoRandom: require('./lotto_random.js'), LottoPopularityScorer: require('./lotto_popularity.js'), LottoStrategyRegistry: require('./lotto_strategies.js') }
+    : { LottoStats, LottoRandom, LottoPopularityScorer, LottoStrategyRegistry };
+
 /**
  * 로또 분석기 클래스
  * 리팩토링: 에러 처리 및 유효성 검사 추가
@@ -13,6 +18,8 @@ class LottoAnalyzer {
         this.data = [];
         this.analysisResults = {};
         this.isValidating = true; // 데이터 유효성 검사 플래그
+        this.random = new analysisDeps.LottoRandom(); // 시드를 지정하지 않는 작업용 (암호학적 난수)
+        this.strategyRegistry = null; // 추천 전략 레지스트리 (null이면 공용 레지스트리)
         this.logger = {
             info: (msg) => console.log(`[INFO] ${msg}`),
             warn: (msg) => console.warn(`[WARN] ${msg}`),
@@ -23,49 +30,177 @@ class LottoAnalyzer {
     /**
      * 데이터 유효성 검사
      * @param {Array} lottoData - 검증할 데이터
-     * @returns {boolean} 유효성 여부
+     * @returns {boolean} 유효성 여부 (경고는 허용)
      */
     validateData(lottoData) {
+        const report = this.buildValidationReport(lottoData);
+        this.validationReport = report;
+
+        if (!report.valid) {
+            const first = report.errors[0];
+            this.logger.error(`유효성 검사 오류 ${report.errors.length}건 (첫 오류: 항목 ${first.index} - ${first.message})`);
+        }
+        if (report.warnings.length > 0) {
+            this.logger.warn(`유효성 검사 경고 ${report.warnings.length}건`);
+        }
+
+        return report.valid;
+    }
+
+    /**
+     * 전체 데이터 유효성 검사 보고서 생성
+     * 오류: 필수 필드 누락, 번호 범위/중복, 보너스 중복, 회차 중복/역순, 날짜 형식, 음수 당첨금
+     * 경고: 회차 누락, 주간 간격이 아닌 추첨일, 서로 맞지 않는 당첨금 필드
+     * @param {Array} lottoData - 검증할 데이터
+     * @returns {Object} { valid, totalRecords, errors, warnings } (각 항목은 { index, drawNo, field, message })
+     */
+    buildValidationReport(lottoData) {
+        const errors = [];
+        const warnings = [];
+        const report = (list, index, item, field, message) => {
+            list.push({
+                index: index,
+                drawNo: item && typeof item === 'object' ? item.draw_no : undefined,
+                field: field,
+                message: message
+            });
+        };
+
         if (!Array.isArray(lottoData)) {
-            this.logger.error('데이터가 배열이 아닙니다.');
-            return false;
+            report(errors, -1, null, null, '데이터가 배열이 아닙니다.');
+            return { valid: false, totalRecords: 0, errors, warnings };
         }
 
         if (lottoData.length === 0) {
-            this.logger.warn('데이터가 비어있습니다.');
-            return false;
+            report(errors, -1, null, null, '데이터가 비어있습니다.');
+            return { valid: false, totalRecords: 0, errors, warnings };
         }
 
-        // 처음 5개 항목만 검증 (성능 고려)
         const requiredFields = ['draw_no', 'draw_date', 'num1', 'num2', 'num3', 'num4', 'num5', 'num6', 'bonus'];
-        
-        for (let i = 0; i < Math.min(5, lottoData.length); i++) {
+        const prizeFields = ['total_prize', 'first_prize', 'first_winners'];
+        const seenDrawNos = new Map();
+        let previous = null;
+
+        for (let i = 0; i < lottoData.length; i++) {
             const item = lottoData[i];
-            
+
             if (typeof item !== 'object' || item === null) {
-                this.logger.error(`항목 ${i}가 올바른 객체가 아닙니다.`);
-                return false;
+                report(errors, i, null, null, '올바른 객체가 아닙니다.');
+                previous = null;
+                continue;
             }
 
             // 필수 필드 검사
-            for (const field of requiredFields) {
-                if (!(field in item)) {
-                    this.logger.error(`항목 ${i}에 필수 필드 '${field}'가 없습니다.`);
-                    return false;
-                }
+            const missing = requiredFields.filter(field => !(field in item));
+            missing.forEach(field => report(errors, i, item, field, `필수 필드 '${field}'가 없습니다.`));
+            if (missing.length > 0) {
+                previous = null;
+                continue;
             }
 
             // 번호 유효성 검사
-            const numbers = [item.num1, item.num2, item.num3, item.num4, item.num5, item.num6, item.bonus];
-            for (const num of numbers) {
-                if (typeof num !== 'number' || num < 1 || num > 45) {
-                    this.logger.error(`항목 ${i}에 유효하지 않은 번호가 있습니다: ${num}`);
-                    return false;
+            const mainNumbers = [item.num1, item.num2, item.num3, item.num4, item.num5, item.num6];
+            const numberFields = ['num1', 'num2', 'num3', 'num4', 'num5', 'num6', 'bonus'];
+            let numbersValid = true;
+            numberFields.forEach(field => {
+                const num = item[field];
+                if (!Number.isInteger(num) || num < 1 || num > 45) {
+                    report(errors, i, item, field, `유효하지 않은 번호입니다: ${num}`);
+                    numbersValid = false;
+                }
+            });
+
+            if (numbersValid) {
+                if (new Set(mainNumbers).size !== 6) {
+                    report(errors, i, item, 'num1-num6', `당첨번호에 중복이 있습니다: ${mainNumbers.join(', ')}`);
+                }
+                if (mainNumbers.includes(item.bonus)) {
+                    report(errors, i, item, 'bonus', `보너스 번호(${item.bonus})가 당첨번호와 중복됩니다.`);
+                }
+            }
+
+            // 회차 번호 검사
+            if (!Number.isInteger(item.draw_no) || item.draw_no < 1) {
+                report(errors, i, item, 'draw_no', `유효하지 않은 회차 번호입니다: ${item.draw_no}`);
+            } else if (seenDrawNos.has(item.draw_no)) {
+                report(errors, i, item, 'draw_no', `회차 번호가 중복됩니다 (항목 ${seenDrawNos.get(item.draw_no)}와 동일).`);
+            } else {
+                seenDrawNos.set(item.draw_no, i);
+            }
+
+            // 추첨일 검사
+            let date = /^\d{4}-\d{2}-\d{2}$/.test(item.draw_date) ? new Date(`${item.draw_date}T00:00:00Z`) : null;
+            if (date && (isNaN(date.getTime()) || date.toISOString().slice(0, 10) !== item.draw_date)) {
+                date = null;
+            }
+            if (!date) {
+                report(errors, i, item, 'draw_date', `유효하지 않은 추첨일입니다: ${item.draw_date}`);
+            }
+
+            // 당첨금 필드 검사 (선택 필드)
+            prizeFields.forEach(field => {
+                if (field in item && (typeof item[field] !== 'number' || item[field] < 0)) {
+                    report(errors, i, item, field, `유효하지 않은 금액/인원입니다: ${item[field]}`);
+                }
+            });
+            this.checkPrizeConsistency(item, previous, (field, message) => report(warnings, i, item, field, message));
+
+            // 직전 회차와의 순서/간격 검사
+            if (previous && Number.isInteger(item.draw_no) && Number.isInteger(previous.item.draw_no)) {
+                const drawDiff = item.draw_no - previous.item.draw_no;
+                if (drawDiff < 0) {
+                    report(errors, i, item, 'draw_no', `회차 순서가 역순입니다 (직전 ${previous.item.draw_no}회).`);
+                } else if (drawDiff > 1) {
+                    const missingRange = drawDiff === 2
+                        ? `${previous.item.draw_no + 1}회`
+                        : `${previous.item.draw_no + 1}~${item.draw_no - 1}회`;
+                    report(warnings, i, item, 'draw_no', `${missingRange} 데이터가 없습니다.`);
+                }
+
+                if (date && previous.date && drawDiff > 0) {
+                    const dayDiff = Math.round((date - previous.date) / 86400000);
+                    if (dayDiff !== drawDiff * 7) {
+                        report(warnings, i, item, 'draw_date', `직전 회차와의 추첨 간격이 ${dayDiff}일입니다 (기대값 ${drawDiff * 7}일).`);
+                    }
                 }
             }
+
+            previous = { item, date };
+        }
+
+        return {
+            valid: errors.length === 0,
+            totalRecords: lottoData.length,
+            errors: errors,
+            warnings: warnings
+        };
+    }
+
+    /**
+     * 당첨금 필드 정합성 검사
+     * @param {Object} item - 회차 데이터
+     * @param {Object} previous - 직전 회차 정보 ({ item, date })
+     * @param {Function} warn - 경고 콜백 (field, message)
+     */
+    checkPrizeConsistency(item, previous, warn) {
+        const { total_prize: totalPrize, first_prize: firstPrize, first_winners: firstWinners } = item;
+        if (typeof totalPrize !== 'number' || typeof firstPrize !== 'number' || typeof firstWinners !== 'number') {
+            return;
         }
 
-        return true;
+        if (firstWinners > 0 && firstPrize === 0) {
+            warn('first_prize', `1등 당첨자가 ${firstWinners}명인데 1등 당첨금이 0원입니다.`);
+        }
+        if (firstWinners === 0 && firstPrize > 0) {
+            warn('first_winners', '1등 당첨자가 없는데 1등 당첨금이 기록되어 있습니다.');
+        }
+
+        // 당첨금 총액은 판매액의 50%이므로, 이월이 없다면 1등 총액이 그 이상일 수 없다.
+        const firstTotal = firstPrize * firstWinners;
+        const hasCarryOver = previous && previous.item.first_winners === 0;
+        if (totalPrize > 0 && !hasCarryOver && firstTotal > totalPrize * 0.5) {
+            warn('first_prize', `1등 당첨금 총액(${firstTotal.toLocaleString()}원)이 판매액의 50%를 초과합니다.`);
+        }
     }
 
     /**
@@ -88,12 +223,135 @@ class LottoAnalyzer {
         }
     }
 
+    /**
+     * 새 회차 데이터 병합
+     * draw_no 기준으로 중복을 제거하고, 같은 회차에 다른 값이 있으면 충돌로 보고한다.
+     * 현재 데이터는 변경하지 않으며, 결과의 data를 loadData로 적용한다.
+     * @param {Array|Object} newRecords - 추가할 회차 데이터
+     * @param {Object} options - { overwrite } 충돌 시 새 데이터로 덮어쓸지 여부
+     * @returns {Object} { data, added, replaced, duplicates, conflicts, report }
+     */
+    mergeData(newRecords, options = {}) {
+        const { overwrite = false } = options;
+        const records = Array.isArray(newRecords) ? newRecords : [newRecords];
+        const compareFields = ['draw_date', 'num1', 'num2', 'num3', 'num4', 'num5', 'num6', 'bonus', 'total_prize', 'first_prize', 'first_winners'];
+
+        const merged = new Map(this.data.map(d => [d.draw_no, d]));
+        const added = [];
+        const replaced = [];
+        const duplicates = [];
+        const conflicts = [];
+
+        for (let record of records) {
+            if (typeof record !== 'object' || record === null || !Number.isInteger(record.draw_no)) {
+                throw new Error(`회차 번호(draw_no)가 없는 데이터가 있습니다: ${JSON.stringify(record)}`);
+            }
+
+            const existing = merged.get(record.draw_no);
+            if (!existing) {
+                merged.set(record.draw_no, record);
+                added.push(record.draw_no);
+                continue;
+            }
+
+            const fields = compareFields.filter(field =>
+                (field in existing || field in record) && existing[field] !== record[field]
+            );
+
+            if (fields.length === 0) {
+                duplicates.push(record.draw_no);
+            } else {
+                conflicts.push({ drawNo: record.draw_no, fields, existing, incoming: record });
+                if (overwrite) {
+                    merged.set(record.draw_no, record);
+                    replaced.push(record.draw_no);
+                }
+            }
+        }
+
+        const data = [...merged.values()].sort((a, b) => a.draw_no - b.draw_no);
+
+        return {
+            data: data,
+            added: added,
+            replaced: replaced,
+            duplicates: duplicates,
+            conflicts: conflicts,
+            report: this.buildValidationReport(data)
+        };
+    }
+
+    /**
+     * 분석 구간 데이터 추출
+     * @param {Object} range - { fromDraw, toDraw } / { fromDate, toDate } / { year } (생략 시 전체)
+     * @returns {Array} 구간에 해당하는 회차 데이터
+     * @throws {Error} 구간에 해당하는 회차가 없을 때
+     */
+    getRangeData(range = null) {
+        if (!range) {
+            return this.data;
+        }
+
+        const isSet = (value) => value !== undefined && value !== null && value !== '';
+        let { fromDraw, toDraw, fromDate, toDate } = range;
+        if (isSet(range.year)) {
+            fromDate = `${range.year}-01-01`;
+            toDate = `${range.year}-12-31`;
+        }
+
+        // draw_date는 YYYY-MM-DD 형식이므로 문자열 비교로 날짜 비교가 가능하다.
+        const filtered = this.data.filter(d =>
+            (!isSet(fromDraw) || d.draw_no >= Number(fromDraw)) &&
+            (!isSet(toDraw) || d.draw_no <= Number(toDraw)) &&
+            (!isSet(fromDate) || d.draw_date >= fromDate) &&
+            (!isSet(toDate) || d.draw_date <= toDate)
+        );
+
+        if (filtered.length === 0) {
+            throw new Error('선택한 구간에 해당하는 회차가 없습니다.');
+        }
+
+        return filtered;
+    }
+
+    /**
+     * 구간 데이터 정보
+     * @param {Array} data - 구간 데이터
+     */
+    describeRange(data) {
+        return {
+            fromDraw: data[0].draw_no,
+            toDraw: data[data.length - 1].draw_no,
+            startDate: data[0].draw_date,
+            endDate: data[data.length - 1].draw_date,
+            totalDraws: data.length
+        };
+    }
+
+    /**
+     * 회차의 번호 목록
+     * @param {Object} draw - 회차 데이터
+     * @param {boolean} includeBonus - 보너스 번호 포함 여부
+     */
+    getDrawNumbers(draw, includeBonus = false) {
+        const nums = [draw.num1, draw.num2, draw.num3, draw.num4, draw.num5, draw.num6];
+        if (includeBonus) {
+            nums.push(draw.bonus);
+        }
+        return nums;
+    }
+
     /**
      * 모든 번호 추출
+     * @param {Array} data - 대상 데이터 (생략 시 전체)
+     * @param {boolean} includeBonus - 보너스 번호 포함 여부
      */
-    getAllNumbers() {
+    getAllNumbers(data = this.data, includeBonus = false) {
+        if (includeBonus) {
+            return data.flatMap(d => this.getDrawNumbers(d, true));
+        }
         let allNums = [];
-        for (let d of this.data) {
+        for (let d of data) {
             allNums.push(d.num1, d.num2, d.num3, d.num4, d.num5, d.num6);
         }
         return allNums;
@@ -101,9 +359,14 @@ class LottoAnalyzer {
 
     /**
      * 빈도 분석
+     * @param {Object} range - 분석 구간 (생략 시 전체)
+     * @param {Object} options - { includeBonus }
      */
-    frequencyAnalysis() {
-        const allNums = this.getAllNumbers();
+    frequencyAnalysis(range = null, options = {}) {
+        const { includeBonus = false } = options;
+        const data = this.getRangeData(range);
+        const allNums = this.getAllNumbers(data, includeBonus);
+        const numbersPerDraw = includeBonus ? 7 : 6;
         const freq = {};
         
         // 번호별 빈도 계산
@@ -120,21 +383,100 @@ class LottoAnalyzer {
             sorted: sortedFreq,
             hotNumbers: sortedFreq.slice(0, 10),
             coldNumbers: sortedFreq.slice(-10).reverse(),
-            totalDraws: this.data.length,
-            expectedFrequency: (this.data.length * 6 / 45)
+            totalDraws: data.length,
+            expectedFrequency: (data.length * numbersPerDraw / 45),
+            includeBonus: includeBonus,
+            numbersPerDraw: numbersPerDraw,
+            range: this.describeRange(data)
         };
         
         return this.analysisResults.frequency;
     }
 
+    /**
+     * 빈도 편차 유의성 검정
+     * 카이제곱 적합도 검정 + 번호별 z-점수/정확 이항검정 + 다중 비교 보정
+     * @param {Object} options - { alpha, correction: 'bh' | 'bonferroni', range, includeBonus }
+     */
+    significanceAnalysis(options = {}) {
+        const {
+            alpha = 0.05,
+            correction = 'bh',
+            range = null,
+            includeBonus = false
+        } = options;
+
+        const freqResult = this.frequencyAnalysis(range, { includeBonus });
+        const totalDraws = freqResult.totalDraws;
+        const picks = freqResult.numbersPerDraw;
+        const p = picks / 45;
+        const expected = freqResult.expectedFrequency;
+        const stdDev = Math.sqrt(totalDraws * p * (1 - p));
+
+        // 한 회차에 6개 번호를 비복원 추출하므로 다항분포 대비 분산이 39/44배로 작다.
+        // 이를 보정한 통계량이 자유도 44의 카이제곱 분포를 따른다. (보너스 포함 시 7개, 38/44배)
+        let chiSquare = 0;
+        for (let num = 1; num <= 45; num++) {
+            chiSquare += Math.pow(freqResult.frequencies[num] - expected, 2) / expected;
+        }
+        const adjustedChiSquare = chiSquare * 44 / (45 - picks);
+        const chiSquarePValue = analysisDeps.LottoStats.chiSquarePValue(adjustedChiSquare, 44);
+
+        const numbers = [];
+        for (let num = 1; num <= 45; num++) {
+            const observed = freqResult.frequencies[num];
+            numbers.push({
+                number: num,
+                observed: observed,
+                expected: expected,
+                zScore: stdDev > 0 ? (observed - expected) / stdDev : 0,
+                pValue: analysisDeps.LottoStats.binomialTestPValue(observed, totalDraws, p)
+            });
+        }
+
+        const pValues = numbers.map(item => item.pValue);
+        const bonferroni = analysisDeps.LottoStats.bonferroni(pValues);
+        const bh = analysisDeps.LottoStats.benjaminiHochberg(pValues);
+
+        numbers.forEach((item, index) => {
+            item.bonferroniPValue = bonferroni[index];
+            item.bhPValue = bh[index];
+            item.adjustedPValue = correction === 'bonferroni' ? bonferroni[index] : bh[index];
+            item.significant = item.adjustedPValue < alpha;
+            item.direction = item.observed >= expected ? 'over' : 'under';
+        });
+
+        this.analysisResults.significance = {
+            chiSquare: {
+                statistic: adjustedChiSquare,
+                df: 44,
+                pValue: chiSquarePValue,
+                significant: chiSquarePValue < alpha
+            },
+            numbers: numbers,
+            sortedByZ: [...numbers].sort((a, b) => Math.abs(b.zScore) - Math.abs(a.zScore)),
+            overRepresented: numbers.filter(item => item.significant && item.direction === 'over'),
+            underRepresented: numbers.filter(item => item.significant && item.direction === 'under'),
+            alpha: alpha,
+            correction: correction,
+            totalDraws: totalDraws,
+            includeBonus: includeBonus,
+            range: freqResult.range
+        };
+
+        return this.analysisResults.significance;
+    }
+
     /**
      * 최근 트렌드 분석
      * @param {number} recentN - 최근 N회차 (0이면 전체)
+     * @param {Object} range - 분석 구간 (생략 시 전체, 최근 N회차는 구간의 끝 기준)
      */
-    recentTrendAnalysis(recentN = 0) {
-        let recentData = this.data;
-        if (recentN > 0 && recentN < this.data.length) {
-            recentData = this.data.slice(-recentN);
+    recentTrendAnalysis(recentN = 0, range = null) {
+        const data = this.getRangeData(range);
+        let recentData = data;
+        if (recentN > 0 && recentN < data.length) {
+            recentData = data.slice(-recentN);
         }
         
         const recentNums = [];
@@ -164,31 +506,115 @@ class LottoAnalyzer {
             sorted: sortedRecentFreq,
             hotNumbers: sortedRecentFreq.slice(0, 10),
             notAppeared: notAppeared,
-            period: recentN === 0 ? this.data.length : recentN
+            period: recentData.length,
+            range: this.describeRange(recentData)
         };
         
         return this.analysisResults.recent;
     }
 
+    /**
+     * 이동 구간 출현율 분석
+     * 회차마다 직전 windowSize 회차 동안의 번호별 출현율을 계산하고,
+     * 무작위 추첨의 기대 출현율(6/45)과 신뢰구간을 함께 반환한다.
+     * @param {Array} numbers - 분석할 번호 목록
+     * @param {Object} options - { windowSize, confidence, range }
+     * @returns {Object} { windowSize, expectedRate, band, labels, dates, series }
+     */
+    rollingFrequencyAnalysis(numbers, options = {}) {
+        const {
+            windowSize = 50,
+            confidence = 0.95,
+            range = null
+        } = options;
+
+        const data = this.getRangeData(range);
+        const targets = [...new Set(numbers)];
+        if (targets.length === 0 || targets.some(num => !Number.isInteger(num) || num < 1 || num > 45)) {
+            throw new Error('1~45 사이의 번호를 하나 이상 선택해주세요.');
+        }
+        if (!Number.isInteger(windowSize) || windowSize < 1 || windowSize > data.length) {
+            throw new Error(`구간 크기는 1~${data.length} 사이여야 합니다: ${windowSize}`);
+        }
+
+        // 구간 내 출현 횟수 ~ 이항분포(windowSize, 6/45)의 정규 근사
+        const expectedRate = 6 / 45;
+        const z = analysisDeps.LottoStats.normalQuantile(1 - (1 - confidence) / 2);
+        const margin = z * Math.sqrt(expectedRate * (1 - expectedRate) / windowSize);
+        const band = {
+            lower: Math.max(0, expectedRate - margin),
+            upper: Math.min(1, expectedRate + margin)
+        };
+
+        const labels = [];
+        const dates = [];
+        const counts = {};
+        const series = targets.map(num => ({ number: num, rates: [], counts: [], outsideBand: 0 }));
+        targets.forEach(num => { counts[num] = 0; });
+
+        const drawNumbers = (d) => [d.num1, d.num2, d.num3, d.num4, d.num5, d.num6];
+        for (let i = 0; i < data.length; i++) {
+            drawNumbers(data[i]).forEach(num => {
+                if (num in counts) counts[num]++;
+            });
+            if (i >= windowSize) {
+                drawNumbers(data[i - windowSize]).forEach(num => {
+                    if (num in counts) counts[num]--;
+                });
+            }
+            if (i < windowSize - 1) {
+                continue;
+            }
+
+            labels.push(data[i].draw_no);
+            dates.push(data[i].draw_date);
+            series.forEach(item => {
+                const rate = counts[item.number] / windowSize;
+                item.counts.push(counts[item.number]);
+                item.rates.push(rate);
+                if (rate < band.lower || rate > band.upper) {
+                    item.outsideBand++;
+                }
+            });
+        }
+
+        this.analysisResults.rolling = {
+            windowSize: windowSize,
+            confidence: confidence,
+            expectedRate: expectedRate,
+            band: band,
+            labels: labels,
+            dates: dates,
+            series: series,
+            range: this.describeRange(data)
+        };
+
+        return this.analysisResults.rolling;
+    }
+
     /**
      * 홀짝/고저 패턴 분석
+     * @param {Object} range - 분석 구간 (생략 시 전체)
+     * @param {Object} options - { includeBonus } (보너스 포함 시 7개 기준 패턴)
      */
-    patternAnalysis() {
+    patternAnalysis(range = null, options = {}) {
+        const { includeBonus = false } = options;
+        const data = this.getRangeData(range);
         const oddEvenPatterns = {};
         const highLowPatterns = {};
         
-        for (let d of this.data) {
-            const nums = [d.num1, d.num2, d.num3, d.num4, d.num5, d.num6];
+        for (let d of data) {
+            const nums = this.getDrawNumbers(d, includeBonus);
             
             // 홀짝 패턴
             const oddCount = nums.filter(n => n % 2 === 1).length;
-            const evenCount = 6 - oddCount;
+            const evenCount = nums.length - oddCount;
             const oddEvenKey = `${oddCount}:${evenCount}`;
             oddEvenPatterns[oddEvenKey] = (oddEvenPatterns[oddEvenKey] || 0) + 1;
             
             // 고저 패턴 (1-22: 저, 23-45: 고)
             const lowCount = nums.filter(n => n <= 22).length;
-            const highCount = 6 - lowCount;
+            const highCount = nums.length - lowCount;
             const highLowKey = `${lowCount}:${highCount}`;
             highLowPatterns[highLowKey] = (highLowPatterns[highLowKey] || 0) + 1;
         }
@@ -198,7 +624,9 @@ class LottoAnalyzer {
                 .sort(([,a], [,b]) => b - a),
             highLow: Object.entries(highLowPatterns)
                 .sort(([,a], [,b]) => b - a),
-            totalDraws: this.data.length
+            totalDraws: data.length,
+            includeBonus: includeBonus,
+            range: this.describeRange(data)
         };
         
         return this.analysisResults.pattern;
@@ -206,22 +634,37 @@ class LottoAnalyzer {
 
     /**
      * 연속번호 패턴 분석
+     * @param {Object} range - 분석 구간 (생략 시 전체)
      */
-    consecutiveAnalysis() {
+    consecutiveAnalysis(range = null) {
+        const data = this.getRangeData(range);
         const consecutiveCounts = {};
         
-        for (let d of this.data) {
+        const pairCounts = [];
+        const longestRuns = [];
+        
+        for (let d of data) {
             const nums = [d.num1, d.num2, d.num3, d.num4, d.num5, d.num6].sort((a, b) => a - b);
             
             let consecutive = 0;
+            let run = 1;
+            let longest = 1;
             for (let i = 0; i < nums.length - 1; i++) {
                 if (nums[i + 1] - nums[i] === 1) {
                     consecutive++;
+                    run++;
+                    longest = Math.max(longest, run);
+                } else {
+                    run = 1;
                 }
             }
             consecutiveCounts[consecutive] = (consecutiveCounts[consecutive] || 0) + 1;
+            pairCounts.push(consecutive);
+            longestRuns.push(longest);
         }
         
+        const consecutiveProbabilities = this.getTheoreticalDistribution('consecutive');
+        
         // 연속번호가 있는 비율 계산
         let hasConsecutive = 0;
         for (let count in consecutiveCounts) {
@@ -234,8 +677,13 @@ class LottoAnalyzer {
             distribution: Object.entries(consecutiveCounts)
                 .sort(([a], [b]) => parseInt(a) - parseInt(b)),
             hasConsecutive: hasConsecutive,
-            totalDraws: this.data.length,
-            percentage: (hasConsecutive / this.data.length * 100).toFixed(1)
+            totalDraws: data.length,
+            percentage: (hasConsecutive / data.length * 100).toFixed(1),
+            // 무작위 추첨 기대값 비교 (연속 쌍 개수, 가장 긴 연속 길이)
+            expectedPercentage: ((1 - consecutiveProbabilities[0]) * 100).toFixed(1),
+            pairComparison: this.compareDistribution(pairCounts, consecutiveProbabilities),
+            longestRunComparison: this.compareDistribution(longestRuns, this.getTheoreticalDistribution('longestRun')),
+            range: this.describeRange(data)
         };
         
         return this.analysisResults.consecutive;
@@ -243,27 +691,499 @@ class LottoAnalyzer {
 
     /**
      * 끝자리 분석
+     * @param {Object} range - 분석 구간 (생략 시 전체)
      */
-    endingDigitAnalysis() {
-        const allNums = this.getAllNumbers();
+    endingDigitAnalysis(range = null) {
+        const data = this.getRangeData(range);
+        const allNums = this.getAllNumbers(data);
         const endingDigits = {};
         
         for (let digit = 0; digit <= 9; digit++) {
             endingDigits[digit] = allNums.filter(n => n % 10 === digit).length;
         }
         
+        // 끝자리 1~5는 번호 5개, 0과 6~9는 번호 4개로 기대 비율이 다르다.
+        const expected = {};
+        let statistic = 0;
+        for (let digit = 0; digit <= 9; digit++) {
+            const size = digit >= 1 && digit <= 5 ? 5 : 4;
+            expected[digit] = allNums.length * size / 45;
+            statistic += Math.pow(endingDigits[digit] - expected[digit], 2) / expected[digit];
+        }
+        // 한 회차 안에서는 비복원 추출이므로 분산 보정 (빈도 유의성 검정과 동일)
+        statistic *= 44 / 39;
+        
         this.analysisResults.ending = {
             frequencies: endingDigits,
-            total: allNums.length
+            total: allNums.length,
+            expected: expected,
+            chiSquare: {
+                statistic: statistic,
+                df: 9,
+                pValue: analysisDeps.LottoStats.chiSquarePValue(statistic, 9)
+            },
+            range: this.describeRange(data)
         };
         
         return this.analysisResults.ending;
     }
 
+    /**
+     * 번호 쌍(및 3개 조합) 동반 출현 분석
+     * 각 조합의 출현 횟수를 초기하분포 기대값(쌍 C(6,2)/C(45,2), 3개 C(6,3)/C(45,3))과 비교한다.
+     * @param {Object} options - { includeTriples, topN, range }
+     * @returns {Object} { matrix, pairs, mostFrequentPairs, leastFrequentPairs, triples, ... }
+     */
+    coOccurrenceAnalysis(options = {}) {
+        const {
+            includeTriples = false,
+            topN = 10,
+            range = null
+        } = options;
+
+        const data = this.getRangeData(range);
+        const totalDraws = data.length;
+
+        // matrix[i][j]: i번과 j번이 함께 나온 회차 수 (1-base, 0행/열은 사용하지 않음)
+        const matrix = Array.from({ length: 46 }, () => new Array(46).fill(0));
+        const tripleCounts = new Map();
+
+        for (let d of data) {
+            const nums = this.sortNumbers([d.num1, d.num2, d.num3, d.num4, d.num5, d.num6]);
+            for (let a = 0; a < 6; a++) {
+                for (let b = a + 1; b < 6; b++) {
+                    matrix[nums[a]][nums[b]]++;
+                    matrix[nums[b]][nums[a]]++;
+
+                    if (includeTriples) {
+                        for (let c = b + 1; c < 6; c++) {
+                            const key = `${nums[a]}-${nums[b]}-${nums[c]}`;
+                            tripleCounts.set(key, (tripleCounts.get(key) || 0) + 1);
+                        }
+                    }
+                }
+            }
+        }
+
+        const describe = (numbers, count, probability) => {
+            const expected = totalDraws * probability;
+            const sd = Math.sqrt(totalDraws * probability * (1 - probability));
+            return {
+                numbers: numbers,
+                count: count,
+                expected: expected,
+                ratio: count / expected,
+                zScore: (count - expected) / sd
+            };
+        };
+        const byCount = (a, b) => b.count - a.count || b.zScore - a.zScore;
+
+        const pairProbability = analysisDeps.LottoStats.hypergeometricPmf(2, 45, 6, 2);
+        const pairs = [];
+        for (let i = 1; i <= 45; i++) {
+            for (let j = i + 1; j <= 45; j++) {
+                pairs.push(describe([i, j], matrix[i][j], pairProbability));
+            }
+        }
+        pairs.sort(byCount);
+
+        const result = {
+            matrix: matrix,
+            pairs: pairs,
+            mostFrequentPairs: pairs.slice(0, topN),
+            leastFrequentPairs: pairs.slice(-topN).reverse(),
+            pairProbability: pairProbability,
+            expectedPairCount: totalDraws * pairProbability,
+            totalDraws: totalDraws,
+            range: this.describeRange(data)
+        };
+
+        if (includeTriples) {
+            // 한 번도 나오지 않은 조합까지 포함하여 전체 C(45,3)개를 비교
+            const tripleProbability = analysisDeps.LottoStats.hypergeometricPmf(3, 45, 6, 3);
+            const triples = [];
+            for (let i = 1; i <= 45; i++) {
+                for (let j = i + 1; j <= 45; j++) {
+                    for (let k = j + 1; k <= 45; k++) {
+                        const count = tripleCounts.get(`${i}-${j}-${k}`) || 0;
+                        triples.push(describe([i, j, k], count, tripleProbability));
+                    }
+                }
+            }
+            triples.sort(byCount);
+
+            result.mostFrequentTriples = triples.slice(0, topN);
+            result.leastFrequentTriples = triples.slice(-topN).reverse();
+            result.tripleProbability = tripleProbability;
+            result.expectedTripleCount = totalDraws * tripleProbability;
+            result.neverSeenTriples = triples.filter(t => t.count === 0).length;
+        }
+
+        this.analysisResults.coOccurrence = result;
+        return result;
+    }
+
+    /**
+     * 번호 쌍 친화도 기반 번호 선택
+     * 가장 자주 함께 나온 쌍에서 시작하여, 이미 고른 번호들과의 z-점수 합이 가장 큰 번호를 차례로 추가한다.
+     * @param {Object} coResult - coOccurrenceAnalysis 결과
+     * @param {Array} seedNumbers - 반드시 포함할 시작 번호 (생략 시 최다 출현 쌍)
+     * @returns {Array} 번호 6개
+     */
+    pickByPairAffinity(coResult, seedNumbers = null) {
+        const zScores = Array.from({ length: 46 }, () => new Array(46).fill(0));
+        coResult.pairs.forEach(({ numbers: [i, j], zScore }) => {
+            zScores[i][j] = zScore;
+            zScores[j][i] = zScore;
+        });
+
+        const chosen = seedNumbers ? [...seedNumbers] : [...coResult.mostFrequentPairs[0].numbers];
+        while (chosen.length < 6) {
+            let best = null;
+            let bestScore = -Infinity;
+            for (let num = 1; num <= 45; num++) {
+                if (chosen.includes(num)) continue;
+                const score = chosen.reduce((sum, picked) => sum + zScores[picked][num], 0);
+                if (score > bestScore) {
+                    best = num;
+                    bestScore = score;
+                }
+            }
+            chosen.push(best);
+        }
+
+        return this.sortNumbers(chosen);
+    }
+
+    /**
+     * AC 값 (Arithmetic Complexity) 계산
+     * 서로 다른 두 번호 차이값의 종류 수에서 (번호 개수 - 1)을 뺀 값 (6개 기준 0~10)
+     * @param {Array} numbers - 번호 목록
+     */
+    calculateAC(numbers) {
+        const differences = new Set();
+        for (let i = 0; i < numbers.length; i++) {
+            for (let j = i + 1; j < numbers.length; j++) {
+                differences.add(Math.abs(numbers[i] - numbers[j]));
+            }
+        }
+        return differences.size - (numbers.length - 1);
+    }
+
+    /**
+     * 가장 긴 연속 번호 길이
+     * @param {Array} numbers - 번호 목록
+     */
+    longestRun(numbers) {
+        const sorted = [...numbers].sort((a, b) => a - b);
+        let longest = sorted.length > 0 ? 1 : 0;
+        let run = 1;
+        for (let i = 1; i < sorted.length; i++) {
+            run = sorted[i] === sorted[i - 1] + 1 ? run + 1 : 1;
+            longest = Math.max(longest, run);
+        }
+        return longest;
+    }
+
+    /**
+     * 같은 끝자리를 가진 번호의 최대 개수
+     * @param {Array} numbers - 번호 목록
+     */
+    maxSameEnding(numbers) {
+        const counts = new Array(10).fill(0);
+        numbers.forEach(num => counts[num % 10]++);
+        return Math.max(...counts);
+    }
+
+    /**
+     * 번호대 구간 (getNumberColorClass와 같은 1~9, 10~19, 20~29, 30~39, 40~45)
+     */
+    getNumberBands() {
+        return [
+            { label: '1~9', min: 1, max: 9 },
+            { label: '10~19', min: 10, max: 19 },
+            { label: '20~29', min: 20, max: 29 },
+            { label: '30~39', min: 30, max: 39 },
+            { label: '40~45', min: 40, max: 45 }
+        ];
+    }
+
+    /**
+     * 6/45 무작위 추첨의 이론 분포 (전체 C(45,6)개 조합 기준 확률, 한 번 계산 후 캐시)
+     * @param {string} type - sum, ac, spread, consecutive, longestRun
+     * @returns {Object} 값별 확률
+     */
+    getTheoreticalDistribution(type) {
+        this.theoreticalCache = this.theoreticalCache || {};
+        if (this.theoreticalCache[type]) {
+            return this.theoreticalCache[type];
+        }
+
+        const total = analysisDeps.LottoStats.combination(45, 6);
+        const counts = {};
+
+        if (type === 'sum') {
+            // ways[k][s]: 지금까지 본 번호 중 k개를 골라 합이 s가 되는 경우의 수
+            const maxSum = 255;
+            const ways = Array.from({ length: 7 }, () => new Array(maxSum + 1).fill(0));
+            ways[0][0] = 1;
+            for (let num = 1; num <= 45; num++) {
+                for (let k = 6; k >= 1; k--) {
+                    for (let sum = maxSum; sum >= num; sum--) {
+                        ways[k][sum] += ways[k - 1][sum - num];
+                    }
+                }
+            }
+            ways[6].forEach((count, sum) => {
+                if (count > 0) counts[sum] = count;
+            });
+        } else if (type === 'spread') {
+            // 최솟값 a, 최댓값 a+d인 조합: 사이의 d-1개 중 4개 선택, a는 45-d가지
+            for (let spread = 5; spread <= 44; spread++) {
+                counts[spread] = analysisDeps.LottoStats.combination(spread - 1, 4) * (45 - spread);
+            }
+        } else if (type === 'ac') {
+            // AC 값은 정렬된 번호 사이 간격 5개로 결정되므로 간격 패턴만 열거한다.
+            // 첫 번호를 0으로 둔 위치 패턴의 폭이 w이면 시작 번호를 45-w가지로 놓을 수 있다.
+            const positions = new Array(6).fill(0);
+            const seen = new Int32Array(45);
+            let stamp = 0;
+            const visit = (depth) => {
+                if (depth === 6) {
+                    stamp++;
+                    let distinct = 0;
+                    for (let i = 0; i < 6; i++) {
+                        for (let j = i + 1; j < 6; j++) {
+                            const diff = positions[j] - positions[i];
+                            if (seen[diff] !== stamp) {
+                                seen[diff] = stamp;
+                                distinct++;
+                            }
+                        }
+                    }
+                    const ac = distinct - 5;
+                    counts[ac] = (counts[ac] || 0) + (45 - positions[5]);
+                    return;
+                }
+                for (let pos = positions[depth - 1] + 1; pos + (5 - depth) <= 44; pos++) {
+                    positions[depth] = pos;
+                    visit(depth + 1);
+                }
+            };
+            visit(1);
+        } else if (type === 'consecutive') {
+            // 연속 쌍이 k개이면 번호 6개가 6-k개의 덩어리로 나뉜다.
+            // 덩어리 b개: 6개를 b덩어리로 나누는 C(5, b-1) × 39개 빈칸 사이 b자리 배치 C(40, b)
+            for (let pairs = 0; pairs <= 5; pairs++) {
+                const blocks = 6 - pairs;
+                counts[pairs] = analysisDeps.LottoStats.combination(5, blocks - 1) * analysisDeps.LottoStats.combination(40, blocks);
+            }
+        } else if (type === 'longestRun') {
+            // atMost[L]: 가장 긴 연속이 L 이하인 조합 수 (번호를 차례로 보며 현재 연속 길이를 추적하는 DP)
+            const atMost = [0];
+            for (let limit = 1; limit <= 6; limit++) {
+                let ways = Array.from({ length: 7 }, () => new Array(limit + 1).fill(0));
+                ways[0][0] = 1;
+                for (let num = 1; num <= 45; num++) {
+                    const next = Array.from({ length: 7 }, () => new Array(limit + 1).fill(0));
+                    for (let k = 0; k <= 6; k++) {
+                        for (let run = 0; run <= limit; run++) {
+                            const current = ways[k][run];
+                            if (current === 0) continue;
+                            next[k][0] += current;
+                            if (k < 6 && run < limit) {
+                                next[k + 1][run + 1] += current;
+                            }
+                        }
+                    }
+                    ways = next;
+                }
+                atMost[limit] = ways[6].reduce((a, b) => a + b, 0);
+                counts[limit] = atMost[limit] - atMost[limit - 1];
+            }
+        } else {
+            throw new Error(`알 수 없는 이론 분포입니다: ${type}`);
+        }
+
+        const probabilities = {};
+        Object.keys(counts).forEach(value => {
+            probabilities[value] = counts[value] / total;
+        });
+
+        this.theoreticalCache[type] = probabilities;
+        return probabilities;
+    }
+
+    /**
+     * 관측 분포와 이론 분포 비교
+     * 기대 빈도가 5 미만인 값은 이웃 값과 합쳐 카이제곱 적합도 검정을 수행한다.
+     * @param {Array} values - 회차별 관측값
+     * @param {Object} probabilities - 값별 이론 확률
+     * @param {number} binSize - 히스토그램 구간 크기
+     */
+    compareDistribution(values, probabilities, binSize = 1) {
+        const totalDraws = values.length;
+        const keys = Object.keys(probabilities).map(Number).sort((a, b) => a - b);
+        const min = keys[0];
+        const max = keys[keys.length - 1];
+        const binOf = value => Math.floor((value - min) / binSize);
+
+        const histogram = [];
+        for (let start = min; start <= max; start += binSize) {
+            const end = Math.min(start + binSize - 1, max);
+            histogram.push({
+                label: start === end ? `${start}` : `${start}~${end}`,
+                from: start,
+                to: end,
+                observed: 0,
+                probability: 0
+            });
+        }
+        keys.forEach(value => {
+            histogram[binOf(value)].probability += probabilities[value];
+        });
+        values.forEach(value => {
+            histogram[binOf(value)].observed++;
+        });
+        histogram.forEach(bin => {
+            bin.expected = bin.probability * totalDraws;
+        });
+
+        // 기대 빈도 5 이상이 되도록 구간 병합 후 카이제곱 검정
+        const pooled = [];
+        let current = { observed: 0, expected: 0 };
+        histogram.forEach(bin => {
+            current.observed += bin.observed;
+            current.expected += bin.expected;
+            if (current.expected >= 5) {
+                pooled.push(current);
+                current = { observed: 0, expected: 0 };
+            }
+        });
+        if (current.expected > 0 && pooled.length > 0) {
+            pooled[pooled.length - 1].observed += current.observed;
+            pooled[pooled.length - 1].expected += current.expected;
+        }
+        const statistic = pooled.reduce((sum, bin) => sum + Math.pow(bin.observed - bin.expected, 2) / bin.expected, 0);
+        const df = pooled.length - 1;
+
+        const mean = values.reduce((a, b) => a + b, 0) / totalDraws;
+        const expectedMean = keys.reduce((sum, value) => sum + value * probabilities[value], 0);
+
+        return {
+            histogram: histogram,
+            mean: mean,
+            expectedMean: expectedMean,
+            chiSquare: {
+                statistic: statistic,
+                df: df,
+                pValue: df > 0 ? analysisDeps.LottoStats.chiSquarePValue(statistic, df) : 1
+            },
+            totalDraws: totalDraws
+        };
+    }
+
+    /**
+     * 번호 합계 분포 분석 (이론 분포 대비)
+     * @param {Object} options - { binSize, range }
+     */
+    sumAnalysis(options = {}) {
+        const { binSize = 10, range = null } = options;
+        const data = this.getRangeData(range);
+        const sums = data.map(d => d.num1 + d.num2 + d.num3 + d.num4 + d.num5 + d.num6);
+
+        this.analysisResults.sum = Object.assign(
+            this.compareDistribution(sums, this.getTheoreticalDistribution('sum'), binSize),
+            { range: this.describeRange(data) }
+        );
+        return this.analysisResults.sum;
+    }
+
+    /**
+     * AC 값 분포 분석 (이론 분포 대비)
+     * @param {Object} range - 분석 구간 (생략 시 전체)
+     */
+    acAnalysis(range = null) {
+        const data = this.getRangeData(range);
+        const acValues = data.map(d => this.calculateAC([d.num1, d.num2, d.num3, d.num4, d.num5, d.num6]));
+
+        this.analysisResults.ac = Object.assign(
+            this.compareDistribution(acValues, this.getTheoreticalDistribution('ac')),
+            { range: this.describeRange(data) }
+        );
+        return this.analysisResults.ac;
+    }
+
+    /**
+     * 최대-최소 간격 분포 분석 (이론 분포 대비)
+     * @param {Object} options - { binSize, range }
+     */
+    spreadAnalysis(options = {}) {
+        const { binSize = 1, range = null } = options;
+        const data = this.getRangeData(range);
+        const spreads = data.map(d => {
+            const nums = [d.num1, d.num2, d.num3, d.num4, d.num5, d.num6];
+            return Math.max(...nums) - Math.min(...nums);
+        });
+
+        this.analysisResults.spread = Object.assign(
+            this.compareDistribution(spreads, this.getTheoreticalDistribution('spread'), binSize),
+            { range: this.describeRange(data) }
+        );
+        return this.analysisResults.spread;
+    }
+
+    /**
+     * 번호대별 분포 분석
+     * 회차마다 각 번호대에서 나온 번호 개수를 세어 초기하분포 기대값과 비교한다.
+     * @param {Object} range - 분석 구간 (생략 시 전체)
+     */
+    bandAnalysis(range = null) {
+        const data = this.getRangeData(range);
+
+        const bands = this.getNumberBands().map(band => {
+            const size = band.max - band.min + 1;
+            const counts = data.map(d =>
+                [d.num1, d.num2, d.num3, d.num4, d.num5, d.num6].filter(n => n >= band.min && n <= band.max).length
+            );
+
+            const probabilities = {};
+            for (let k = 0; k <= Math.min(6, size); k++) {
+                probabilities[k] = analysisDeps.LottoStats.hypergeometricPmf(k, 45, size, 6);
+            }
+
+            return Object.assign({ label: band.label, min: band.min, max: band.max, size: size },
+                this.compareDistribution(counts, probabilities));
+        });
+
+        // 당첨번호가 걸친 번호대 개수 분포
+        const coverage = {};
+        data.forEach(d => {
+            const nums = [d.num1, d.num2, d.num3, d.num4, d.num5, d.num6];
+            const covered = bands.filter(band => nums.some(n => n >= band.min && n <= band.max)).length;
+            coverage[covered] = (coverage[covered] || 0) + 1;
+        });
+
+        this.analysisResults.band = {
+            bands: bands,
+            coverage: Object.entries(coverage).sort(([a], [b]) => a - b),
+            totalDraws: data.length,
+            range: this.describeRange(data)
+        };
+        return this.analysisResults.band;
+    }
+
     /**
      * 출현 주기 분석
+     * 평균 주기 외에 번호별 간격 분포(중앙값/최대/표준편차/히스토그램)를 구하고,
+     * 매 회차 독립 추첨일 때의 기하분포(p = 6/45, 보너스 포함 시 7/45)와 비교한다.
+     * 현재 미출현 기간에는 과거 간격 중 백분위와 위험률(그만큼 안 나온 뒤 다음 회차에 나온 비율)을 붙인다.
+     * @param {Object} range - 분석 구간 (생략 시 전체)
+     * @param {Object} options - { includeBonus, maxGap }
      */
-    cycleAnalysis() {
+    cycleAnalysis(range = null, options = {}) {
+        const { includeBonus = false, maxGap = 30 } = options;
+        const data = this.getRangeData(range);
         const numberAppearances = {};
         
         // 각 번호의 출현 회차 기록
@@ -271,9 +1191,8 @@ class LottoAnalyzer {
             numberAppearances[num] = [];
         }
         
-        for (let i = 0; i < this.data.length; i++) {
-            const nums = [this.data[i].num1, this.data[i].num2, this.data[i].num3, 
-                         this.data[i].num4, this.data[i].num5, this.data[i].num6];
+        for (let i = 0; i < data.length; i++) {
+            const nums = this.getDrawNumbers(data[i], includeBonus);
             for (let num of nums) {
                 numberAppearances[num].push(i + 1);
             }
@@ -282,23 +1201,105 @@ class LottoAnalyzer {
         // 평균 주기 계산
         const avgCycles = {};
         const currentGaps = {};
-        const totalDraws = this.data.length;
+        const totalDraws = data.length;
+        const allGaps = [];
+        const numberGaps = {};
         
         for (let num = 1; num <= 45; num++) {
             const appearances = numberAppearances[num];
+            const gaps = [];
             
             if (appearances.length > 1) {
-                const gaps = [];
                 for (let i = 0; i < appearances.length - 1; i++) {
                     gaps.push(appearances[i + 1] - appearances[i]);
                 }
                 avgCycles[num] = gaps.reduce((a, b) => a + b) / gaps.length;
             }
+            numberGaps[num] = gaps;
+            allGaps.push(...gaps);
             
             // 현재 미출현 기간
             const lastAppearance = appearances[appearances.length - 1] || 0;
             currentGaps[num] = totalDraws - lastAppearance;
         }
+
+        // 기하분포 기준: 간격 k의 확률 (1-p)^(k-1)·p, maxGap 이상은 꼬리 확률 (1-p)^(maxGap-1)로 합친다
+        const p = (includeBonus ? 7 : 6) / 45;
+        const geometric = {};
+        for (let k = 1; k < maxGap; k++) {
+            geometric[k] = Math.pow(1 - p, k - 1) * p;
+        }
+        geometric[maxGap] = Math.pow(1 - p, maxGap - 1);
+
+        // 간격별 횟수 (정렬 없이 중앙값·위험률 계산, 시뮬레이터에서 반복 호출되므로)
+        const gapCounts = (gaps) => {
+            const counts = new Array(totalDraws + 2).fill(0);
+            gaps.forEach(g => counts[g]++);
+            return counts;
+        };
+
+        const describeGaps = (gaps, counts, binSize) => {
+            if (gaps.length === 0) {
+                return null;
+            }
+            const mean = gaps.reduce((a, b) => a + b, 0) / gaps.length;
+            const nth = (index) => {
+                let seen = 0;
+                for (let g = 1; g < counts.length; g++) {
+                    seen += counts[g];
+                    if (seen > index) return g;
+                }
+                return counts.length - 1;
+            };
+            const middle = Math.floor(gaps.length / 2);
+            const comparison = this.compareDistribution(gaps.map(gap => Math.min(gap, maxGap)), geometric, binSize);
+            const last = comparison.histogram[comparison.histogram.length - 1];
+            last.label = `${last.from}+`;
+
+            return {
+                count: gaps.length,
+                mean: mean,
+                median: gaps.length % 2 === 1 ? nth(middle) : (nth(middle - 1) + nth(middle)) / 2,
+                max: Math.max(...gaps),
+                stdDev: Math.sqrt(gaps.reduce((sum, gap) => sum + Math.pow(gap - mean, 2), 0) / gaps.length),
+                histogram: comparison.histogram,
+                chiSquare: comparison.chiSquare
+            };
+        };
+
+        // 위험률: 간격이 gap회차를 넘긴 경우 중 바로 다음 회차(gap + 1)에 나온 비율
+        const hazardAt = (counts, gap) => {
+            let atRisk = 0;
+            for (let g = gap + 1; g < counts.length; g++) {
+                atRisk += counts[g];
+            }
+            const ended = counts[gap + 1] || 0;
+            return { atRisk: atRisk, ended: ended, hazard: atRisk > 0 ? ended / atRisk : null };
+        };
+
+        const gapStats = {};
+        for (let num = 1; num <= 45; num++) {
+            const gaps = numberGaps[num];
+            const current = currentGaps[num];
+            const counts = gapCounts(gaps);
+            const hazard = hazardAt(counts, current);
+            gapStats[num] = Object.assign(describeGaps(gaps, counts, 5) || { count: 0 }, {
+                currentGap: current,
+                percentile: gaps.length > 0 ? gaps.filter(g => g <= current).length / gaps.length * 100 : null,
+                expectedPercentile: (1 - Math.pow(1 - p, current)) * 100,
+                hazard: hazard.hazard,
+                hazardTrials: hazard.atRisk
+            });
+        }
+
+        // 전체 번호를 합친 간격 분포와 간격 길이별 위험률 (독립 추첨이면 길이와 무관하게 p)
+        const allCounts = gapCounts(allGaps);
+        const pooled = describeGaps(allGaps, allCounts, 1);
+        const hazardCurve = [];
+        for (let gap = 0; gap < maxGap; gap++) {
+            const hazard = hazardAt(allCounts, gap);
+            hazardCurve.push({ gap: gap, atRisk: hazard.atRisk, ended: hazard.ended, hazard: hazard.hazard });
+        }
         
         // 정렬된 결과
         const sortedByCycle = Object.entries(avgCycles)
@@ -313,12 +1314,247 @@ class LottoAnalyzer {
             sortedByCycle: sortedByCycle,
             sortedByGap: sortedByGap,
             topFrequent: sortedByCycle.slice(0, 10),
-            topGap: sortedByGap.slice(0, 10)
+            topGap: sortedByGap.slice(0, 10),
+            gapStats: gapStats,
+            gapDistribution: pooled ? Object.assign(pooled, { hazardCurve: hazardCurve }) : null,
+            geometric: {
+                probability: p,
+                mean: 1 / p,
+                median: Math.ceil(Math.log(0.5) / Math.log(1 - p)),
+                stdDev: Math.sqrt(1 - p) / p
+            },
+            maxGap: maxGap,
+            includeBonus: includeBonus,
+            range: this.describeRange(data)
         };
         
         return this.analysisResults.cycle;
     }
 
+    /**
+     * 보너스 번호 분석
+     * 보너스 번호 빈도, 보너스 출현 주기, "보너스 번호가 다음 회차 당첨번호로 나온" 비율을 계산한다.
+     * @param {Object} range - 분석 구간 (생략 시 전체)
+     */
+    bonusAnalysis(range = null) {
+        const data = this.getRangeData(range);
+        const totalDraws = data.length;
+
+        // 보너스 번호 빈도 (회차당 1개이므로 기대값 n/45, 자유도 44 카이제곱)
+        const frequencies = {};
+        const appearances = {};
+        for (let num = 1; num <= 45; num++) {
+            frequencies[num] = 0;
+            appearances[num] = [];
+        }
+        data.forEach((d, index) => {
+            frequencies[d.bonus]++;
+            appearances[d.bonus].push(index + 1);
+        });
+
+        const expectedFrequency = totalDraws / 45;
+        let statistic = 0;
+        for (let num = 1; num <= 45; num++) {
+            statistic += Math.pow(frequencies[num] - expectedFrequency, 2) / expectedFrequency;
+        }
+        const sorted = Object.entries(frequencies).sort(([,a], [,b]) => b - a);
+
+        // 보너스 출현 주기
+        const averageCycles = {};
+        const currentGaps = {};
+        for (let num = 1; num <= 45; num++) {
+            const list = appearances[num];
+            if (list.length > 1) {
+                averageCycles[num] = (list[list.length - 1] - list[0]) / (list.length - 1);
+            }
+            currentGaps[num] = totalDraws - (list[list.length - 1] || 0);
+        }
+        const sortedByGap = Object.entries(currentGaps).sort(([,a], [,b]) => b - a);
+
+        // 보너스 번호 → 다음 회차 당첨번호 (무작위라면 6/45)
+        const transitions = [];
+        for (let i = 0; i < data.length - 1; i++) {
+            const next = data[i + 1];
+            if (this.getDrawNumbers(next).includes(data[i].bonus)) {
+                transitions.push({ drawNo: data[i].draw_no, nextDrawNo: next.draw_no, number: data[i].bonus });
+            }
+        }
+        const trials = data.length - 1;
+        const p = 6 / 45;
+
+        this.analysisResults.bonus = {
+            frequencies: frequencies,
+            sorted: sorted,
+            hotNumbers: sorted.slice(0, 10),
+            coldNumbers: sorted.slice(-10).reverse(),
+            expectedFrequency: expectedFrequency,
+            chiSquare: {
+                statistic: statistic,
+                df: 44,
+                pValue: analysisDeps.LottoStats.chiSquarePValue(statistic, 44)
+            },
+            averageCycles: averageCycles,
+            currentGaps: currentGaps,
+            sortedByGap: sortedByGap,
+            topGap: sortedByGap.slice(0, 10),
+            nextDrawMain: {
+                count: transitions.length,
+                trials: trials,
+                rate: trials > 0 ? transitions.length / trials : 0,
+                expectedRate: p,
+                pValue: trials > 0 ? analysisDeps.LottoStats.binomialTestPValue(transitions.length, trials, p) : 1,
+                recent: transitions.slice(-10).reverse()
+            },
+            latestBonus: data[data.length - 1].bonus,
+            totalDraws: totalDraws,
+            range: this.describeRange(data)
+        };
+
+        return this.analysisResults.bonus;
+    }
+
+    /**
+     * 연속 회차 간 전이 분석
+     * 직전 회차(N-1)와 이번 회차(N)의 관계를 독립 추첨 기준과 비교한다.
+     * - 이월수: 직전 회차 번호가 다시 나온 개수, 독립이면 초기하분포 H(k; 45, 6, 6)
+     * - 이웃수: 직전 회차 번호의 ±1 (이월수 제외) 중 나온 개수, 독립이면 H(k; 45, 이웃 수, 6)
+     * - 조건부 확률 P(j | 직전 회차에 i): 독립이면 6/45
+     * @param {Object} range - 분석 구간 (생략 시 전체)
+     * @param {Object} options - { alpha, topN }
+     */
+    transitionAnalysis(range = null, options = {}) {
+        const { alpha = 0.05, topN = 10 } = options;
+        const data = this.getRangeData(range);
+        if (data.length < 2) {
+            throw new Error('전이 분석에는 2회차 이상의 데이터가 필요합니다.');
+        }
+
+        const p = 6 / 45;
+        const counts = Array.from({ length: 46 }, () => new Array(46).fill(0));
+        const appearances = new Array(46).fill(0);
+        const overlaps = [];
+        const adjacentCounts = [];
+        const adjacentProbabilities = {};
+        const recent = [];
+        for (let k = 0; k <= 6; k++) {
+            adjacentProbabilities[k] = 0;
+        }
+
+        for (let t = 1; t < data.length; t++) {
+            const previous = this.getDrawNumbers(data[t - 1]);
+            const current = this.getDrawNumbers(data[t]);
+
+            const neighbors = new Set();
+            previous.forEach(num => {
+                [num - 1, num + 1].forEach(near => {
+                    if (near >= 1 && near <= 45 && !previous.includes(near)) {
+                        neighbors.add(near);
+                    }
+                });
+            });
+
+            const carried = current.filter(num => previous.includes(num));
+            const adjacent = current.filter(num => neighbors.has(num));
+            overlaps.push(carried.length);
+            adjacentCounts.push(adjacent.length);
+            for (let k = 0; k <= 6; k++) {
+                adjacentProbabilities[k] += analysisDeps.LottoStats.hypergeometricPmf(k, 45, neighbors.size, 6) / (data.length - 1);
+            }
+
+            previous.forEach(i => {
+                appearances[i]++;
+                current.forEach(j => {
+                    counts[i][j]++;
+                });
+            });
+
+            recent.push({
+                drawNo: data[t].draw_no,
+                previousDrawNo: data[t - 1].draw_no,
+                carried: this.sortNumbers(carried),
+                adjacent: this.sortNumbers(adjacent)
+            });
+        }
+
+        const overlapProbabilities = {};
+        for (let k = 0; k <= 6; k++) {
+            overlapProbabilities[k] = analysisDeps.LottoStats.hypergeometricPmf(k, 45, 6, 6);
+        }
+
+        // 번호 쌍별 조건부 확률과 이항검정 (2,025개 검정이므로 BH 보정)
+        const transitions = [];
+        for (let i = 1; i <= 45; i++) {
+            for (let j = 1; j <= 45; j++) {
+                const trials = appearances[i];
+                const count = counts[i][j];
+                const expected = trials * p;
+                transitions.push({
+                    from: i,
+                    to: j,
+                    count: count,
+                    trials: trials,
+                    probability: trials > 0 ? count / trials : 0,
+                    expected: expected,
+                    zScore: trials > 0 ? (count - expected) / Math.sqrt(trials * p * (1 - p)) : 0,
+                    pValue: trials > 0 ? analysisDeps.LottoStats.binomialTestPValue(count, trials, p) : 1
+                });
+            }
+        }
+        const adjusted = analysisDeps.LottoStats.benjaminiHochberg(transitions.map(item => item.pValue));
+        transitions.forEach((item, index) => {
+            item.adjustedPValue = adjusted[index];
+            item.significant = adjusted[index] < alpha;
+        });
+        const byZ = [...transitions].sort((a, b) => b.zScore - a.zScore);
+
+        // 번호별 이월률 (직전 회차에 나온 번호가 다시 나온 비율)
+        const carryRates = [];
+        for (let num = 1; num <= 45; num++) {
+            carryRates.push({
+                number: num,
+                carried: counts[num][num],
+                trials: appearances[num],
+                rate: appearances[num] > 0 ? counts[num][num] / appearances[num] : 0
+            });
+        }
+
+        // 최신 회차 번호 기준 다음 회차 전이 확률 (i별 조건부 확률의 합산)
+        const latest = this.getDrawNumbers(data[data.length - 1]);
+        const fromLatest = [];
+        for (let j = 1; j <= 45; j++) {
+            const trials = latest.reduce((sum, i) => sum + appearances[i], 0);
+            const count = latest.reduce((sum, i) => sum + counts[i][j], 0);
+            fromLatest.push({ number: j, count: count, trials: trials, probability: trials > 0 ? count / trials : 0 });
+        }
+        fromLatest.sort((a, b) => b.probability - a.probability);
+
+        const totalCarried = overlaps.reduce((a, b) => a + b, 0);
+
+        this.analysisResults.transition = {
+            overlap: this.compareDistribution(overlaps, overlapProbabilities),
+            adjacent: this.compareDistribution(adjacentCounts, adjacentProbabilities),
+            carryRate: {
+                rate: totalCarried / (overlaps.length * 6),
+                expectedRate: p,
+                pValue: analysisDeps.LottoStats.binomialTestPValue(totalCarried, overlaps.length * 6, p)
+            },
+            carryRates: carryRates,
+            strongestTransitions: byZ.slice(0, topN),
+            weakestTransitions: byZ.slice(-topN).reverse(),
+            significantTransitions: transitions.filter(item => item.significant),
+            testedTransitions: transitions.length,
+            expectedProbability: p,
+            latestNumbers: this.sortNumbers(latest),
+            fromLatest: fromLatest.slice(0, topN),
+            recent: recent.slice(-topN).reverse(),
+            alpha: alpha,
+            totalTransitions: data.length - 1,
+            range: this.describeRange(data)
+        };
+
+        return this.analysisResults.transition;
+    }
+
     /**
      * 번호 정렬 (낮은 수가 왼쪽, 높은 수가 오른쪽)
      * @param {Array} numbers - 번호 배열
@@ -329,84 +1565,60 @@ class LottoAnalyzer {
 
     /**
      * 번호 추천 생성
-     * @param {Object} options - 추천 옵션
+     * strategy는 LottoStrategyRegistry에 등록된 전략 ID이며, params는 그 전략의 파라미터 스키마를 따른다.
+     * popularity: 'rank'이면 인기 위험도가 낮은 순으로 정렬하고, 'filter'이면 위험도 높은 조합을 제외한다.
+     * @param {Object} options - 추천 옵션 ({ numRecommendations, strategy, params, recentPeriod, range, seed, popularity })
      */
     generateRecommendations(options = {}) {
         const {
             numRecommendations = 5,
             strategy = 'mixed',
-            recentPeriod = 0
+            params = {},
+            recentPeriod = 0,
+            range = null,
+            seed = null,
+            popularity = 'none'
         } = options;
         
-        // 빈도 분석
-        const freqResult = this.frequencyAnalysis();
-        const recentResult = this.recentTrendAnalysis(recentPeriod);
-        const cycleResult = this.cycleAnalysis();
+        // 같은 시드로 다시 실행하면 같은 조합이 나오도록 호출마다 시드 기반 생성기를 사용한다.
+        const random = analysisDeps.LottoRandom.seeded(seed);
         
-        const recommendations = [];
+        // 전략들이 같은 분석 결과를 다시 계산하지 않도록 처음 요청될 때 한 번만 계산한다.
+        const cache = {};
+        const cached = (key, compute) => () => {
+            if (!(key in cache)) {
+                cache[key] = compute();
+            }
+            return cache[key];
+        };
+        const context = {
+            range: range,
+            recentPeriod: recentPeriod,
+            count: numRecommendations,
+            frequency: cached('frequency', () => this.frequencyAnalysis(range)),
+            recent: cached('recent', () => this.recentTrendAnalysis(recentPeriod, range)),
+            cycle: cached('cycle', () => this.cycleAnalysis(range)),
+            coOccurrence: cached('coOccurrence', () => this.coOccurrenceAnalysis({ range }))
+        };
         
         // 전략별 추천 번호 생성
-        if (strategy === 'frequency' || strategy === 'mixed') {
-            // 빈도 기반
-            const hotNumbers = freqResult.hotNumbers.map(([num]) => parseInt(num));
-            recommendations.push({
-                name: '빈도 기반 (Hot Numbers)',
-                type: 'hot',
-                numbers: this.sortNumbers(hotNumbers.slice(0, 6))
-            });
-        }
-        
-        if (strategy === 'gap' || strategy === 'mixed') {
-            // 미출현 기반
-            const gapNumbers = cycleResult.topGap.map(([num]) => parseInt(num));
-            recommendations.push({
-                name: '미출현 기반 (Due Numbers)',
-                type: 'cold',
-                numbers: this.sortNumbers(gapNumbers.slice(0, 6))
-            });
-        }
-        
-        if (strategy === 'balanced' || strategy === 'mixed') {
-            // 균형 전략 (홀짝 3:3, 고저 3:3)
-            const allNumbers = Object.keys(freqResult.frequencies)
-                .map(n => parseInt(n))
-                .sort((a, b) => freqResult.frequencies[b] - freqResult.frequencies[a]);
-            
-            const oddNumbers = allNumbers.filter(n => n % 2 === 1).slice(0, 3);
-            const evenNumbers = allNumbers.filter(n => n % 2 === 0).slice(0, 3);
-            
-            recommendations.push({
-                name: '균형 전략 (홀짝 3:3)',
-                type: 'balanced',
-                numbers: this.sortNumbers([...oddNumbers, ...evenNumbers])
-            });
-        }
+        let recommendations = this.getStrategyRegistry().run(strategy, this, params, random, context);
         
-        if (strategy === 'mixed') {
-            // 혼합 전략
-            const mixed = [];
-            const hotFreq = freqResult.hotNumbers.slice(0, 2).map(([num]) => parseInt(num));
-            const dueNumbers = cycleResult.topGap.slice(0, 2).map(([num]) => parseInt(num));
-            const recentHot = recentResult.hotNumbers.slice(0, 4).map(([num]) => parseInt(num));
-            
-            mixed.push(...hotFreq, ...dueNumbers.filter(n => !mixed.includes(n)));
-            
-            for (let num of recentHot) {
-                if (mixed.length < 6 && !mixed.includes(num)) {
-                    mixed.push(num);
-                }
-            }
-            
-            recommendations.push({
-                name: '혼합 전략',
-                type: 'mixed',
-                numbers: this.sortNumbers(mixed.slice(0, 6))
-            });
+        // 인기 위험도가 높은 조합 제외 (모자란 수는 무작위 조합으로 채운다)
+        const scorer = this.getPopularityScorer();
+        if (popularity === 'filter') {
+            recommendations = recommendations.filter(rec => !scorer.isHighRisk(scorer.score(rec.numbers)));
         }
         
-        // 추가 추천 조합 생성
+        // 추가 추천 조합 생성 (이미 있는 조합과 겹치지 않게)
+        const existing = new Set(recommendations.map(rec => rec.numbers.join(',')));
         while (recommendations.length < numRecommendations) {
-            const randomNumbers = this.sortNumbers(this.generateRandomNumbers());
+            const randomNumbers = this.generateRandomNumbers(random);
+            if (existing.has(randomNumbers.join(',')) ||
+                (popularity === 'filter' && scorer.isHighRisk(scorer.score(randomNumbers)))) {
+                continue;
+            }
+            existing.add(randomNumbers.join(','));
             recommendations.push({
                 name: `추천 조합 ${recommendations.length + 1}`,
                 type: 'random',
@@ -414,22 +1626,391 @@ class LottoAnalyzer {
             });
         }
         
-        this.analysisResults.recommendations = recommendations.slice(0, numRecommendations);
+        recommendations.forEach(rec => {
+            rec.seed = random.seed;
+            rec.popularity = scorer.score(rec.numbers);
+        });
+        
+        const selected = recommendations.slice(0, numRecommendations);
+        if (popularity === 'rank') {
+            selected.sort((a, b) => a.popularity.score - b.popularity.score);
+        }
+        
+        this.analysisResults.recommendations = selected;
         return this.analysisResults.recommendations;
     }
 
+    /**
+     * 추천 전략 레지스트리 (기본은 내장 전략과 사용자 전략이 함께 등록된 공용 레지스트리)
+     */
+    getStrategyRegistry() {
+        return this.strategyRegistry || analysisDeps.LottoStrategyRegistry.getDefault();
+    }
+
+    /**
+     * 인기 조합 위험도 평가기 (과거 1등 조합 목록을 재사용하기 위해 한 번만 생성)
+     */
+    getPopularityScorer() {
+        if (!this.popularityScorer) {
+            this.popularityScorer = new analysisDeps.LottoPopularityScorer(this);
+        }
+        return this.popularityScorer;
+    }
+
     /**
      * 랜덤 번호 생성
+     * @param {LottoRandom} random - 난수 생성기 (생략 시 암호학적 난수)
      */
-    generateRandomNumbers() {
-        const numbers = [];
-        while (numbers.length < 6) {
-            const num = Math.floor(Math.random() * 45) + 1;
-            if (!numbers.includes(num)) {
-                numbers.push(num);
+    generateRandomNumbers(random = this.random) {
+        return random.pickNumbers();
+    }
+
+    /**
+     * 가중 확률 샘플링용 번호별 가중치
+     * 전체 빈도, 최근 빈도, 미출현 비율(현재 미출현 기간 / 평균 주기)을 각각 번호 간 z-점수로 표준화하고
+     * 가중 합한 점수 s에 대해 선택 가중치를 exp(s / temperature)에 비례하게 둔다.
+     * temperature가 클수록 균등(1/45)에 가까워지고, 0이면 점수 순으로 고르는 탐욕적 선택이 된다.
+     * @param {Object} options - { frequencyWeight, recentWeight, cycleWeight, temperature, recentDraws, range }
+     * @returns {Object} { numbers[{ number, frequency, recent, gapRatio, frequencyScore, recentScore, cycleScore, score, weight }], temperature, greedy }
+     */
+    samplingWeights(options = {}) {
+        const {
+            frequencyWeight = 1,
+            recentWeight = 1,
+            cycleWeight = 1,
+            temperature = 1,
+            recentDraws = 30,
+            range = null
+        } = options;
+
+        if (!Number.isFinite(temperature) || temperature < 0) {
+            throw new Error(`온도는 0 이상이어야 합니다: ${temperature}`);
+        }
+
+        const freqResult = this.frequencyAnalysis(range);
+        const recentResult = this.recentTrendAnalysis(recentDraws, range);
+        const cycleResult = this.cycleAnalysis(range);
+        const totalDraws = freqResult.totalDraws;
+
+        const standardize = (values) => {
+            const mean = values.reduce((a, b) => a + b, 0) / values.length;
+            const sd = Math.sqrt(values.reduce((sum, v) => sum + Math.pow(v - mean, 2), 0) / values.length);
+            return values.map(v => sd > 0 ? (v - mean) / sd : 0);
+        };
+
+        const numbers = Array.from({ length: 45 }, (_, i) => i + 1);
+        const frequency = numbers.map(num => freqResult.frequencies[num]);
+        const recent = numbers.map(num => recentResult.frequencies[num]);
+        const gapRatio = numbers.map(num => cycleResult.currentGaps[num] / (cycleResult.averageCycles[num] || totalDraws));
+        const frequencyScore = standardize(frequency);
+        const recentScore = standardize(recent);
+        const cycleScore = standardize(gapRatio);
+
+        const scores = numbers.map((num, i) =>
+            frequencyWeight * frequencyScore[i] + recentWeight * recentScore[i] + cycleWeight * cycleScore[i]);
+
+        // softmax (최대 점수를 빼서 overflow 방지), 온도 0은 가중치 없이 점수 순
+        let weights = null;
+        if (temperature > 0) {
+            const maxScore = Math.max(...scores);
+            const raw = scores.map(score => Math.exp((score - maxScore) / temperature));
+            const total = raw.reduce((a, b) => a + b, 0);
+            weights = raw.map(value => value / total);
+        }
+
+        return {
+            numbers: numbers.map((num, i) => ({
+                number: num,
+                frequency: frequency[i],
+                recent: recent[i],
+                gapRatio: gapRatio[i],
+                frequencyScore: frequencyScore[i],
+                recentScore: recentScore[i],
+                cycleScore: cycleScore[i],
+                score: scores[i],
+                weight: weights ? weights[i] : null
+            })),
+            temperature: temperature,
+            greedy: temperature === 0,
+            recentDraws: recentResult.period,
+            range: freqResult.range
+        };
+    }
+
+    /**
+     * 가중치로 서로 다른 조합 count개 추출
+     * 조합마다 번호 6개를 비복원 순차 추출(남은 번호의 가중치에 비례)하고, 이미 나온 조합은 다시 뽑는다.
+     * 가중치가 한쪽에 몰려 새 조합이 잘 나오지 않거나 탐욕적 선택(온도 0)이면
+     * 점수 합이 큰 순서로 조합을 나열해 채우므로 항상 count개의 서로 다른 조합을 반환한다.
+     * @param {Object} sampling - samplingWeights 결과
+     * @param {number} count - 조합 수
+     * @param {LottoRandom} random - 난수 생성기
+     * @returns {Array} 번호 6개 배열의 배열
+     */
+    sampleWeightedCombinations(sampling, count, random = this.random) {
+        const combinations = [];
+        const seen = new Set();
+        const add = (numbers) => {
+            const sorted = this.sortNumbers(numbers);
+            const key = sorted.join(',');
+            if (!seen.has(key)) {
+                seen.add(key);
+                combinations.push(sorted);
             }
+        };
+
+        if (!sampling.greedy) {
+            const maxAttempts = count * 200;
+            for (let attempt = 0; attempt < maxAttempts && combinations.length < count; attempt++) {
+                const pool = sampling.numbers.map(item => ({ number: item.number, weight: item.weight }));
+                const picked = [];
+                for (let k = 0; k < 6; k++) {
+                    const total = pool.reduce((sum, item) => sum + item.weight, 0);
+                    let target = random.next() * total;
+                    let index = 0;
+                    while (index < pool.length - 1 && target >= pool[index].weight) {
+                        target -= pool[index].weight;
+                        index++;
+                    }
+                    picked.push(pool[index].number);
+                    pool.splice(index, 1);
+                }
+                add(picked);
+            }
+        }
+
+        // 점수 합 내림차순 조합 나열 (점수 순 번호의 인덱스 6개를 하나씩 뒤로 미는 최선 우선 탐색)
+        const ordered = [...sampling.numbers].sort((a, b) => b.score - a.score);
+        const sumOf = (indices) => indices.reduce((sum, i) => sum + ordered[i].score, 0);
+        const start = [0, 1, 2, 3, 4, 5];
+        const queue = [{ indices: start, sum: sumOf(start) }];
+        const visited = new Set([start.join(',')]);
+        while (combinations.length < count && queue.length > 0) {
+            let best = 0;
+            queue.forEach((item, index) => {
+                if (item.sum > queue[best].sum) best = index;
+            });
+            const { indices } = queue.splice(best, 1)[0];
+            add(indices.map(i => ordered[i].number));
+
+            for (let j = 0; j < 6; j++) {
+                const next = indices[j] + 1;
+                if (next < ordered.length && (j === 5 || next < indices[j + 1])) {
+                    const successor = [...indices];
+                    successor[j] = next;
+                    const key = successor.join(',');
+                    if (!visited.has(key)) {
+                        visited.add(key);
+                        queue.push({ indices: successor, sum: sumOf(successor) });
+                    }
+                }
+            }
+        }
+
+        return combinations;
+    }
+
+    /**
+     * 당첨 등수 판정
+     * 1등: 6개 일치, 2등: 5개 + 보너스, 3등: 5개, 4등: 4개, 5등: 3개
+     * @param {Array} numbers - 6개 번호 티켓
+     * @param {Object} draw - 회차 데이터
+     * @returns {Object} 일치 번호, 보너스 일치 여부, 등수 (낙첨 시 0)
+     */
+    getPrizeRank(numbers, draw) {
+        const winning = [draw.num1, draw.num2, draw.num3, draw.num4, draw.num5, draw.num6];
+        const matched = this.sortNumbers(numbers.filter(n => winning.includes(n)));
+        const matchCount = matched.length;
+        const bonusMatch = numbers.includes(draw.bonus);
+
+        let rank = 0;
+        if (matchCount === 6) {
+            rank = 1;
+        } else if (matchCount === 5) {
+            rank = bonusMatch ? 2 : 3;
+        } else if (matchCount === 4) {
+            rank = 4;
+        } else if (matchCount === 3) {
+            rank = 5;
         }
-        return numbers.sort((a, b) => a - b);
+
+        return {
+            matched: matched,
+            matchCount: matchCount,
+            bonusMatch: bonusMatch && matchCount === 5,
+            rank: rank
+        };
+    }
+
+    /**
+     * 회차별 등수 당첨금 추정
+     * 총 판매액의 50%가 당첨금이며, 4·5등 정액 지급 후 남은 금액을
+     * 1등 75%, 2등 12.5%, 3등 12.5%로 나누고 기대 당첨자 수로 나눈다.
+     * 1등은 기록된 first_prize를 우선 사용하고 2·3등은 추정치이다.
+     * @param {Object} draw - 회차 데이터
+     * @returns {Object} 등수별 1게임 당첨금 (원)
+     */
+    estimatePrizeAmounts(draw) {
+        const ticketPrice = this.getTicketPrice(draw.draw_no);
+        const totalSales = draw.total_prize || 0;
+        const tickets = totalSales / ticketPrice;
+        const combinations = 8145060;
+
+        const fixedPrizes = tickets * (11115 / combinations * 50000 + 182780 / combinations * 5000);
+        const remaining = Math.max(0, totalSales * 0.5 - fixedPrizes);
+
+        const secondWinners = Math.max(1, tickets * 6 / combinations);
+        const thirdWinners = Math.max(1, tickets * 228 / combinations);
+
+        return {
+            1: draw.first_prize > 0 ? draw.first_prize : Math.round(remaining * 0.75),
+            2: Math.round(remaining * 0.125 / secondWinners),
+            3: Math.round(remaining * 0.125 / thirdWinners),
+            4: 50000,
+            5: 5000
+        };
+    }
+
+    /**
+     * 1게임 가격 (제88회부터 2,000원 → 1,000원)
+     * @param {number} drawNo - 회차 번호
+     */
+    getTicketPrice(drawNo) {
+        return drawNo < 88 ? 2000 : 1000;
+    }
+
+    /**
+     * 인기 패턴 정의 (많은 사람이 고를 법한 당첨번호 특징)
+     * value는 회차 번호에서 계산한 수치, threshold 이상이면 패턴에 해당한다.
+     */
+    getPopularPatterns() {
+        return [
+            { key: 'consecutive', label: '3개 이상 연속 번호', threshold: 3, value: nums => this.longestRun(nums) },
+            { key: 'multiplesOf7', label: '7의 배수 3개 이상', threshold: 3, value: nums => nums.filter(n => n % 7 === 0).length },
+            { key: 'birthday', label: '모두 31 이하 (생일 번호)', threshold: 6, value: nums => nums.filter(n => n <= 31).length },
+            { key: 'sameEnding', label: '같은 끝자리 3개 이상', threshold: 3, value: nums => this.maxSameEnding(nums) },
+            { key: 'lowAC', label: 'AC 값 6 이하 (규칙적 배열)', threshold: 1, value: nums => this.calculateAC(nums) <= 6 ? 1 : 0 }
+        ];
+    }
+
+    /**
+     * 판매액/1등 당첨금 분석
+     * total_prize(총 판매액), first_prize(1등 1인당 당첨금), first_winners(1등 당첨자 수)를 사용한다.
+     * 1등 당첨자 수는 판매량에 비례하므로, 인기 패턴과의 관계는 판매량 대비 기대 당첨자 수로 나눈 비율로 비교한다.
+     * @param {Object} range - 분석 구간 (생략 시 전체)
+     */
+    prizeAnalysis(range = null) {
+        const combinations = analysisDeps.LottoStats.combination(45, 6);
+        const data = this.getRangeData(range).filter(d =>
+            typeof d.total_prize === 'number' && typeof d.first_prize === 'number' && typeof d.first_winners === 'number' &&
+            d.total_prize > 0
+        );
+
+        if (data.length === 0) {
+            throw new Error('당첨금 정보가 있는 회차가 없습니다.');
+        }
+
+        const series = data.map(d => {
+            const tickets = d.total_prize / this.getTicketPrice(d.draw_no);
+            const expectedWinners = tickets / combinations;
+            return {
+                drawNo: d.draw_no,
+                date: d.draw_date,
+                totalSales: d.total_prize,
+                firstPrize: d.first_prize,
+                firstWinners: d.first_winners,
+                expectedWinners: expectedWinners,
+                winnerRatio: d.first_winners / expectedWinners,
+                numbers: this.sortNumbers(this.getDrawNumbers(d))
+            };
+        });
+
+        // 연도별 집계
+        const years = {};
+        series.forEach(item => {
+            const year = item.date.slice(0, 4);
+            const entry = years[year] || (years[year] = { year: year, draws: 0, totalSales: 0, firstPrizeSum: 0, winnerDraws: 0, zeroWinnerDraws: 0, winners: 0 });
+            entry.draws++;
+            entry.totalSales += item.totalSales;
+            entry.winners += item.firstWinners;
+            if (item.firstWinners > 0) {
+                entry.winnerDraws++;
+                entry.firstPrizeSum += item.firstPrize;
+            } else {
+                entry.zeroWinnerDraws++;
+            }
+        });
+        const yearly = Object.values(years).map(entry => ({
+            year: entry.year,
+            draws: entry.draws,
+            totalSales: entry.totalSales,
+            averageSales: entry.totalSales / entry.draws,
+            averageFirstPrize: entry.winnerDraws > 0 ? entry.firstPrizeSum / entry.winnerDraws : 0,
+            averageWinners: entry.winners / entry.draws,
+            zeroWinnerDraws: entry.zeroWinnerDraws
+        }));
+
+        // 1등 당첨자 수 분포와 당첨자 없는 회차 (무작위 선택이라면 P(0명) ≈ e^-기대 당첨자 수)
+        const winnerCounts = {};
+        series.forEach(item => {
+            winnerCounts[item.firstWinners] = (winnerCounts[item.firstWinners] || 0) + 1;
+        });
+        const zeroWinner = series.filter(item => item.firstWinners === 0);
+        const expectedZeroWinnerDraws = series.reduce((sum, item) => sum + Math.exp(-item.expectedWinners), 0);
+
+        const withWinners = series.filter(item => item.firstWinners > 0);
+        const prizes = withWinners.map(item => item.firstPrize).sort((a, b) => a - b);
+        const byPrize = [...withWinners].sort((a, b) => b.firstPrize - a.firstPrize);
+        const bySales = [...series].sort((a, b) => b.totalSales - a.totalSales);
+        const median = prizes.length === 0 ? 0 : (prizes.length % 2 === 1
+            ? prizes[(prizes.length - 1) / 2]
+            : (prizes[prizes.length / 2 - 1] + prizes[prizes.length / 2]) / 2);
+
+        // 인기 패턴과 당첨자 비율의 관계
+        const ratios = series.map(item => item.winnerRatio);
+        const average = (items) => items.length > 0 ? items.reduce((sum, item) => sum + item.winnerRatio, 0) / items.length : null;
+        const patterns = this.getPopularPatterns().map(pattern => {
+            const values = series.map(item => pattern.value(item.numbers));
+            const matched = series.filter((item, index) => values[index] >= pattern.threshold);
+            const others = series.filter((item, index) => values[index] < pattern.threshold);
+            return {
+                key: pattern.key,
+                label: pattern.label,
+                draws: matched.length,
+                averageRatio: average(matched),
+                otherAverageRatio: average(others),
+                correlation: analysisDeps.LottoStats.pearsonCorrelation(values, ratios),
+                examples: matched.slice(-3).reverse().map(item => ({ drawNo: item.drawNo, numbers: item.numbers, firstWinners: item.firstWinners }))
+            };
+        });
+
+        this.analysisResults.prize = {
+            series: series,
+            yearly: yearly,
+            sales: {
+                total: series.reduce((sum, item) => sum + item.totalSales, 0),
+                average: series.reduce((sum, item) => sum + item.totalSales, 0) / series.length,
+                max: bySales[0],
+                latest: series[series.length - 1]
+            },
+            firstPrize: {
+                average: prizes.length > 0 ? prizes.reduce((a, b) => a + b, 0) / prizes.length : 0,
+                median: median,
+                max: byPrize[0] || null,
+                min: byPrize[byPrize.length - 1] || null
+            },
+            winnerDistribution: Object.entries(winnerCounts)
+                .map(([winners, count]) => [parseInt(winners), count])
+                .sort(([a], [b]) => a - b),
+            zeroWinnerDraws: zeroWinner.map(item => ({ drawNo: item.drawNo, date: item.date, totalSales: item.totalSales })),
+            expectedZeroWinnerDraws: expectedZeroWinnerDraws,
+            averageWinnerRatio: ratios.reduce((a, b) => a + b, 0) / ratios.length,
+            patterns: patterns,
+            totalDraws: series.length,
+            range: this.describeRange(data)
+        };
+
+        return this.analysisResults.prize;
     }
 
     /**
@@ -439,22 +2020,24 @@ class LottoAnalyzer {
     runFullAnalysis(options = {}) {
         const {
             recentPeriod = 0,
-            includeRecommendations = true
+            includeRecommendations = true,
+            range = null
         } = options;
         
         console.log('전체 분석 시작...');
         
         // 각 분석 실행
-        this.frequencyAnalysis();
-        this.recentTrendAnalysis(recentPeriod);
-        this.patternAnalysis();
-        this.consecutiveAnalysis();
-        this.endingDigitAnalysis();
-        this.cycleAnalysis();
+        this.frequencyAnalysis(range);
+        this.recentTrendAnalysis(recentPeriod, range);
+        this.patternAnalysis(range);
+        this.consecutiveAnalysis(range);
+        this.endingDigitAnalysis(range);
+        this.cycleAnalysis(range);
         
         if (includeRecommendations) {
             this.generateRecommendations({
                 recentPeriod: recentPeriod,
+                range: range,
                 strategy: 'mixed',
                 numRecommendations: 5
             });
@@ -472,11 +2055,17 @@ class LottoAnalyzer {
             return null;
         }
         
+        const prizeDraws = this.data.filter(d => typeof d.total_prize === 'number' && typeof d.first_winners === 'number');
+        const totalSales = prizeDraws.reduce((sum, d) => sum + d.total_prize, 0);
+        
         return {
             totalDraws: this.data.length,
             startDate: this.data[0].draw_date,
             endDate: this.data[this.data.length - 1].draw_date,
-            latestDraw: this.data[this.data.length - 1].draw_no
+            latestDraw: this.data[this.data.length - 1].draw_no,
+            totalSales: totalSales,
+            averageSales: prizeDraws.length > 0 ? totalSales / prizeDraws.length : 0,
+            zeroWinnerDraws: prizeDraws.filter(d => d.first_winners === 0).length
         };
     }
 }
@@ -484,4 +2073,9 @@ class LottoAnalyzer {
 // 전역 변수として 사용할 수 있도록 내보내기
 if (typeof window !== 'undefined') {
     window.LottoAnalyzer = LottoAnalyzer;
+}
+
+// Node.js(CommonJS)에서 사용할 수 있도록 내보내기
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = LottoAnalyzer;
 }
\ No newline at end of file
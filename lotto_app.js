@@ -6,9 +6,27 @@
 class LottoWebApp {
     constructor() {
         this.analyzer = new LottoAnalyzer();
+        this.ticketChecker = new LottoTicketChecker(this.analyzer);
+        this.backtester = new LottoBacktester(this.analyzer);
+        this.generator = new LottoCombinationGenerator(this.analyzer);
+        this.oddsCalculator = new LottoOddsCalculator(this.analyzer);
+        this.simulator = new LottoSimulator(this.analyzer);
+        this.workerClient = new LottoWorkerClient({
+            analyzer: this.analyzer,
+            ticketChecker: this.ticketChecker,
+            backtester: this.backtester,
+            generator: this.generator,
+            odds: this.oddsCalculator,
+            simulator: this.simulator
+        });
         this.chartManager = new LottoChart();
+        this.strategyRegistry = LottoStrategyRegistry.getDefault();
+        this.storage = new LottoStorage();
+        this.wallet = new LottoWallet(this.analyzer, this.storage);
         this.currentData = null;
         this.currentTab = 'overview';
+        this.currentRange = null;
+        this.lastResults = {};
         
         this.init();
     }
@@ -17,16 +35,168 @@ class LottoWebApp {
      * 애플리케이션 초기화
      */
     init() {
+        this.setupNumberPicker();
+        this.setupStrategyControls();
         this.setupEventListeners();
         this.setupTabNavigation();
         // 페이지 로드 시 자동으로 데이터 로드
         this.loadHistoryData();
     }
 
+    /**
+     * 추천 전략 선택/파라미터 컨트롤 설정
+     * 전략 목록은 레지스트리에서 만들고, 전략이 등록·삭제되면 다시 그린다.
+     */
+    setupStrategyControls() {
+        this.strategySelects = [...document.querySelectorAll('select[data-params]')];
+        this.strategySelects.forEach(select => {
+            select.addEventListener('change', () => this.renderStrategyParams(select));
+        });
+
+        this.renderStrategyOptions();
+        this.strategyRegistry.onChange(() => this.renderStrategyOptions());
+    }
+
+    /**
+     * 전략 선택 목록 다시 그리기 (선택했던 전략이 남아 있으면 유지)
+     */
+    renderStrategyOptions() {
+        const strategies = this.strategyRegistry.list();
+
+        this.strategySelects.forEach(select => {
+            const previous = select.value;
+            select.innerHTML = strategies.map(strategy => `
+                <option value="${strategy.id}" title="${strategy.description}">${strategy.label}${strategy.builtin ? '' : ' (사용자)'}</option>
+            `).join('');
+            if (strategies.some(strategy => strategy.id === previous)) {
+                select.value = previous;
+            }
+            this.renderStrategyParams(select);
+        });
+    }
+
+    /**
+     * 선택한 전략의 파라미터 스키마로 입력 컨트롤 생성
+     * @param {HTMLSelectElement} select - 전략 선택 요소 (data-params에 컨테이너 ID)
+     */
+    renderStrategyParams(select) {
+        const container = document.getElementById(select.dataset.params);
+        if (!select.value) {
+            container.innerHTML = '';
+            return;
+        }
+
+        const strategy = this.strategyRegistry.get(select.value);
+        container.innerHTML = strategy.params.map(param => {
+            const id = `${select.id}-${param.key}`;
+            const label = param.label || param.key;
+
+            if (param.type === 'boolean') {
+                return `
+                    <label class="checkbox-label">
+                        <input type="checkbox" id="${id}" data-param-key="${param.key}"${param.default ? ' checked' : ''}> ${label}
+                    </label>
+                `;
+            }
+
+            const control = param.type === 'select'
+                ? `<select id="${id}" data-param-key="${param.key}">
+                        ${param.options.map(option => `
+                            <option value="${option.value}"${option.value === param.default ? ' selected' : ''}>${option.label || option.value}</option>
+                        `).join('')}
+                    </select>`
+                : `<input type="number" id="${id}" data-param-key="${param.key}" value="${param.default !== undefined ? param.default : ''}"
+                        ${param.min !== undefined ? `min="${param.min}"` : ''} ${param.max !== undefined ? `max="${param.max}"` : ''} ${param.step !== undefined ? `step="${param.step}"` : ''}>`;
+
+            return `
+                <div class="option-group">
+                    <label for="${id}">${label}:</label>
+                    ${control}
+                </div>
+            `;
+        }).join('');
+    }
+
+    /**
+     * 전략 파라미터 입력값 읽기 (검증과 타입 변환은 레지스트리에서 한다)
+     * @param {string} selectId - 전략 선택 요소 ID
+     * @returns {Object} { strategy, params, local }
+     */
+    getStrategyOptions(selectId) {
+        const select = document.getElementById(selectId);
+        const params = {};
+        document.getElementById(select.dataset.params).querySelectorAll('[data-param-key]').forEach(input => {
+            params[input.dataset.paramKey] = input.type === 'checkbox' ? input.checked : input.value;
+        });
+
+        // 사용자 전략은 함수라서 워커로 보낼 수 없으므로 메인 스레드에서 실행한다
+        return {
+            strategy: select.value,
+            params: params,
+            local: !this.strategyRegistry.get(select.value).builtin
+        };
+    }
+
+    /**
+     * 사용자 추천 전략 등록 (전략 목록과 파라미터 컨트롤에 바로 나타난다)
+     * @param {Object} strategy - { id, label, color, params, generate(analyzer, params, rng, context) }
+     */
+    registerStrategy(strategy) {
+        this.strategyRegistry.register(strategy);
+        return this.strategyRegistry.get(strategy.id);
+    }
+
     /**
      * 이벤트 리스너 설정 (데이터 로드 관련 제거)
      */
     setupEventListeners() {
+        // 데이터 파일 업로드
+        document.getElementById('dataFile').addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            if (file) {
+                document.getElementById('fileName').textContent = file.name;
+                this.loadFile(file);
+            }
+            e.target.value = '';
+        });
+
+        // 회차 추가/병합 버튼들
+        document.getElementById('addDraw').addEventListener('click', () => {
+            this.addDrawFromForm();
+        });
+
+        document.getElementById('mergePasted').addEventListener('click', () => {
+            this.mergePastedData();
+        });
+
+        document.getElementById('clearLocalHistory').addEventListener('click', () => {
+            this.clearLocalHistory();
+        });
+
+        // 분석 구간
+        document.getElementById('rangePreset').addEventListener('change', () => {
+            this.updateRangeInputs();
+        });
+
+        document.getElementById('includeBonus').addEventListener('change', () => {
+            if (this.currentData) {
+                this.rerunActiveTab();
+            }
+        });
+
+        document.getElementById('applyRange').addEventListener('click', () => {
+            if (this.applyRange()) {
+                this.rerunActiveTab();
+            }
+        });
+
+        // CSV 내보내기 버튼들
+        document.querySelectorAll('[data-export]').forEach(button => {
+            button.addEventListener('click', () => {
+                this.exportCsv(button.getAttribute('data-export'));
+            });
+        });
+
         // 분석 버튼들
         document.getElementById('analyzeFrequency').addEventListener('click', () => {
             this.analyzeFrequency();
@@ -36,15 +206,92 @@ class LottoWebApp {
             this.analyzePattern();
         });
 
+        document.getElementById('analyzeDistribution').addEventListener('click', () => {
+            this.analyzeDistribution();
+        });
+
+        document.getElementById('analyzeBonus').addEventListener('click', () => {
+            this.analyzeBonus();
+        });
+
+        document.getElementById('analyzeCoOccurrence').addEventListener('click', () => {
+            this.analyzeCoOccurrence();
+        });
+
         document.getElementById('analyzeCycle').addEventListener('click', () => {
             this.analyzeCycle();
         });
 
+        // 간격 분포 번호 선택 (1~45)
+        const gapNumber = document.getElementById('gapNumber');
+        for (let num = 1; num <= 45; num++) {
+            gapNumber.add(new Option(`${num}번`, num));
+        }
+        gapNumber.addEventListener('change', () => {
+            if (this.lastResults.cycle) {
+                this.chartManager.createGapChart(this.lastResults.cycle, parseInt(gapNumber.value) || null);
+            }
+        });
+
+        document.getElementById('analyzeTransition').addEventListener('click', () => {
+            this.analyzeTransition();
+        });
+
         // 추천 버튼
         document.getElementById('generateRecommendations').addEventListener('click', () => {
             this.generateRecommendations();
         });
 
+        // 조건부 조합 생성 버튼
+        document.getElementById('generateConstrained').addEventListener('click', () => {
+            this.generateConstrained();
+        });
+
+        // 당첨 확인 버튼
+        document.getElementById('checkTickets').addEventListener('click', () => {
+            this.checkTickets();
+        });
+
+        // 티켓 지갑
+        document.getElementById('addToWallet').addEventListener('click', () => {
+            this.addToWallet();
+        });
+
+        document.getElementById('saveRecommendations').addEventListener('click', () => {
+            this.saveRecommendationsToWallet();
+        });
+
+        document.getElementById('clearWallet').addEventListener('click', () => {
+            this.clearWallet();
+        });
+
+        document.getElementById('walletResult').addEventListener('click', (e) => {
+            const button = e.target.closest('[data-wallet-remove]');
+            if (button) {
+                this.removeWalletTicket(button.dataset.walletRemove);
+            }
+        });
+
+        // 당첨 확률 계산 버튼
+        document.getElementById('calculateOdds').addEventListener('click', () => {
+            this.calculateOdds();
+        });
+
+        // 백테스트 버튼
+        document.getElementById('runBacktest').addEventListener('click', () => {
+            this.runBacktest();
+        });
+
+        // 공정 추첨 시뮬레이션 버튼
+        document.getElementById('runSimulation').addEventListener('click', () => {
+            this.runSimulation();
+        });
+
+        // 작업 취소 버튼
+        document.getElementById('cancelJob').addEventListener('click', () => {
+            this.workerClient.cancel();
+        });
+
         // 차트 버튼들
         document.getElementById('showFrequencyChart').addEventListener('click', () => {
             this.showFrequencyChart();
@@ -57,6 +304,34 @@ class LottoWebApp {
         document.getElementById('showPatternChart').addEventListener('click', () => {
             this.showPatternChart();
         });
+
+        document.getElementById('showRollingChart').addEventListener('click', () => {
+            this.showRollingChart();
+        });
+
+        document.getElementById('clearRollingNumbers').addEventListener('click', () => {
+            document.querySelectorAll('#rollingNumberPicker .number-ball').forEach(ball => {
+                ball.classList.remove('selected');
+            });
+        });
+    }
+
+    /**
+     * 이동 출현율 차트용 번호 선택기 생성
+     */
+    setupNumberPicker() {
+        const picker = document.getElementById('rollingNumberPicker');
+        for (let num = 1; num <= 45; num++) {
+            const ball = document.createElement('button');
+            ball.type = 'button';
+            ball.className = `number-ball ${this.getNumberColorClass(num)}`;
+            ball.textContent = num;
+            ball.setAttribute('data-number', num);
+            ball.addEventListener('click', () => {
+                ball.classList.toggle('selected');
+            });
+            picker.appendChild(ball);
+        }
     }
 
     /**
@@ -98,74 +373,415 @@ class LottoWebApp {
         }
     }
 
+    /**
+     * 선택한 구간 종류에 맞는 입력란만 표시
+     */
+    updateRangeInputs() {
+        const preset = document.getElementById('rangePreset').value;
+        document.querySelectorAll('.range-input').forEach(group => {
+            group.hidden = group.getAttribute('data-range') !== preset;
+        });
+    }
+
+    /**
+     * 구간 입력값을 분석 구간으로 변환
+     * @returns {Object|null} 분석 구간 (전체 회차이면 null)
+     */
+    readRangeForm() {
+        const value = (id) => document.getElementById(id).value;
+
+        switch (document.getElementById('rangePreset').value) {
+            case 'draws':
+                return { fromDraw: value('rangeFromDraw'), toDraw: value('rangeToDraw') };
+            case 'year':
+                return { year: value('rangeYear') };
+            case 'dates':
+                return { fromDate: value('rangeFromDate'), toDate: value('rangeToDate') };
+            case 'before88':
+                return { toDraw: 87 };
+            case 'after88':
+                return { fromDraw: 88 };
+            case 'recent100':
+                return { fromDraw: Math.max(1, this.getLatestDrawNo(this.currentData) - 99) };
+            default:
+                return null;
+        }
+    }
+
+    /**
+     * 분석 구간 적용
+     * @returns {boolean} 적용 성공 여부
+     */
+    applyRange() {
+        if (!this.currentData) {
+            this.showStatus('error', '데이터를 먼저 로드해주세요.');
+            return false;
+        }
+
+        const range = this.readRangeForm();
+        let info;
+        try {
+            info = this.analyzer.describeRange(this.analyzer.getRangeData(range));
+        } catch (error) {
+            this.showStatus('error', error.message);
+            return false;
+        }
+
+        this.currentRange = range;
+        document.getElementById('rangeLabel').textContent = range
+            ? `${info.fromDraw}~${info.toDraw}회 (${info.totalDraws}회차, ${info.startDate} ~ ${info.endDate})`
+            : `전체 회차 (${info.totalDraws}회차)`;
+        return true;
+    }
+
+    /**
+     * 보너스 번호 포함 옵션 (빈도/패턴/주기 분석용)
+     * @returns {Object} { includeBonus }
+     */
+    getBonusOption() {
+        return { includeBonus: document.getElementById('includeBonus').checked };
+    }
+
+    /**
+     * 현재 탭의 분석을 다시 실행 (분석 구간 변경 시)
+     */
+    rerunActiveTab() {
+        const actions = {
+            overview: () => this.displayPrizeDashboard(),
+            frequency: () => this.analyzeFrequency(),
+            pattern: () => this.analyzePattern(),
+            cycle: () => this.analyzeCycle(),
+            recommend: () => this.generateRecommendations(),
+            visualization: () => {
+                this.showFrequencyChart();
+                if (this.chartManager.charts.rolling) {
+                    this.showRollingChart();
+                }
+            }
+        };
+
+        if (actions[this.currentTab]) {
+            actions[this.currentTab]();
+        }
+    }
+
 
 
     /**
-     * 파일 로드
+     * 파일 로드 (JSON/CSV 자동 감지)
      * @param {File} file - 업로드된 파일
      */
     loadFile(file) {
         const reader = new FileReader();
         
         reader.onload = (e) => {
+            const text = e.target.result;
+            const fileType = this.detectFileType(file.name, text);
+            
             try {
-                const data = JSON.parse(e.target.result);
-                this.processData(data, '파일에서 데이터 로드 완료');
+                const data = fileType === 'csv' ? LottoCsv.parse(text) : JSON.parse(text);
+                if (document.getElementById('mergeUpload').checked) {
+                    this.mergeRecords(data, `${fileType.toUpperCase()} 파일`);
+                } else {
+                    this.processData(data, `${fileType.toUpperCase()} 파일에서 데이터 로드 완료`);
+                }
             } catch (error) {
-                this.showStatus('error', '파일 형식이 올바르지 않습니다. JSON 파일을 선택해주세요.');
+                this.showStatus('error', `파일 형식이 올바르지 않습니다 (${fileType.toUpperCase()}): ${error.message}`);
             }
         };
         
-        reader.readAsText(file);
+        reader.readAsText(file, 'UTF-8');
+    }
+
+    /**
+     * 파일 형식 감지 (확장자 우선, 없으면 내용으로 판단)
+     * @param {string} fileName - 파일 이름
+     * @param {string} text - 파일 내용
+     * @returns {string} 'json' 또는 'csv'
+     */
+    detectFileType(fileName, text) {
+        const extension = fileName.split('.').pop().toLowerCase();
+        if (extension === 'csv' || extension === 'json') {
+            return extension;
+        }
+        
+        const firstChar = text.replace(/^\uFEFF/, '').trimStart().charAt(0);
+        return firstChar === '[' || firstChar === '{' ? 'json' : 'csv';
+    }
+
+    /**
+     * 분석 결과 CSV 내보내기
+     * @param {string} type - 결과 종류 (history, frequency, cycle, recommendations)
+     */
+    exportCsv(type) {
+        const result = type === 'history' ? this.currentData : this.lastResults[type];
+        if (!result) {
+            this.showStatus('error', '내보낼 결과가 없습니다. 먼저 분석을 실행해주세요.');
+            return;
+        }
+
+        try {
+            const csv = LottoCsv.exportResult(type, result);
+            const fileName = type === 'history' ? 'lotto_history.csv' : `lotto_${type}.csv`;
+            this.downloadFile(fileName, csv, 'text/csv;charset=utf-8');
+            this.showStatus('success', `${fileName} 파일을 내보냈습니다.`);
+        } catch (error) {
+            this.showStatus('error', `CSV 내보내기 오류: ${error.message}`);
+        }
+    }
+
+    /**
+     * 파일 다운로드
+     * @param {string} fileName - 파일 이름
+     * @param {string} content - 파일 내용
+     * @param {string} mimeType - MIME 타입
+     */
+    downloadFile(fileName, content, mimeType) {
+        const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = fileName;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        URL.revokeObjectURL(url);
     }
 
     /**
      * 기존 데이터 로드 (lotto_history.json)
+     * 로컬에 병합해 둔 데이터가 번들 데이터보다 최신이면 로컬 데이터를 우선 사용한다.
      */
     async loadHistoryData() {
         this.showLoading(true);
         
         try {
-            // 기본적으로 데모 데이터 로드
-            let data = this.generateDemoData();
+            const local = await this.loadLocalHistory();
+            const localMessage = local
+                ? `로컬 저장 데이터 로드 완료 (${new Date(local.updatedAt).toLocaleString()} 저장)`
+                : '';
             
-            // lotto_history.json이 있으면 그것을 덮어쓰기
+            let response;
             try {
-                const response = await fetch('lotto_history.json');
-                if (response.ok) {
-                    const realData = await response.json();
-                    if (Array.isArray(realData) && realData.length > 0) {
-                        data = realData;
-                        this.showStatus('success', '실제 데이터로 업데이트되었습니다.');
-                    }
-                }
+                response = await fetch('lotto_history.json');
             } catch (fetchError) {
+                response = null;
+            }
+            
+            // 파일을 가져올 수 없을 때만 데모 데이터 사용
+            if (!response || !response.ok) {
+                if (local && this.processData(local.data, localMessage)) {
+                    return;
+                }
                 console.log('lotto_history.json을 찾을 수 없어 데모 데이터를 사용합니다.');
+                this.loadDemoData();
+                return;
+            }
+            
+            // 파일 내용이 잘못된 경우에는 데모 데이터로 대체하지 않고 검증 보고서를 표시
+            let data;
+            try {
+                data = await response.json();
+            } catch (parseError) {
+                if (local && this.processData(local.data, localMessage)) {
+                    return;
+                }
+                this.displayValidationReport({
+                    valid: false,
+                    totalRecords: 0,
+                    errors: [{ index: -1, field: null, message: `JSON 형식 오류: ${parseError.message}` }],
+                    warnings: []
+                });
+                this.showStatus('error', 'lotto_history.json 파일 형식이 올바르지 않습니다.');
+                this.updateOverview();
+                return;
+            }
+            
+            if (local && this.getLatestDrawNo(local.data) >= this.getLatestDrawNo(data) &&
+                this.processData(local.data, localMessage)) {
+                return;
             }
             
             this.processData(data, '데이터 로드 완료');
-        } catch (error) {
-            console.error('데이터 로드 오류:', error);
-            // 오류 시에도 데모 데이터 사용
-            const demoData = this.generateDemoData();
-            this.processData(demoData, '데모 데이터로 로드되었습니다.');
         } finally {
             this.showLoading(false);
         }
     }
 
+    /**
+     * 로컬에 저장된 병합 데이터 읽기
+     * @returns {Promise<Object|null>} { data, updatedAt } 또는 null
+     */
+    async loadLocalHistory() {
+        try {
+            const saved = await this.storage.get('history');
+            return saved && Array.isArray(saved.data) && saved.data.length > 0 ? saved : null;
+        } catch (error) {
+            console.warn(`로컬 저장 데이터를 읽을 수 없습니다: ${error.message}`);
+            return null;
+        }
+    }
+
+    /**
+     * 데이터의 최신 회차 번호
+     * @param {Array} data - 로또 데이터 배열
+     */
+    getLatestDrawNo(data) {
+        return Array.isArray(data) && data.length > 0 ? data[data.length - 1].draw_no : 0;
+    }
+
+    /**
+     * 새 회차 데이터를 병합하고 로컬 저장소에 저장
+     * @param {Array|Object} records - 추가할 회차 데이터
+     * @param {string} label - 데이터 출처 (메시지용)
+     */
+    async mergeRecords(records, label) {
+        if (!this.currentData) {
+            this.showStatus('error', '데이터를 먼저 로드해주세요.');
+            return;
+        }
+
+        let result;
+        try {
+            const overwrite = document.getElementById('mergeOverwrite').checked;
+            result = this.analyzer.mergeData(records, { overwrite });
+        } catch (error) {
+            this.showStatus('error', `병합 오류: ${error.message}`);
+            return;
+        }
+
+        this.displayMergeResult(result);
+
+        if (result.added.length + result.replaced.length === 0) {
+            this.showStatus('info', '추가되거나 변경된 회차가 없습니다.');
+            return;
+        }
+
+        if (!this.processData(result.data, `${label} 병합 완료`, { demo: this.wallet.demo })) {
+            return;
+        }
+
+        try {
+            await this.storage.set('history', {
+                data: result.data,
+                updatedAt: new Date().toISOString()
+            });
+        } catch (error) {
+            this.showStatus('error', `병합된 데이터를 로컬에 저장하지 못했습니다: ${error.message}`);
+        }
+    }
+
+    /**
+     * 병합 결과 표시
+     * @param {Object} result - mergeData 결과
+     */
+    displayMergeResult(result) {
+        const container = document.getElementById('mergeResult');
+        
+        let html = `
+            <div style="margin-top: 15px; padding: 15px; background: #f8f9fa; border-radius: 8px;">
+                <p><strong>🔀 병합 결과:</strong></p>
+                <p>• 추가: ${result.added.length}회차${result.added.length > 0 ? ` (${this.escapeHtml(result.added.join(', '))}회)` : ''}</p>
+                <p>• 중복(동일 데이터): ${result.duplicates.length}회차</p>
+                <p>• 충돌: ${result.conflicts.length}회차${result.replaced.length > 0 ? ` (덮어씀 ${result.replaced.length}회차)` : ''}</p>
+        `;
+        
+        result.conflicts.forEach(conflict => {
+            const details = conflict.fields
+                .map(field => `${this.escapeHtml(field)}: ${this.escapeHtml(conflict.existing[field])} → ${this.escapeHtml(conflict.incoming[field])}`)
+                .join(', ');
+            const action = result.replaced.includes(conflict.drawNo) ? '덮어씀' : '기존 유지';
+            html += `<p style="color: #991b1b;">&nbsp;&nbsp;- ${this.escapeHtml(conflict.drawNo)}회 [${action}] ${details}</p>`;
+        });
+        
+        html += '</div>';
+        container.innerHTML = html;
+    }
+
+    /**
+     * 입력 폼의 회차 추가
+     */
+    addDrawFromForm() {
+        const readNumber = (id) => {
+            const value = document.getElementById(id).value;
+            return value === '' ? undefined : Number(value);
+        };
+        const numbers = [...document.querySelectorAll('.new-draw-number')]
+            .map(input => input.value === '' ? undefined : Number(input.value));
+        
+        const record = {
+            draw_no: readNumber('newDrawNo'),
+            draw_date: document.getElementById('newDrawDate').value,
+            num1: numbers[0],
+            num2: numbers[1],
+            num3: numbers[2],
+            num4: numbers[3],
+            num5: numbers[4],
+            num6: numbers[5],
+            bonus: readNumber('newDrawBonus')
+        };
+        
+        if (Object.values(record).some(value => value === undefined || value === '')) {
+            this.showStatus('error', '회차, 추첨일, 번호 6개, 보너스 번호를 모두 입력해주세요.');
+            return;
+        }
+        
+        // 당첨금 정보는 선택 입력
+        const prizeInputs = { total_prize: 'newDrawTotalPrize', first_prize: 'newDrawFirstPrize', first_winners: 'newDrawFirstWinners' };
+        Object.entries(prizeInputs).forEach(([field, id]) => {
+            const value = readNumber(id);
+            if (value !== undefined) {
+                record[field] = value;
+            }
+        });
+        
+        this.mergeRecords([record], `${record.draw_no}회`);
+    }
+
+    /**
+     * 붙여넣은 JSON/CSV 데이터 병합
+     */
+    mergePastedData() {
+        const text = document.getElementById('mergeInput').value.trim();
+        if (text === '') {
+            this.showStatus('error', '병합할 데이터를 붙여넣어 주세요.');
+            return;
+        }
+        
+        try {
+            const records = this.detectFileType('', text) === 'csv' ? LottoCsv.parse(text) : JSON.parse(text);
+            this.mergeRecords(records, '붙여넣은 데이터');
+        } catch (error) {
+            this.showStatus('error', `데이터 형식이 올바르지 않습니다: ${error.message}`);
+        }
+    }
+
+    /**
+     * 로컬 저장 데이터 삭제 후 번들 데이터 다시 로드
+     */
+    async clearLocalHistory() {
+        try {
+            await this.storage.remove('history');
+            document.getElementById('mergeResult').innerHTML = '';
+            await this.loadHistoryData();
+        } catch (error) {
+            this.showStatus('error', `로컬 저장 데이터 삭제 실패: ${error.message}`);
+        }
+    }
+
     /**
      * 데모 데이터 로드 (백업용)
      */
     loadDemoData() {
-        const demoData = this.generateDemoData();
-        this.processData(demoData, '데모 데이터를 로드했습니다.');
+        const random = LottoRandom.seeded();
+        const demoData = this.generateDemoData(random);
+        this.processData(demoData, `데모 데이터를 로드했습니다 (시드 ${random.seed}).`, { demo: true });
     }
 
     /**
      * 데모 데이터 생성
+     * @param {LottoRandom} random - 난수 생성기
      */
-    generateDemoData() {
+    generateDemoData(random) {
         const data = [];
         const startDate = new Date('2023-01-01');
         
@@ -173,7 +789,7 @@ class LottoWebApp {
             const date = new Date(startDate);
             date.setDate(date.getDate() + (i - 1) * 7); // 주마다
             
-            const numbers = this.generateRandomNumbers();
+            const { numbers, bonus } = random.drawNumbers();
             
             data.push({
                 draw_no: i,
@@ -184,7 +800,7 @@ class LottoWebApp {
                 num4: numbers[3],
                 num5: numbers[4],
                 num6: numbers[5],
-                bonus: Math.floor(Math.random() * 45) + 1
+                bonus: bonus
             });
         }
         
@@ -192,22 +808,8 @@ class LottoWebApp {
     }
 
     /**
-     * 랜덤 번호 생성
-     */
-    generateRandomNumbers() {
-        const numbers = [];
-        while (numbers.length < 6) {
-            const num = Math.floor(Math.random() * 45) + 1;
-            if (!numbers.includes(num)) {
-                numbers.push(num);
-            }
-        }
-        return numbers.sort((a, b) => a - b);
-    }
-
-    /**
-     * 번호 색상 클래스 반환
-     * @param {number} number - 로또 번호
+     * 번호 색상 클래스 반환
+     * @param {number} number - 로또 번호
      */
     getNumberColorClass(number) {
         if (number >= 1 && number <= 9) return 'digit-1';
@@ -217,16 +819,95 @@ class LottoWebApp {
         if (number >= 40 && number <= 45) return 'digit-5';
         return '';
     }
-    processData(data, message) {
-        if (!Array.isArray(data) || data.length === 0) {
-            this.showStatus('error', '유효한 데이터가 없습니다.');
-            return;
+    /**
+     * 데이터 검증 후 로드
+     * 유효성 오류가 있으면 기존 데이터를 유지하고 검증 보고서만 표시한다.
+     * @param {Array} data - 로또 데이터 배열
+     * @param {string} message - 완료 메시지
+     * @param {Object} options - { demo } 데모 데이터 여부 (지갑 채점 제외용)
+     * @returns {boolean} 로드 성공 여부
+     */
+    processData(data, message, options = {}) {
+        const report = this.analyzer.buildValidationReport(data);
+        this.displayValidationReport(report);
+        
+        if (!report.valid) {
+            this.showStatus('error', `데이터 유효성 검사 실패: 오류 ${report.errors.length}건, 경고 ${report.warnings.length}건`);
+            if (!this.currentData) {
+                this.updateOverview();
+            }
+            return false;
         }
 
         this.currentData = data;
+        this.lastResults = {};
         this.analyzer.loadData(data);
+        this.wallet.setDemoMode(options.demo);
+        this.workerClient.load(data).catch(error => {
+            console.warn(`분석 워커 데이터 로드 실패: ${error.message}`);
+        });
+        // 새 데이터에 맞지 않는 구간이면 전체 회차로 되돌린다.
+        if (!this.applyRange()) {
+            document.getElementById('rangePreset').value = 'all';
+            this.updateRangeInputs();
+            this.applyRange();
+        }
         this.showStatus('success', `${message} (${data.length}회차)`);
         this.updateOverview();
+        this.refreshWallet();
+        return true;
+    }
+
+    /**
+     * HTML 특수문자 이스케이프 (파일에서 읽은 값을 innerHTML에 넣을 때 사용)
+     * @param {*} value - 표시할 값
+     */
+    escapeHtml(value) {
+        return String(value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+
+    /**
+     * 데이터 검증 보고서 표시
+     * 오류 메시지에는 파일의 원래 값이 들어 있으므로 이스케이프해서 표시한다.
+     * @param {Object} report - buildValidationReport 결과
+     */
+    displayValidationReport(report) {
+        const container = document.getElementById('validationReport');
+        const maxItems = 50;
+        
+        if (report.valid && report.warnings.length === 0) {
+            container.innerHTML = `<p class="validation-summary valid">✅ 전체 ${report.totalRecords}회차 검증 완료 (오류 0건, 경고 0건)</p>`;
+            return;
+        }
+        
+        const renderItems = (items) => items.slice(0, maxItems).map(item => {
+            const location = item.index >= 0
+                ? `항목 ${item.index}${item.drawNo !== undefined ? ` (${this.escapeHtml(item.drawNo)}회)` : ''}`
+                : '전체';
+            const field = item.field ? ` [${this.escapeHtml(item.field)}]` : '';
+            return `<li>${location}${field}: ${this.escapeHtml(item.message)}</li>`;
+        }).join('') + (items.length > maxItems ? `<li>… 외 ${items.length - maxItems}건</li>` : '');
+        
+        let html = `
+            <p class="validation-summary ${report.valid ? 'warning' : 'invalid'}">
+                ${report.valid ? '⚠️' : '❌'} 전체 ${report.totalRecords}회차 검증: 오류 ${report.errors.length}건, 경고 ${report.warnings.length}건
+                ${report.valid ? '' : '— 데이터를 불러오지 않았습니다.'}
+            </p>
+        `;
+        
+        if (report.errors.length > 0) {
+            html += `<h4>오류</h4><ul class="validation-list error">${renderItems(report.errors)}</ul>`;
+        }
+        if (report.warnings.length > 0) {
+            html += `<h4>경고</h4><ul class="validation-list warning">${renderItems(report.warnings)}</ul>`;
+        }
+        
+        container.innerHTML = html;
     }
 
     /**
@@ -237,7 +918,7 @@ class LottoWebApp {
         const overviewContent = document.getElementById('overviewContent');
         
         if (!summary) {
-            overviewContent.innerHTML = '<p>데이터를 로드할 수 없습니다.</p>';
+            overviewContent.innerHTML = '<p>데이터를 로드할 수 없습니다. 위 검증 보고서를 확인해주세요.</p>';
             return;
         }
 
@@ -281,12 +962,159 @@ class LottoWebApp {
                 
             </div>
         `;
+
+        this.displayPrizeDashboard();
+    }
+
+    /**
+     * 금액을 억원 단위 문자열로 변환
+     * @param {number} amount - 금액 (원)
+     */
+    formatEok(amount) {
+        return `${(amount / 1e8).toLocaleString(undefined, { maximumFractionDigits: 1 })}억원`;
+    }
+
+    /**
+     * 판매액/당첨금 대시보드 표시 (현재 분석 구간 기준)
+     */
+    async displayPrizeDashboard() {
+        const container = document.getElementById('prizeResult');
+        let result;
+        try {
+            result = await this.workerClient.run('analyzer', 'prizeAnalysis', [this.currentRange]);
+        } catch (error) {
+            if (error.cancelled) {
+                return;
+            }
+            container.innerHTML = `<p>${error.message}</p>`;
+            return;
+        }
+
+        this.lastResults.prize = result;
+        const ratioText = (ratio) => ratio === null ? '-' : `${ratio.toFixed(2)}배`;
+        
+        let html = `
+            <div class="stats-grid">
+                <div class="stat-card">
+                    <div class="stat-value">${this.formatEok(result.sales.total)}</div>
+                    <div class="stat-label">누적 판매액</div>
+                </div>
+                <div class="stat-card">
+                    <div class="stat-value">${this.formatEok(result.sales.average)}</div>
+                    <div class="stat-label">회차 평균 판매액</div>
+                </div>
+                <div class="stat-card">
+                    <div class="stat-value">${this.formatEok(result.firstPrize.average)}</div>
+                    <div class="stat-label">1등 평균 당첨금 (1인당)</div>
+                </div>
+                <div class="stat-card">
+                    <div class="stat-value">${result.zeroWinnerDraws.length}회</div>
+                    <div class="stat-label">1등 당첨자 없는 회차</div>
+                </div>
+            </div>
+            <h3>📅 연도별 판매액 및 1등 당첨금</h3>
+            <table class="number-table">
+                <thead>
+                    <tr>
+                        <th>연도</th>
+                        <th>회차 수</th>
+                        <th>평균 판매액</th>
+                        <th>1등 평균 당첨금</th>
+                        <th>평균 1등 당첨자</th>
+                        <th>당첨자 없음</th>
+                    </tr>
+                </thead>
+                <tbody>
+        `;
+        
+        result.yearly.forEach(year => {
+            html += `
+                <tr>
+                    <td>${year.year}</td>
+                    <td>${year.draws}</td>
+                    <td>${this.formatEok(year.averageSales)}</td>
+                    <td>${year.averageFirstPrize > 0 ? this.formatEok(year.averageFirstPrize) : '-'}</td>
+                    <td>${year.averageWinners.toFixed(1)}명</td>
+                    <td>${year.zeroWinnerDraws}회</td>
+                </tr>
+            `;
+        });
+        
+        html += `
+                </tbody>
+            </table>
+            <h3>👥 1등 당첨자 수 분포</h3>
+            <table class="number-table">
+                <thead>
+                    <tr>
+                        <th>당첨자 수</th>
+                        <th>회차 수</th>
+                        <th>비율</th>
+                    </tr>
+                </thead>
+                <tbody>
+        `;
+        
+        result.winnerDistribution.forEach(([winners, count]) => {
+            html += `
+                <tr>
+                    <td>${winners}명</td>
+                    <td>${count}회</td>
+                    <td>${(count / result.totalDraws * 100).toFixed(1)}%</td>
+                </tr>
+            `;
+        });
+        
+        html += `
+                </tbody>
+            </table>
+            <h3>🔥 인기 패턴과 1등 당첨자 수</h3>
+            <table class="number-table">
+                <thead>
+                    <tr>
+                        <th>패턴</th>
+                        <th>해당 회차</th>
+                        <th>당첨자 / 기대 (해당)</th>
+                        <th>당첨자 / 기대 (그 외)</th>
+                        <th>상관계수</th>
+                    </tr>
+                </thead>
+                <tbody>
+        `;
+        
+        result.patterns.forEach(pattern => {
+            html += `
+                <tr>
+                    <td>${pattern.label}</td>
+                    <td>${pattern.draws}회</td>
+                    <td>${ratioText(pattern.averageRatio)}</td>
+                    <td>${ratioText(pattern.otherAverageRatio)}</td>
+                    <td>${pattern.correlation.toFixed(3)}</td>
+                </tr>
+            `;
+        });
+        
+        html += `
+                </tbody>
+            </table>
+            <div style="margin-top: 20px; padding: 15px; background: #f8f9fa; border-radius: 8px;">
+                <p><strong>📊 통계 정보:</strong></p>
+                <p>• 최고 판매액: ${result.sales.max.drawNo}회 ${this.formatEok(result.sales.max.totalSales)}</p>
+                <p>• 1등 당첨금 중앙값: ${this.formatEok(result.firstPrize.median)}${result.firstPrize.max ? `, 최고 ${result.firstPrize.max.drawNo}회 ${this.formatEok(result.firstPrize.max.firstPrize)}, 최저 ${result.firstPrize.min.drawNo}회 ${this.formatEok(result.firstPrize.min.firstPrize)}` : ''}</p>
+                <p>• 1등 당첨자 없는 회차: ${result.zeroWinnerDraws.map(item => `${item.drawNo}회`).join(', ') || '없음'} (무작위 선택 기대 ${result.expectedZeroWinnerDraws.toFixed(1)}회)</p>
+                <p>• 당첨자 / 기대: 판매 게임 수로 계산한 기대 1등 당첨자 수 대비 실제 당첨자 수입니다. 1보다 크면 많은 사람이 고른 조합이 당첨된 회차입니다.</p>
+            </div>
+        `;
+        
+        container.innerHTML = html;
+        this.chartManager.createSalesChart(result);
+        this.chartManager.createFirstPrizeChart(result);
     }
 
     /**
      * 빈도 분석 실행
      */
-    analyzeFrequency() {
+    async analyzeFrequency() {
         if (!this.currentData) {
             this.showStatus('error', '데이터를 먼저 로드해주세요.');
             return;
@@ -294,24 +1122,28 @@ class LottoWebApp {
 
         this.showLoading(true);
         
-        setTimeout(() => {
-            try {
-                const result = this.analyzer.frequencyAnalysis();
-                this.displayFrequencyResult(result);
-                this.showStatus('success', '빈도 분석이 완료되었습니다.');
-            } catch (error) {
-                this.showStatus('error', `빈도 분석 오류: ${error.message}`);
-            } finally {
-                this.showLoading(false);
-            }
-        }, 500);
+        try {
+            const correction = document.getElementById('significanceCorrection').value;
+            const range = this.currentRange;
+            const { includeBonus } = this.getBonusOption();
+            const result = await this.workerClient.run('analyzer', 'frequencyAnalysis', [range, { includeBonus }]);
+            const significance = await this.workerClient.run('analyzer', 'significanceAnalysis', [{ correction, range, includeBonus }]);
+            this.lastResults.frequency = result;
+            this.displayFrequencyResult(result, significance);
+            this.showStatus('success', '빈도 분석이 완료되었습니다.');
+        } catch (error) {
+            this.showJobError('빈도 분석', error);
+        } finally {
+            this.showLoading(false);
+        }
     }
 
     /**
      * 빈도 분석 결과 표시
      * @param {Object} result - 분석 결과
+     * @param {Object} significance - 유의성 검정 결과
      */
-    displayFrequencyResult(result) {
+    displayFrequencyResult(result, significance) {
         const container = document.getElementById('frequencyResult');
         
         let html = `
@@ -351,20 +1183,82 @@ class LottoWebApp {
             </div>
             <div style="margin-top: 20px; padding: 15px; background: #f8f9fa; border-radius: 8px;">
                 <p><strong>📊 통계 정보:</strong></p>
-                <p>• 총 ${result.totalDraws}회차 데이터</p>
+                <p>• 총 ${result.totalDraws}회차 데이터${result.includeBonus ? ' (보너스 번호 포함)' : ''}</p>
                 <p>• 이론적 기대 출현 횟수: ${result.expectedFrequency.toFixed(1)}회</p>
                 <p>• 실제 최대 출현 횟수: ${result.hotNumbers[0][1]}회</p>
                 <p>• 실제 최소 출현 횟수: ${result.coldNumbers[0][1]}회</p>
             </div>
         `;
         
+        if (significance) {
+            html += this.renderSignificance(significance);
+        }
+        
         container.innerHTML = html;
     }
 
+    /**
+     * 유의성 검정 결과 HTML 생성
+     * @param {Object} significance - 유의성 검정 결과
+     */
+    renderSignificance(significance) {
+        const correctionLabel = significance.correction === 'bonferroni' ? 'Bonferroni' : 'Benjamini-Hochberg';
+        const chi = significance.chiSquare;
+        const flagged = [...significance.overRepresented, ...significance.underRepresented];
+        
+        let html = `
+            <h3 style="margin-top: 30px;">🧪 통계적 유의성 검정</h3>
+            <div style="margin-top: 15px; padding: 15px; background: #f8f9fa; border-radius: 8px;">
+                <p>• 카이제곱 적합도 검정: χ² = ${chi.statistic.toFixed(2)} (자유도 ${chi.df}), p = ${chi.pValue.toFixed(4)}
+                    → ${chi.significant ? '균등 분포와 유의한 차이가 있습니다.' : '균등 분포와 유의한 차이가 없습니다.'}</p>
+                <p>• 번호별 정확 이항검정 (${correctionLabel} 보정, 유의수준 ${significance.alpha})</p>
+                <p>• ${flagged.length > 0
+                    ? `유의하게 많이 나온 번호: ${significance.overRepresented.map(item => item.number).join(', ') || '없음'} / 적게 나온 번호: ${significance.underRepresented.map(item => item.number).join(', ') || '없음'}`
+                    : '보정 후 기대 출현 횟수와 유의하게 다른 번호는 없습니다. 빈도 차이는 무작위 변동 범위 안에 있습니다.'}</p>
+            </div>
+            <table class="number-table">
+                <thead>
+                    <tr>
+                        <th>번호</th>
+                        <th>출현 횟수</th>
+                        <th>z-점수</th>
+                        <th>p-값</th>
+                        <th>보정 p-값</th>
+                        <th>판정</th>
+                    </tr>
+                </thead>
+                <tbody>
+        `;
+        
+        // 편차가 큰 상위 10개 번호
+        significance.sortedByZ.slice(0, 10).forEach(item => {
+            const verdict = item.significant
+                ? (item.direction === 'over' ? '⬆️ 유의하게 많음' : '⬇️ 유의하게 적음')
+                : '차이 없음';
+            html += `
+                <tr>
+                    <td><span class="number-ball ${this.getNumberColorClass(item.number)}">${item.number}</span></td>
+                    <td>${item.observed}회</td>
+                    <td>${item.zScore.toFixed(2)}</td>
+                    <td>${item.pValue.toFixed(4)}</td>
+                    <td>${item.adjustedPValue.toFixed(4)}</td>
+                    <td>${verdict}</td>
+                </tr>
+            `;
+        });
+        
+        html += `
+                </tbody>
+            </table>
+        `;
+        
+        return html;
+    }
+
     /**
      * 패턴 분석 실행
      */
-    analyzePattern() {
+    async analyzePattern() {
         if (!this.currentData) {
             this.showStatus('error', '데이터를 먼저 로드해주세요.');
             return;
@@ -372,24 +1266,29 @@ class LottoWebApp {
 
         this.showLoading(true);
         
-        setTimeout(() => {
-            try {
-                const result = this.analyzer.patternAnalysis();
-                this.displayPatternResult(result);
-                this.showStatus('success', '패턴 분석이 완료되었습니다.');
-            } catch (error) {
-                this.showStatus('error', `패턴 분석 오류: ${error.message}`);
-            } finally {
-                this.showLoading(false);
-            }
-        }, 500);
+        try {
+            const range = this.currentRange;
+            const result = await this.workerClient.run('analyzer', 'patternAnalysis', [range, this.getBonusOption()]);
+            const consecutive = await this.workerClient.run('analyzer', 'consecutiveAnalysis', [range]);
+            const ending = await this.workerClient.run('analyzer', 'endingDigitAnalysis', [range]);
+            this.displayPatternResult(result, consecutive, ending);
+            this.chartManager.createConsecutiveChart(consecutive);
+            this.chartManager.createEndingDigitChart(ending);
+            this.showStatus('success', '패턴 분석이 완료되었습니다.');
+        } catch (error) {
+            this.showJobError('패턴 분석', error);
+        } finally {
+            this.showLoading(false);
+        }
     }
 
     /**
      * 패턴 분석 결과 표시
      * @param {Object} result - 분석 결과
+     * @param {Object} consecutive - 연속번호 분석 결과
+     * @param {Object} ending - 끝자리 분석 결과
      */
-    displayPatternResult(result) {
+    displayPatternResult(result, consecutive, ending) {
         const container = document.getElementById('patternResult');
         
         let html = `
@@ -446,77 +1345,72 @@ class LottoWebApp {
         html += `
                 </tbody>
             </table>
+            
+            <h3 style="margin-top: 30px;">🔢 연속번호 분포</h3>
+            <table class="number-table">
+                <thead>
+                    <tr>
+                        <th>연속 쌍 개수</th>
+                        <th>출현 횟수</th>
+                        <th>비율</th>
+                        <th>무작위 기대 비율</th>
+                    </tr>
+                </thead>
+                <tbody>
         `;
         
-        container.innerHTML = html;
-    }
-
-    /**
-     * 주기 분석 실행
-     */
-    analyzeCycle() {
-        if (!this.currentData) {
-            this.showStatus('error', '데이터를 먼저 로드해주세요.');
-            return;
-        }
-
-        this.showLoading(true);
-        
-        setTimeout(() => {
-            try {
-                const result = this.analyzer.cycleAnalysis();
-                this.displayCycleResult(result);
-                this.showStatus('success', '주기 분석이 완료되었습니다.');
-            } catch (error) {
-                this.showStatus('error', `주기 분석 오류: ${error.message}`);
-            } finally {
-                this.showLoading(false);
-            }
-        }, 500);
-    }
-
-    /**
-     * 주기 분석 결과 표시
-     * @param {Object} result - 분석 결과
-     */
-    displayCycleResult(result) {
-        const container = document.getElementById('cycleResult');
-        
-        let html = `
-            <h3>⏱️ 평균 출현 주기가 짧은 번호 (자주 출현)</h3>
-            <div class="number-list">
-        `;
-        
-        result.topFrequent.forEach(([num, cycle], index) => {
-            const colorClass = this.getNumberColorClass(parseInt(num));
+        consecutive.pairComparison.histogram.forEach(bin => {
             html += `
-                <div class="number-item">
-                    <span class="number-ball ${colorClass}">${num}</span>
-                    <span>평균 ${cycle.toFixed(1)}회차마다 출현</span>
-                </div>
+                <tr>
+                    <td>${bin.from === 0 ? '연속 없음' : `${bin.from}쌍`}</td>
+                    <td>${bin.observed}회</td>
+                    <td>${(bin.observed / consecutive.totalDraws * 100).toFixed(1)}%</td>
+                    <td>${(bin.probability * 100).toFixed(1)}%</td>
+                </tr>
             `;
         });
         
         html += `
+                </tbody>
+            </table>
+            <div style="margin-top: 20px; padding: 15px; background: #f8f9fa; border-radius: 8px;">
+                <p>• 연속번호 포함 회차: ${consecutive.percentage}% (무작위 기대 ${consecutive.expectedPercentage}%)</p>
+                <p>• 연속 쌍 개수: ${this.formatGoodnessOfFit(consecutive.pairComparison.chiSquare)}</p>
+                <p>• 가장 긴 연속 길이: ${this.formatGoodnessOfFit(consecutive.longestRunComparison.chiSquare)}</p>
             </div>
             
-            <h3>⚠️ 가장 오래 미출현 번호 TOP 10</h3>
-            <div class="number-list">
+            <h3 style="margin-top: 30px;">🔚 끝자리 분포</h3>
+            <table class="number-table">
+                <thead>
+                    <tr>
+                        <th>끝자리</th>
+                        <th>출현 횟수</th>
+                        <th>무작위 기대 횟수</th>
+                        <th>기대 대비</th>
+                    </tr>
+                </thead>
+                <tbody>
         `;
         
-        result.topGap.forEach(([num, gap], index) => {
-            const avg = result.averageCycles[num] || 0;
-            const status = gap > avg * 1.5 ? '⚡ 출현 예상' : '';
-            const colorClass = this.getNumberColorClass(parseInt(num));
+        Object.keys(ending.frequencies).forEach(digit => {
+            const count = ending.frequencies[digit];
+            const expected = ending.expected[digit];
             html += `
-                <div class="number-item">
-                    <span class="number-ball ${colorClass}">${num}</span>
-                    <span>${gap}회차 미출현 (평균주기: ${avg.toFixed(1)}) ${status}</span>
-                </div>
+                <tr>
+                    <td>${digit}</td>
+                    <td>${count}회</td>
+                    <td>${expected.toFixed(1)}회</td>
+                    <td>${(count / expected * 100).toFixed(1)}%</td>
+                </tr>
             `;
         });
         
         html += `
+                </tbody>
+            </table>
+            <div style="margin-top: 20px; padding: 15px; background: #f8f9fa; border-radius: 8px;">
+                <p>• 끝자리 1~5는 해당 번호가 5개, 0과 6~9는 4개이므로 기대 횟수가 다릅니다.</p>
+                <p>• ${this.formatGoodnessOfFit(ending.chiSquare)}</p>
             </div>
         `;
         
@@ -524,103 +1418,1687 @@ class LottoWebApp {
     }
 
     /**
-     * 번호 추천 생성
+     * 합계/AC 값/간격/번호대 분포 분석 실행
      */
-    generateRecommendations() {
+    async analyzeDistribution() {
         if (!this.currentData) {
             this.showStatus('error', '데이터를 먼저 로드해주세요.');
             return;
         }
 
+        const type = document.getElementById('distributionType').value;
+        const range = this.currentRange;
+        const jobs = {
+            sum: { method: 'sumAnalysis', args: [{ range }], title: '번호 합계 분포' },
+            ac: { method: 'acAnalysis', args: [range], title: 'AC 값 분포' },
+            spread: { method: 'spreadAnalysis', args: [{ range }], title: '최대-최소 간격 분포' },
+            band: { method: 'bandAnalysis', args: [range], title: '번호대 분포' }
+        };
+        const job = jobs[type];
+
         this.showLoading(true);
         
-        setTimeout(() => {
-            try {
-                const numRecommendations = parseInt(document.getElementById('numRecommendations').value);
-                const strategy = document.getElementById('strategy').value;
-                
-                const recommendations = this.analyzer.generateRecommendations({
-                    numRecommendations,
-                    strategy
-                });
-                
-                this.displayRecommendations(recommendations);
-                this.showStatus('success', '번호 추천이 완료되었습니다.');
-            } catch (error) {
-                this.showStatus('error', `번호 추천 오류: ${error.message}`);
-            } finally {
-                this.showLoading(false);
+        try {
+            const result = await this.workerClient.run('analyzer', job.method, job.args);
+            if (type === 'band') {
+                this.chartManager.createBandChart(result);
+                this.displayBandResult(result);
+            } else {
+                this.chartManager.createDistributionChart(result, job.title);
+                this.displayDistributionResult(result, job.title);
             }
-        }, 500);
+            this.showStatus('success', `${job.title} 분석이 완료되었습니다.`);
+        } catch (error) {
+            this.showJobError(job.title, error);
+        } finally {
+            this.showLoading(false);
+        }
     }
 
     /**
-     * 추천 번호 표시
-     * @param {Array} recommendations - 추천 번호 배열
+     * 카이제곱 적합도 검정 요약 문구
+     * @param {Object} chiSquare - { statistic, df, pValue }
      */
-    displayRecommendations(recommendations) {
-        const container = document.getElementById('recommendationResult');
+    formatGoodnessOfFit(chiSquare) {
+        const verdict = chiSquare.pValue < 0.05
+            ? '이론 분포와 유의하게 다릅니다 (p < 0.05)'
+            : '이론 분포와 유의한 차이가 없습니다';
+        return `χ² = ${chiSquare.statistic.toFixed(2)} (자유도 ${chiSquare.df}), p = ${chiSquare.pValue.toFixed(4)} → ${verdict}`;
+    }
+
+    /**
+     * 분포 분석 결과 표시 (합계, AC 값, 간격)
+     * @param {Object} result - 분석 결과
+     * @param {string} title - 분포 이름
+     */
+    displayDistributionResult(result, title) {
+        const container = document.getElementById('distributionResult');
+        
+        let html = `
+            <h3>📐 ${title}</h3>
+            <table class="number-table">
+                <thead>
+                    <tr>
+                        <th>구간</th>
+                        <th>실제 출현</th>
+                        <th>이론 기대</th>
+                        <th>실제 비율</th>
+                        <th>이론 확률</th>
+                    </tr>
+                </thead>
+                <tbody>
+        `;
+        
+        result.histogram.filter(bin => bin.observed > 0 || bin.expected >= 0.5).forEach(bin => {
+            html += `
+                <tr>
+                    <td>${bin.label}</td>
+                    <td>${bin.observed}회</td>
+                    <td>${bin.expected.toFixed(1)}회</td>
+                    <td>${(bin.observed / result.totalDraws * 100).toFixed(1)}%</td>
+                    <td>${(bin.probability * 100).toFixed(1)}%</td>
+                </tr>
+            `;
+        });
+        
+        html += `
+                </tbody>
+            </table>
+            <div style="margin-top: 20px; padding: 15px; background: #f8f9fa; border-radius: 8px;">
+                <p><strong>📊 통계 정보:</strong></p>
+                <p>• 총 ${result.totalDraws}회차, 실제 평균 ${result.mean.toFixed(2)} / 이론 평균 ${result.expectedMean.toFixed(2)}</p>
+                <p>• ${this.formatGoodnessOfFit(result.chiSquare)}</p>
+                <p>• 이론 분포는 전체 8,145,060개 조합을 기준으로 계산했습니다.</p>
+            </div>
+        `;
+        
+        container.innerHTML = html;
+    }
+
+    /**
+     * 번호대 분석 결과 표시
+     * @param {Object} result - 분석 결과
+     */
+    displayBandResult(result) {
+        const container = document.getElementById('distributionResult');
+        
+        let html = `
+            <h3>🎨 번호대별 출현 개수</h3>
+            <table class="number-table">
+                <thead>
+                    <tr>
+                        <th>번호대</th>
+                        <th>회차당 평균 (실제)</th>
+                        <th>회차당 평균 (기대)</th>
+                        <th>0개 회차</th>
+                        <th>3개 이상 회차</th>
+                        <th>적합도 p-값</th>
+                    </tr>
+                </thead>
+                <tbody>
+        `;
+        
+        result.bands.forEach(band => {
+            const colorClass = this.getNumberColorClass(band.min);
+            const zero = band.histogram[0];
+            const threePlus = band.histogram.slice(3).reduce((sum, bin) => ({
+                observed: sum.observed + bin.observed,
+                expected: sum.expected + bin.expected
+            }), { observed: 0, expected: 0 });
+            html += `
+                <tr>
+                    <td><span class="number-ball ${colorClass}">${band.min}</span> ${band.label}</td>
+                    <td>${band.mean.toFixed(2)}</td>
+                    <td>${band.expectedMean.toFixed(2)}</td>
+                    <td>${zero.observed}회 (기대 ${zero.expected.toFixed(1)})</td>
+                    <td>${threePlus.observed}회 (기대 ${threePlus.expected.toFixed(1)})</td>
+                    <td>${band.chiSquare.pValue.toFixed(4)}</td>
+                </tr>
+            `;
+        });
+        
+        html += `
+                </tbody>
+            </table>
+            <h3>🧩 당첨번호가 걸친 번호대 개수</h3>
+            <table class="number-table">
+                <thead>
+                    <tr>
+                        <th>번호대 수</th>
+                        <th>출현 횟수</th>
+                        <th>비율</th>
+                    </tr>
+                </thead>
+                <tbody>
+        `;
+        
+        result.coverage.forEach(([covered, count]) => {
+            html += `
+                <tr>
+                    <td>${covered}개 번호대</td>
+                    <td>${count}회</td>
+                    <td>${(count / result.totalDraws * 100).toFixed(1)}%</td>
+                </tr>
+            `;
+        });
+        
+        html += `
+                </tbody>
+            </table>
+            <div style="margin-top: 20px; padding: 15px; background: #f8f9fa; border-radius: 8px;">
+                <p><strong>📊 통계 정보:</strong></p>
+                <p>• 번호대별 기대값은 초기하분포(45개 중 번호대 크기, 6개 추출)로 계산했습니다.</p>
+            </div>
+        `;
+        
+        container.innerHTML = html;
+    }
+
+    /**
+     * 보너스 번호 분석 실행
+     */
+    async analyzeBonus() {
+        if (!this.currentData) {
+            this.showStatus('error', '데이터를 먼저 로드해주세요.');
+            return;
+        }
+
+        this.showLoading(true);
+        
+        try {
+            const result = await this.workerClient.run('analyzer', 'bonusAnalysis', [this.currentRange]);
+            this.displayBonusResult(result);
+            this.showStatus('success', '보너스 번호 분석이 완료되었습니다.');
+        } catch (error) {
+            this.showJobError('보너스 번호 분석', error);
+        } finally {
+            this.showLoading(false);
+        }
+    }
+
+    /**
+     * 보너스 번호 분석 결과 표시
+     * @param {Object} result - 분석 결과
+     */
+    displayBonusResult(result) {
+        const container = document.getElementById('bonusResult');
+        const numberItems = (items, describe) => items.map(([num, value]) => `
+                <div class="number-item">
+                    <span class="number-ball ${this.getNumberColorClass(parseInt(num))}">${num}</span>
+                    <span>${describe(num, value)}</span>
+                </div>
+            `).join('');
+        const next = result.nextDrawMain;
+        
+        let html = `
+            <h3>🎁 보너스로 가장 많이 나온 번호 TOP 10</h3>
+            <div class="number-list">
+                ${numberItems(result.hotNumbers, (num, count) => `${count}회 (기대 ${result.expectedFrequency.toFixed(1)}회)`)}
+            </div>
+            <h3>🧊 보너스로 가장 적게 나온 번호 TOP 10</h3>
+            <div class="number-list">
+                ${numberItems(result.coldNumbers, (num, count) => `${count}회`)}
+            </div>
+            <h3>⏱️ 보너스로 가장 오래 나오지 않은 번호 TOP 10</h3>
+            <div class="number-list">
+                ${numberItems(result.topGap, (num, gap) => {
+                    const avg = result.averageCycles[num];
+                    return `${gap}회차 미출현${avg !== undefined ? ` (평균주기: ${avg.toFixed(1)})` : ''}`;
+                })}
+            </div>
+            <h3>🔁 보너스 번호가 다음 회차 당첨번호로 나온 경우</h3>
+            <table class="number-table">
+                <thead>
+                    <tr>
+                        <th>회차</th>
+                        <th>보너스 번호</th>
+                        <th>다음 회차</th>
+                    </tr>
+                </thead>
+                <tbody>
+        `;
+        
+        next.recent.forEach(item => {
+            const colorClass = this.getNumberColorClass(item.number);
+            html += `
+                <tr>
+                    <td>${item.drawNo}회</td>
+                    <td><span class="number-ball ${colorClass}">${item.number}</span></td>
+                    <td>${item.nextDrawNo}회 당첨번호</td>
+                </tr>
+            `;
+        });
+        
+        html += `
+                </tbody>
+            </table>
+            <div style="margin-top: 20px; padding: 15px; background: #f8f9fa; border-radius: 8px;">
+                <p><strong>📊 통계 정보:</strong></p>
+                <p>• 최신 회차 보너스 번호: ${result.latestBonus}</p>
+                <p>• 보너스 → 다음 회차 당첨번호: ${next.count}/${next.trials}회 (${(next.rate * 100).toFixed(1)}%, 무작위 기대 ${(next.expectedRate * 100).toFixed(1)}%, p = ${next.pValue.toFixed(4)})</p>
+                <p>• 보너스 빈도 균일성: ${this.formatGoodnessOfFit(result.chiSquare)}</p>
+            </div>
+        `;
+        
+        container.innerHTML = html;
+    }
+
+    /**
+     * 번호 쌍 동반 출현 분석 실행
+     */
+    async analyzeCoOccurrence() {
+        if (!this.currentData) {
+            this.showStatus('error', '데이터를 먼저 로드해주세요.');
+            return;
+        }
+
+        this.showLoading(true);
+        
+        try {
+            const includeTriples = document.getElementById('includeTriples').checked;
+            const result = await this.workerClient.run('analyzer', 'coOccurrenceAnalysis', [{
+                includeTriples,
+                range: this.currentRange
+            }]);
+            this.chartManager.createPairHeatmapChart(result);
+            this.displayCoOccurrenceResult(result);
+            this.showStatus('success', '동반 출현 분석이 완료되었습니다.');
+        } catch (error) {
+            this.showJobError('동반 출현 분석', error);
+        } finally {
+            this.showLoading(false);
+        }
+    }
+
+    /**
+     * 동반 출현 분석 결과 표시
+     * @param {Object} result - 분석 결과
+     */
+    displayCoOccurrenceResult(result) {
+        const container = document.getElementById('coOccurrenceResult');
+        const table = (title, items) => {
+            let rows = '';
+            items.forEach(item => {
+                const balls = item.numbers
+                    .map(num => `<span class="number-ball ${this.getNumberColorClass(num)}">${num}</span>`)
+                    .join('');
+                rows += `
+                    <tr>
+                        <td>${balls}</td>
+                        <td>${item.count}회</td>
+                        <td>${item.expected.toFixed(1)}회</td>
+                        <td>${(item.ratio * 100).toFixed(0)}%</td>
+                        <td>${item.zScore.toFixed(2)}</td>
+                    </tr>
+                `;
+            });
+
+            return `
+                <h3>${title}</h3>
+                <table class="number-table">
+                    <thead>
+                        <tr>
+                            <th>조합</th>
+                            <th>출현 횟수</th>
+                            <th>기대값</th>
+                            <th>기대 대비</th>
+                            <th>z-점수</th>
+                        </tr>
+                    </thead>
+                    <tbody>${rows}</tbody>
+                </table>
+            `;
+        };
+
+        let html = table('🔗 가장 자주 함께 나온 번호 쌍', result.mostFrequentPairs) +
+            table('🧊 가장 드물게 함께 나온 번호 쌍', result.leastFrequentPairs);
+
+        if (result.mostFrequentTriples) {
+            html += table('🔗 가장 자주 함께 나온 3개 조합', result.mostFrequentTriples) +
+                `<p>• 전체 14,190개 3개 조합 중 ${result.neverSeenTriples.toLocaleString()}개는 한 번도 함께 나오지 않았습니다 (기대값 ${result.expectedTripleCount.toFixed(2)}회).</p>`;
+        }
+
+        html += `
+            <div style="margin-top: 20px; padding: 15px; background: #f8f9fa; border-radius: 8px;">
+                <p><strong>📊 통계 정보:</strong></p>
+                <p>• 기대값은 초기하분포로 계산한 값입니다 (한 회차에 특정 쌍이 함께 나올 확률 ${(result.pairProbability * 100).toFixed(2)}%).</p>
+                <p>• 990개 쌍을 동시에 비교하므로 |z| ≥ 3 정도의 쌍은 무작위 추첨에서도 몇 개씩 나타납니다.</p>
+            </div>
+        `;
+
+        container.innerHTML = html;
+    }
+
+    /**
+     * 주기 분석 실행
+     */
+    async analyzeCycle() {
+        if (!this.currentData) {
+            this.showStatus('error', '데이터를 먼저 로드해주세요.');
+            return;
+        }
+
+        this.showLoading(true);
+        
+        try {
+            const result = await this.workerClient.run('analyzer', 'cycleAnalysis', [this.currentRange, this.getBonusOption()]);
+            this.lastResults.cycle = result;
+            this.chartManager.createGapChart(result, parseInt(document.getElementById('gapNumber').value) || null);
+            this.displayCycleResult(result);
+            this.showStatus('success', '주기 분석이 완료되었습니다.');
+        } catch (error) {
+            this.showJobError('주기 분석', error);
+        } finally {
+            this.showLoading(false);
+        }
+    }
+
+    /**
+     * 주기 분석 결과 표시
+     * @param {Object} result - 분석 결과
+     */
+    displayCycleResult(result) {
+        const container = document.getElementById('cycleResult');
+        
+        let html = `
+            <h3>⏱️ 평균 출현 주기가 짧은 번호 (자주 출현)</h3>
+            <div class="number-list">
+        `;
+        
+        result.topFrequent.forEach(([num, cycle], index) => {
+            const colorClass = this.getNumberColorClass(parseInt(num));
+            html += `
+                <div class="number-item">
+                    <span class="number-ball ${colorClass}">${num}</span>
+                    <span>평균 ${cycle.toFixed(1)}회차마다 출현</span>
+                </div>
+            `;
+        });
+        
+        html += `
+            </div>
+            
+            <h3>⚠️ 가장 오래 미출현 번호 TOP 10</h3>
+            <div class="number-list">
+        `;
+        
+        result.topGap.forEach(([num, gap], index) => {
+            const avg = result.averageCycles[num] || 0;
+            const status = gap > avg * 1.5 ? '⚡ 평균주기 1.5배 초과' : '';
+            const colorClass = this.getNumberColorClass(parseInt(num));
+            html += `
+                <div class="number-item">
+                    <span class="number-ball ${colorClass}">${num}</span>
+                    <span>${gap}회차 미출현 (평균주기: ${avg.toFixed(1)}) ${status}</span>
+                </div>
+            `;
+        });
+        
+        html += `
+            </div>
+        `;
+
+        if (result.gapDistribution) {
+            html += this.formatGapAnalysis(result);
+        }
+        
+        container.innerHTML = html;
+    }
+
+    /**
+     * 출현 간격 분포와 생존(위험률) 분석 표시용 HTML
+     * @param {Object} result - 주기 분석 결과
+     */
+    formatGapAnalysis(result) {
+        const pooled = result.gapDistribution;
+        const geometric = result.geometric;
+        const percent = (value, digits = 1) => value === null || value === undefined ? '-' : `${(value * 100).toFixed(digits)}%`;
+
+        let rows = '';
+        result.sortedByGap.forEach(([num]) => {
+            const stats = result.gapStats[num];
+            const colorClass = this.getNumberColorClass(parseInt(num));
+            rows += `
+                <tr>
+                    <td><span class="number-ball ${colorClass}">${num}</span></td>
+                    <td>${stats.currentGap}회차</td>
+                    <td>${stats.count > 0 ? stats.mean.toFixed(1) : '-'}</td>
+                    <td>${stats.count > 0 ? stats.median : '-'}</td>
+                    <td>${stats.count > 0 ? stats.max : '-'}</td>
+                    <td>${stats.count > 0 ? stats.stdDev.toFixed(1) : '-'}</td>
+                    <td>${stats.percentile === null ? '-' : `${stats.percentile.toFixed(0)}%`} (기하 ${stats.expectedPercentile.toFixed(0)}%)</td>
+                    <td>${percent(stats.hazard)}${stats.hazardTrials > 0 ? ` (${stats.hazardTrials}회 중)` : ''}</td>
+                </tr>
+            `;
+        });
+
+        const hazardRows = pooled.hazardCurve
+            .filter(item => item.gap % 5 === 0 || item.gap < 5)
+            .map(item => `
+                <tr>
+                    <td>${item.gap}회차</td>
+                    <td>${item.atRisk.toLocaleString()}</td>
+                    <td>${item.ended.toLocaleString()}</td>
+                    <td>${percent(item.hazard)}</td>
+                    <td>${percent(geometric.probability)}</td>
+                </tr>
+            `).join('');
+
+        return `
+            <h3>📏 전체 번호 출현 간격 vs 기하분포</h3>
+            <table class="number-table">
+                <thead>
+                    <tr>
+                        <th></th>
+                        <th>평균</th>
+                        <th>중앙값</th>
+                        <th>표준편차</th>
+                        <th>최대</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    <tr>
+                        <td>실제 (${pooled.count.toLocaleString()}개 간격)</td>
+                        <td>${pooled.mean.toFixed(2)}</td>
+                        <td>${pooled.median}</td>
+                        <td>${pooled.stdDev.toFixed(2)}</td>
+                        <td>${pooled.max}</td>
+                    </tr>
+                    <tr>
+                        <td>기하분포 (p = ${percent(geometric.probability, 2)})</td>
+                        <td>${geometric.mean.toFixed(2)}</td>
+                        <td>${geometric.median}</td>
+                        <td>${geometric.stdDev.toFixed(2)}</td>
+                        <td>-</td>
+                    </tr>
+                </tbody>
+            </table>
+            <p>• 간격 분포 적합도: ${this.formatGoodnessOfFit(pooled.chiSquare)}</p>
+
+            <h3>⏳ 미출현 기간별 다음 회차 출현율 (위험률)</h3>
+            <table class="number-table">
+                <thead>
+                    <tr>
+                        <th>미출현 기간</th>
+                        <th>해당 간격 수</th>
+                        <th>다음 회차 출현</th>
+                        <th>실제 위험률</th>
+                        <th>독립 추첨</th>
+                    </tr>
+                </thead>
+                <tbody>${hazardRows}</tbody>
+            </table>
+
+            <h3>🔢 번호별 간격 통계와 현재 미출현 기간</h3>
+            <table class="number-table">
+                <thead>
+                    <tr>
+                        <th>번호</th>
+                        <th>현재 미출현</th>
+                        <th>평균</th>
+                        <th>중앙값</th>
+                        <th>최대</th>
+                        <th>표준편차</th>
+                        <th>백분위</th>
+                        <th>위험률</th>
+                    </tr>
+                </thead>
+                <tbody>${rows}</tbody>
+            </table>
+            <div style="margin-top: 20px; padding: 15px; background: #f8f9fa; border-radius: 8px;">
+                <p><strong>📊 통계 정보:</strong></p>
+                <p>• 매 회차가 독립 추첨이면 출현 간격은 기하분포를 따르고, 몇 회차를 쉬었든 다음 회차에 나올 확률은 항상 ${percent(geometric.probability, 2)}입니다 (무기억성).</p>
+                <p>• 백분위는 현재 미출현 기간이 그 번호의 과거 간격 중 몇 %보다 길거나 같은지, 괄호 안은 기하분포 기준 값입니다.</p>
+                <p>• 위험률은 과거에 지금만큼 쉬었던 간격 중 바로 다음 회차에 나온 비율입니다. 표본이 적으면 크게 흔들리므로 "출현할 때가 됐다"는 근거가 되지 않습니다.</p>
+            </div>
+        `;
+    }
+
+    /**
+     * 연속 회차 전이 분석 실행
+     */
+    async analyzeTransition() {
+        if (!this.currentData) {
+            this.showStatus('error', '데이터를 먼저 로드해주세요.');
+            return;
+        }
+
+        this.showLoading(true);
+        
+        try {
+            const result = await this.workerClient.run('analyzer', 'transitionAnalysis', [this.currentRange]);
+            this.displayTransitionResult(result);
+            this.showStatus('success', '전이 분석이 완료되었습니다.');
+        } catch (error) {
+            this.showJobError('전이 분석', error);
+        } finally {
+            this.showLoading(false);
+        }
+    }
+
+    /**
+     * 연속 회차 전이 분석 결과 표시
+     * @param {Object} result - 분석 결과
+     */
+    displayTransitionResult(result) {
+        const container = document.getElementById('transitionResult');
+        const ball = (num) => `<span class="number-ball ${this.getNumberColorClass(num)}">${num}</span>`;
+        const balls = (numbers) => numbers.length > 0 ? numbers.map(ball).join('') : '-';
+        const histogramTable = (title, comparison, unit) => {
+            const rows = comparison.histogram
+                .filter(bin => bin.observed > 0 || bin.expected >= 0.5)
+                .map(bin => `
+                    <tr>
+                        <td>${bin.label}${unit}</td>
+                        <td>${bin.observed}회</td>
+                        <td>${bin.expected.toFixed(1)}회</td>
+                        <td>${(bin.observed / comparison.totalDraws * 100).toFixed(1)}%</td>
+                        <td>${(bin.probability * 100).toFixed(1)}%</td>
+                    </tr>
+                `).join('');
+
+            return `
+                <h3>${title}</h3>
+                <table class="number-table">
+                    <thead>
+                        <tr>
+                            <th>개수</th>
+                            <th>관측</th>
+                            <th>독립 기대</th>
+                            <th>관측 비율</th>
+                            <th>독립 확률</th>
+                        </tr>
+                    </thead>
+                    <tbody>${rows}</tbody>
+                </table>
+                <p>• 평균 ${comparison.mean.toFixed(3)}개 (독립 기대 ${comparison.expectedMean.toFixed(3)}개), ${this.formatGoodnessOfFit(comparison.chiSquare)}</p>
+            `;
+        };
+        const transitionTable = (title, items) => {
+            const rows = items.map(item => `
+                    <tr>
+                        <td>${ball(item.from)} → ${ball(item.to)}</td>
+                        <td>${item.count}/${item.trials}회</td>
+                        <td>${(item.probability * 100).toFixed(1)}%</td>
+                        <td>${item.zScore.toFixed(2)}</td>
+                        <td>${item.pValue.toFixed(4)}</td>
+                        <td>${item.adjustedPValue.toFixed(4)}</td>
+                    </tr>
+                `).join('');
+
+            return `
+                <h3>${title}</h3>
+                <table class="number-table">
+                    <thead>
+                        <tr>
+                            <th>직전 → 다음</th>
+                            <th>출현/기회</th>
+                            <th>P(j | i)</th>
+                            <th>z-점수</th>
+                            <th>p-값</th>
+                            <th>BH 보정 p</th>
+                        </tr>
+                    </thead>
+                    <tbody>${rows}</tbody>
+                </table>
+            `;
+        };
+
+        const carryTop = [...result.carryRates].sort((a, b) => b.rate - a.rate).slice(0, 10);
+        let html = histogramTable('🔁 직전 회차와 겹친 번호 개수 (이월수)', result.overlap, '개') +
+            histogramTable('↔️ 직전 회차 번호의 ±1 이웃수 개수', result.adjacent, '개');
+
+        html += `
+            <h3>🔁 이월률이 높은 번호 TOP 10</h3>
+            <div class="number-list">
+                ${carryTop.map(item => `
+                    <div class="number-item">
+                        ${ball(item.number)}
+                        <span>${item.carried}/${item.trials}회 (${(item.rate * 100).toFixed(1)}%)</span>
+                    </div>
+                `).join('')}
+            </div>
+        `;
+
+        html += transitionTable('📈 독립 기대보다 자주 이어진 전이 (i → j)', result.strongestTransitions) +
+            transitionTable('📉 독립 기대보다 드물게 이어진 전이 (i → j)', result.weakestTransitions);
+
+        html += `
+            <h3>🎯 최신 회차 ${balls(result.latestNumbers)} 기준 다음 회차 조건부 확률 TOP 10</h3>
+            <div class="number-list">
+                ${result.fromLatest.map(item => `
+                    <div class="number-item">
+                        ${ball(item.number)}
+                        <span>${(item.probability * 100).toFixed(1)}% (${item.count}/${item.trials})</span>
+                    </div>
+                `).join('')}
+            </div>
+            <h3>🗓️ 최근 회차 이월수·이웃수</h3>
+            <table class="number-table">
+                <thead>
+                    <tr>
+                        <th>회차</th>
+                        <th>이월수</th>
+                        <th>이웃수 (±1)</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${result.recent.map(item => `
+                        <tr>
+                            <td>${item.previousDrawNo}회 → ${item.drawNo}회</td>
+                            <td>${balls(item.carried)}</td>
+                            <td>${balls(item.adjacent)}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+            <div style="margin-top: 20px; padding: 15px; background: #f8f9fa; border-radius: 8px;">
+                <p><strong>📊 통계 정보:</strong></p>
+                <p>• 분석한 전이: ${result.totalTransitions.toLocaleString()}회 (${result.range.fromDraw}회 ~ ${result.range.toDraw}회)</p>
+                <p>• 전체 이월률: ${(result.carryRate.rate * 100).toFixed(2)}% (독립 기대 ${(result.carryRate.expectedRate * 100).toFixed(2)}%, p = ${result.carryRate.pValue.toFixed(4)})</p>
+                <p>• 이월수·이웃수의 독립 기대값은 초기하분포로 계산했습니다 (이웃수는 회차마다 이웃 번호 개수가 달라 회차별 분포를 평균).</p>
+                <p>• 조건부 확률 P(j | i)는 독립이면 모두 ${(result.expectedProbability * 100).toFixed(2)}%입니다. ${result.testedTransitions.toLocaleString()}개 전이를 동시에 검정하므로 Benjamini-Hochberg 보정 후 유의(α = ${result.alpha})한 전이는 ${result.significantTransitions.length}개입니다.</p>
+            </div>
+        `;
+
+        container.innerHTML = html;
+    }
+
+    /**
+     * 번호 추천 생성
+     */
+    async generateRecommendations() {
+        if (!this.currentData) {
+            this.showStatus('error', '데이터를 먼저 로드해주세요.');
+            return;
+        }
+
+        this.showLoading(true);
+        
+        try {
+            const numRecommendations = parseInt(document.getElementById('numRecommendations').value);
+            const { strategy, params, local } = this.getStrategyOptions('strategy');
+            
+            const recommendations = await this.workerClient.run('analyzer', 'generateRecommendations', [{
+                numRecommendations,
+                strategy,
+                params,
+                range: this.currentRange,
+                seed: document.getElementById('recommendSeed').value,
+                popularity: document.getElementById('popularityMode').value
+            }], { local });
+            
+            // 가중 확률 샘플링이면 번호별 가중치 표도 함께 보여준다 (폼 값은 문자열이므로 전략 스키마로 변환)
+            const sampling = strategy === 'weighted'
+                ? await this.workerClient.run('analyzer', 'samplingWeights', [Object.assign(
+                    { range: this.currentRange },
+                    this.strategyRegistry.normalizeParams(strategy, params)
+                )])
+                : null;
+            
+            this.lastResults.recommendations = recommendations;
+            this.displayRecommendations(recommendations, await this.evaluateOdds(recommendations.map(rec => rec.numbers)), sampling);
+            this.showStatus('success', '번호 추천이 완료되었습니다.');
+        } catch (error) {
+            this.showJobError('번호 추천', error);
+        } finally {
+            this.showLoading(false);
+        }
+    }
+
+    /**
+     * 티켓 묶음의 당첨 확률/기대값 계산 (판매액 정보가 없으면 null)
+     * @param {Array} tickets - 6개 번호 티켓 배열
+     */
+    async evaluateOdds(tickets) {
+        try {
+            return await this.workerClient.run('odds', 'evaluate', [tickets]);
+        } catch (error) {
+            console.warn(`당첨 확률 계산 실패: ${error.message}`);
+            return null;
+        }
+    }
+
+    /**
+     * 당첨 확률/기대값 보고서 HTML
+     * @param {Object} report - LottoOddsCalculator.evaluate 결과
+     */
+    formatOddsReport(report) {
+        const rankLabels = { 1: '1등 (6개 일치)', 2: '2등 (5개 + 보너스)', 3: '3등 (5개 일치)', 4: '4등 (4개 일치)', 5: '5등 (3개 일치)' };
+        const percent = (p) => `${(p * 100).toFixed(p < 0.0001 ? 6 : 4)}%`;
+        const set = report.set;
+        
+        let html = `
+            <h3>🎯 등수별 당첨 확률 (${set.count}게임, 서로 다른 번호 ${set.uniqueNumbers}개)</h3>
+            <table class="number-table">
+                <thead>
+                    <tr>
+                        <th>등수</th>
+                        <th>1게임 확률</th>
+                        <th>평균 당첨금</th>
+                        <th>1게임 기대값</th>
+                        <th>최고 등수 확률 (${set.count}게임)</th>
+                    </tr>
+                </thead>
+                <tbody>
+        `;
+        
+        report.perTicket.tiers.forEach((tier, index) => {
+            html += `
+                <tr>
+                    <td>${rankLabels[tier.rank]}</td>
+                    <td>1 / ${Math.round(tier.odds).toLocaleString()}</td>
+                    <td>${Math.round(tier.averagePrize).toLocaleString()}원</td>
+                    <td>${tier.expectedValue.toFixed(1)}원</td>
+                    <td>${percent(set.bestRank[index].probability)}</td>
+                </tr>
+            `;
+        });
+        
+        html += `
+                </tbody>
+            </table>
+            <div style="margin-top: 20px; padding: 15px; background: #f8f9fa; border-radius: 8px;">
+                <p><strong>💰 기대값 정보:</strong></p>
+                <p>• 1,000원당 기대 당첨금: ${report.perTicket.expectedValuePer1000.toFixed(1)}원 (구매액 대비 ${(report.perTicket.expectedValuePer1000 / 10).toFixed(1)}%)</p>
+                <p>• ${set.count}게임 (${set.cost.toLocaleString()}원) 기대 당첨금: ${Math.round(set.expectedValue).toLocaleString()}원</p>
+                <p>• 적어도 한 게임 당첨될 확률: ${percent(set.winProbability)} (각 게임이 독립이라고 가정하면 ${percent(set.independentWinProbability)})</p>
+                <p>• 평균 당첨금은 1게임 1,000원 회차 ${report.prizeDraws}회의 기록(1등)과 판매액 추정치(2·3등)입니다. 어떤 번호를 고르든 확률은 같습니다.</p>
+            </div>
+        `;
+        
+        return html;
+    }
+
+    /**
+     * 입력한 번호의 당첨 확률/기대값 계산
+     */
+    async calculateOdds() {
+        if (!this.currentData) {
+            this.showStatus('error', '데이터를 먼저 로드해주세요.');
+            return;
+        }
+
+        const { tickets, errors } = this.ticketChecker.parseTickets(
+            document.getElementById('ticketInput').value
+        );
+
+        if (errors.length > 0) {
+            const error = errors[0];
+            this.showStatus('error', `${error.line}번째 줄: ${error.message}`);
+            return;
+        }
+
+        if (tickets.length === 0) {
+            this.showStatus('error', '확률을 계산할 번호를 입력해주세요.');
+            return;
+        }
+
+        this.showLoading(true);
+        
+        try {
+            const report = await this.workerClient.run('odds', 'evaluate', [tickets]);
+            document.getElementById('oddsResult').innerHTML = this.formatOddsReport(report);
+            this.showStatus('success', '당첨 확률 계산이 완료되었습니다.');
+        } catch (error) {
+            this.showJobError('당첨 확률 계산', error);
+        } finally {
+            this.showLoading(false);
+        }
+    }
+
+    /**
+     * 추천 번호 표시
+     * @param {Array} recommendations - 추천 번호 배열
+     * @param {Object} odds - 추천 조합 전체의 당첨 확률/기대값 (선택)
+     * @param {Object} sampling - 가중 확률 샘플링 가중치 (선택, samplingWeights 결과)
+     */
+    displayRecommendations(recommendations, odds = null, sampling = null) {
+        const container = document.getElementById('recommendationResult');
+        
+        let html = '';
+        
+        recommendations.forEach((rec, index) => {
+            // 전략마다 등록된 색상으로 테두리와 제목을 구분한다
+            const strategyColor = this.chartManager.getRecommendationColor(rec.type);
+            html += `
+                <div class="recommendation-set" style="border-color: ${strategyColor};">
+                    <h4 style="color: ${strategyColor};">
+                        ${rec.name}
+                        <span class="popularity-badge ${rec.popularity.level}">인기 위험 ${rec.popularity.score} (${rec.popularity.label})</span>
+                        <span class="set-seed">시드 ${rec.seed}</span>
+                    </h4>
+                    <div class="numbers">
+            `;
+            
+            rec.numbers.forEach(num => {
+                const colorClass = this.getNumberColorClass(num);
+                html += `<span class="number-ball ${colorClass}">${num}</span>`;
+            });
+            
+            html += `
+                    </div>
+                    ${rec.popularity.factors.length > 0
+                        ? `<p class="popularity-factors">${rec.popularity.factors.map(factor => `${factor.label}: ${factor.detail} (+${factor.points})`).join(' · ')}</p>`
+                        : ''}
+                    ${rec.details && rec.details.weights
+                        ? `<p class="sampling-weights">선택 가중치: ${rec.details.weights.map(item => `${item.number}번 ${item.weight === null ? '점수 순' : `${(item.weight * 100).toFixed(1)}%`}`).join(' · ')}</p>`
+                        : ''}
+                </div>
+            `;
+        });
+        
+        if (sampling) {
+            html += this.formatSamplingWeights(sampling);
+        }
+        
+        if (odds) {
+            html += this.formatOddsReport(odds);
+        }
+        
+        container.innerHTML = html;
+    }
+
+    /**
+     * 가중 확률 샘플링 번호별 가중치 HTML
+     * @param {Object} sampling - samplingWeights 결과
+     */
+    formatSamplingWeights(sampling) {
+        const sorted = [...sampling.numbers].sort((a, b) => b.score - a.score);
+        const items = sorted.map(item => `
+                <div class="number-item">
+                    <span class="number-ball ${this.getNumberColorClass(item.number)}">${item.number}</span>
+                    <span>${item.weight === null ? '' : `${(item.weight * 100).toFixed(2)}% · `}점수 ${item.score.toFixed(2)}</span>
+                </div>
+            `).join('');
+
+        return `
+            <h3>⚖️ 번호별 선택 가중치 (점수 높은 순)</h3>
+            <div class="number-list">${items}</div>
+            <div style="margin-top: 20px; padding: 15px; background: #f8f9fa; border-radius: 8px;">
+                <p><strong>📊 통계 정보:</strong></p>
+                <p>• 점수는 전체 빈도, 최근 ${sampling.recentDraws}회차 빈도, 미출현 비율(현재 미출현 기간 / 평균 주기)을 각각 z-점수로 바꿔 가중 합한 값입니다.</p>
+                <p>• ${sampling.greedy
+                    ? '온도 0: 점수 합이 큰 조합부터 차례로 고릅니다.'
+                    : `온도 ${sampling.temperature}: 선택 가중치는 exp(점수 / 온도)에 비례하며, 온도가 높을수록 균등(${(100 / 45).toFixed(2)}%)에 가까워집니다.`}</p>
+                <p>• 조합마다 번호 6개를 가중치에 따라 비복원 추출하고, 이미 나온 조합은 다시 뽑아 서로 다른 조합만 추천합니다.</p>
+                <p>• 가중치는 과거 데이터를 요약한 것일 뿐, 실제 추첨에서 각 번호가 나올 확률은 모두 같습니다.</p>
+            </div>
+        `;
+    }
+
+    /**
+     * 조건부 조합 생성 입력값 읽기
+     * @returns {Object} 생성 조건
+     */
+    readConstraintForm() {
+        const value = (id) => document.getElementById(id).value;
+        const numberList = (id) => value(id).split(/[\s,]+/).filter(s => s !== '').map(Number);
+
+        return {
+            include: numberList('constraintInclude'),
+            exclude: numberList('constraintExclude'),
+            oddEven: value('constraintOddEven'),
+            lowHigh: value('constraintLowHigh'),
+            sumMin: value('constraintSumMin'),
+            sumMax: value('constraintSumMax'),
+            acMin: value('constraintAcMin'),
+            acMax: value('constraintAcMax'),
+            maxConsecutive: value('constraintMaxConsecutive'),
+            maxSameEnding: value('constraintMaxSameEnding'),
+            excludePastWinners: document.getElementById('constraintExcludePast').checked
+        };
+    }
+
+    /**
+     * 조건부 조합 생성
+     */
+    async generateConstrained() {
+        if (!this.currentData) {
+            this.showStatus('error', '데이터를 먼저 로드해주세요.');
+            return;
+        }
+
+        this.showLoading(true, { cancellable: true });
+        
+        try {
+            const count = parseInt(document.getElementById('constraintCount').value);
+            const seed = document.getElementById('constraintSeed').value;
+            const result = await this.workerClient.run('generator', 'generate', [this.readConstraintForm(), { count, seed }]);
+            this.displayConstrainedResult(result);
+            if (result.feasible) {
+                this.showStatus('success', `조건을 만족하는 조합 ${result.combinations.length}개를 생성했습니다.`);
+            } else {
+                this.showStatus('error', `${result.infeasible.label}: ${result.infeasible.message}`);
+            }
+        } catch (error) {
+            this.showJobError('조건부 조합 생성', error);
+        } finally {
+            this.showLoading(false);
+        }
+    }
+
+    /**
+     * 조건부 조합 생성 결과 표시
+     * @param {Object} result - 생성 결과
+     */
+    displayConstrainedResult(result) {
+        const container = document.getElementById('constrainedResult');
+        let html = '';
+
+        if (!result.feasible) {
+            html += `
+                <div class="validation-summary invalid">
+                    <strong>⚠️ ${result.infeasible.label} 조건을 만족할 수 없습니다.</strong>
+                    <p>${result.infeasible.message}</p>
+                </div>
+            `;
+        }
+
+        result.combinations.forEach((combo, index) => {
+            html += `
+                <div class="recommendation-set">
+                    <h4>조건부 조합 ${index + 1} <span class="set-seed">시드 ${result.seed}</span></h4>
+                    <div class="numbers">
+            `;
+            
+            combo.numbers.forEach(num => {
+                const colorClass = this.getNumberColorClass(num);
+                html += `<span class="number-ball ${colorClass}">${num}</span>`;
+            });
+            
+            html += `
+                    </div>
+                    <p>합계 ${combo.sum} · AC ${combo.ac} · 홀짝 ${combo.oddEven} · 저고 ${combo.lowHigh} · 최대 연속 ${combo.longestRun}개</p>
+                </div>
+            `;
+        });
+
+        if (result.attempts > 0) {
+            html += `<p>• ${result.attempts.toLocaleString()}개 후보 조합을 검사했습니다.</p>`;
+        }
+        if (result.method === 'enumeration') {
+            html += `<p>• 무작위 추출 통과율이 낮아 전체 탐색으로 전환했습니다. 조건을 모두 만족하는 조합은 ${result.totalMatches.toLocaleString()}개입니다.</p>`;
+        }
+
+        container.innerHTML = html;
+    }
+
+    /**
+     * 티켓 당첨 확인
+     */
+    checkTickets() {
+        if (!this.currentData) {
+            this.showStatus('error', '데이터를 먼저 로드해주세요.');
+            return;
+        }
+
+        const { tickets, errors } = this.ticketChecker.parseTickets(
+            document.getElementById('ticketInput').value
+        );
+
+        if (errors.length > 0) {
+            const error = errors[0];
+            this.showStatus('error', `${error.line}번째 줄: ${error.message}`);
+            return;
+        }
+
+        if (tickets.length === 0) {
+            this.showStatus('error', '확인할 번호를 입력해주세요.');
+            return;
+        }
+
+        try {
+            const fromDraw = parseInt(document.getElementById('checkFromDraw').value) || undefined;
+            const toDraw = parseInt(document.getElementById('checkToDraw').value) || undefined;
+            
+            const result = this.ticketChecker.checkTickets(tickets, { fromDraw, toDraw });
+            this.displayCheckResult(result);
+            this.showStatus('success', '당첨 확인이 완료되었습니다.');
+        } catch (error) {
+            this.showStatus('error', `당첨 확인 오류: ${error.message}`);
+        }
+    }
+
+    /**
+     * 새 회차 데이터 로드 후 지갑 티켓 자동 채점
+     */
+    async refreshWallet() {
+        try {
+            const scored = await this.wallet.refresh();
+            if (scored.length > 0) {
+                const winners = scored.filter(ticket => ticket.result.rank > 0).length;
+                this.showStatus('info', `지갑 티켓 ${scored.length}장을 채점했습니다 (당첨 ${winners}장).`);
+            }
+            this.displayWallet();
+        } catch (error) {
+            console.warn(`지갑을 갱신할 수 없습니다: ${error.message}`);
+        }
+    }
+
+    /**
+     * 입력한 번호를 지갑에 추가
+     */
+    async addToWallet() {
+        const { tickets, errors } = this.ticketChecker.parseTickets(
+            document.getElementById('walletInput').value
+        );
+
+        if (errors.length > 0) {
+            const error = errors[0];
+            this.showStatus('error', `${error.line}번째 줄: ${error.message}`);
+            return;
+        }
+
+        if (tickets.length === 0) {
+            this.showStatus('error', '지갑에 추가할 번호를 입력해주세요.');
+            return;
+        }
+
+        try {
+            const drawNo = document.getElementById('walletDrawNo').value;
+            const added = await this.wallet.addTickets(tickets, {
+                drawNo: drawNo === '' ? undefined : drawNo,
+                source: 'manual'
+            });
+            document.getElementById('walletInput').value = '';
+            this.displayWallet();
+            this.showStatus('success', `${added[0].drawNo}회 티켓 ${added.length}장을 지갑에 추가했습니다.`);
+        } catch (error) {
+            this.showStatus('error', `지갑 저장 오류: ${error.message}`);
+        }
+    }
+
+    /**
+     * 마지막 추천 조합을 지갑에 저장
+     */
+    async saveRecommendationsToWallet() {
+        const recommendations = this.lastResults.recommendations;
+        if (!recommendations || recommendations.length === 0) {
+            this.showStatus('error', '먼저 번호 추천을 받아주세요.');
+            return;
+        }
+
+        try {
+            const added = await this.wallet.addTickets(recommendations.map(rec => rec.numbers), {
+                source: 'recommendation',
+                label: recommendations.map(rec => rec.name),
+                seed: recommendations[0].seed
+            });
+            this.displayWallet();
+            this.showStatus('success', `추천 조합 ${added.length}개를 ${added[0].drawNo}회 티켓으로 지갑에 저장했습니다.`);
+        } catch (error) {
+            this.showStatus('error', `지갑 저장 오류: ${error.message}`);
+        }
+    }
+
+    /**
+     * 지갑 티켓 삭제
+     * @param {string} id - 티켓 ID
+     */
+    async removeWalletTicket(id) {
+        try {
+            await this.wallet.removeTicket(id);
+            this.displayWallet();
+        } catch (error) {
+            this.showStatus('error', `지갑 저장 오류: ${error.message}`);
+        }
+    }
+
+    /**
+     * 지갑 비우기
+     */
+    async clearWallet() {
+        if (this.wallet.tickets.length === 0 || !confirm('지갑의 모든 티켓을 삭제할까요?')) {
+            return;
+        }
+
+        try {
+            await this.wallet.clear();
+            this.displayWallet();
+            this.showStatus('info', '지갑을 비웠습니다.');
+        } catch (error) {
+            this.showStatus('error', `지갑 저장 오류: ${error.message}`);
+        }
+    }
+
+    /**
+     * 지갑 티켓 목록과 누적 성과 표시
+     */
+    displayWallet() {
+        const container = document.getElementById('walletResult');
+        document.getElementById('walletDrawNo').placeholder = `다음 회차 (${this.wallet.getNextDrawNo()}회)`;
+        const demoNotice = this.wallet.demo
+            ? '<p>• 데모 데이터를 사용하는 동안에는 티켓을 추가하거나 채점하지 않습니다.</p>'
+            : '';
+
+        if (this.wallet.tickets.length === 0) {
+            container.innerHTML = demoNotice + '<p>지갑에 저장된 티켓이 없습니다. 번호를 추가하거나 추천 조합을 저장해보세요.</p>';
+            return;
+        }
+
+        const summary = this.wallet.getSummary();
+        const best = summary.best;
+        const resultText = (result) => {
+            if (!result) return '추첨 대기';
+            return result.rank > 0
+                ? `${result.rank}등 (${result.prize.toLocaleString()}원)`
+                : `낙첨 (${result.matchCount}개 일치)`;
+        };
+        const tickets = [...this.wallet.tickets].sort((a, b) => b.drawNo - a.drawNo || a.addedAt - b.addedAt);
+        
+        let html = demoNotice + `
+            <div class="stats-grid">
+                <div class="stat-card">
+                    <div class="stat-value">${summary.totalTickets}장</div>
+                    <div class="stat-label">보관 티켓 (대기 ${summary.pending}장)</div>
+                </div>
+                <div class="stat-card">
+                    <div class="stat-value">${summary.totalSpent.toLocaleString()}원</div>
+                    <div class="stat-label">누적 구매액</div>
+                </div>
+                <div class="stat-card">
+                    <div class="stat-value">${summary.totalWon.toLocaleString()}원</div>
+                    <div class="stat-label">누적 당첨금</div>
+                </div>
+                <div class="stat-card">
+                    <div class="stat-value">${best ? resultText(best.result) : '-'}</div>
+                    <div class="stat-label">최고 성적${best ? ` (${best.drawNo}회)` : ''}</div>
+                </div>
+            </div>
+            <h3>🎟️ 보관 중인 티켓</h3>
+            <table class="number-table">
+                <thead>
+                    <tr>
+                        <th>회차</th>
+                        <th>번호</th>
+                        <th>출처</th>
+                        <th>결과</th>
+                        <th></th>
+                    </tr>
+                </thead>
+                <tbody>
+        `;
         
-        let html = '';
+        tickets.forEach(ticket => {
+            // 채점된 티켓은 일치하지 않은 번호를 흐리게 표시
+            const numbers = ticket.numbers.map(num => {
+                const colorClass = !ticket.result || ticket.result.matched.includes(num) ? this.getNumberColorClass(num) : 'miss';
+                return `<span class="number-ball ${colorClass}">${num}</span>`;
+            }).join('');
+            html += `
+                <tr>
+                    <td>${ticket.drawNo}회</td>
+                    <td>${numbers}</td>
+                    <td>${ticket.source === 'recommendation' ? `추천${ticket.label ? ` (${ticket.label})` : ''}` : '직접 입력'}</td>
+                    <td>${resultText(ticket.result)}</td>
+                    <td><button class="btn btn-secondary" data-wallet-remove="${ticket.id}" title="삭제"><i class="fas fa-times"></i></button></td>
+                </tr>
+            `;
+        });
         
-        recommendations.forEach((rec, index) => {
+        html += `
+                </tbody>
+            </table>
+            <h3>📒 회차별 기록</h3>
+            <table class="number-table">
+                <thead>
+                    <tr>
+                        <th>회차</th>
+                        <th>티켓</th>
+                        <th>구매액</th>
+                        <th>당첨금</th>
+                        <th>최고 등수</th>
+                        <th>누적 손익</th>
+                    </tr>
+                </thead>
+                <tbody>
+        `;
+        
+        [...summary.history].reverse().forEach(entry => {
+            const net = entry.cumulativeWon - entry.cumulativeSpent;
+            html += `
+                <tr>
+                    <td>${entry.drawNo}회</td>
+                    <td>${entry.tickets}장${entry.pending > 0 ? ` (대기 ${entry.pending})` : ''}</td>
+                    <td>${entry.spent.toLocaleString()}원</td>
+                    <td>${entry.won.toLocaleString()}원</td>
+                    <td>${entry.bestRank > 0 ? `${entry.bestRank}등` : entry.pending === entry.tickets ? '-' : '낙첨'}</td>
+                    <td>${net.toLocaleString()}원</td>
+                </tr>
+            `;
+        });
+        
+        html += `
+                </tbody>
+            </table>
+            <div style="margin-top: 20px; padding: 15px; background: #f8f9fa; border-radius: 8px;">
+                <p><strong>💰 수익 정보:</strong></p>
+                <p>• 순손익: ${summary.net.toLocaleString()}원 (수익률 ${summary.roi.toFixed(1)}%)</p>
+                <p>• 등수별 당첨: ${[1, 2, 3, 4, 5].map(rank => `${rank}등 ${summary.rankCounts[rank]}장`).join(', ')}</p>
+                <p>• 새 회차 데이터가 로드되면 대기 중인 티켓을 자동으로 채점합니다. 2·3등 당첨금은 추정치입니다.</p>
+            </div>
+        `;
+        
+        container.innerHTML = html;
+    }
+
+    /**
+     * 당첨 확인 결과 표시
+     * @param {Object} result - 당첨 확인 결과
+     */
+    displayCheckResult(result) {
+        const container = document.getElementById('checkResult');
+        
+        // 범위 조회 시 당첨된 회차만 표시
+        const draws = result.results.length === 1
+            ? result.results
+            : result.results.filter(draw => draw.tickets.some(ticket => ticket.rank > 0));
+        
+        let html = `
+            <div style="margin-bottom: 20px; padding: 15px; background: #f8f9fa; border-radius: 8px;">
+                <p><strong>🎫 확인 결과 (${result.fromDraw}회 ~ ${result.toDraw}회):</strong></p>
+                <p>• 1등 ${result.rankCounts[1]}건 / 2등 ${result.rankCounts[2]}건 / 3등 ${result.rankCounts[3]}건 / 4등 ${result.rankCounts[4]}건 / 5등 ${result.rankCounts[5]}건</p>
+                <p>• 예상 당첨금 합계: ${result.totalPrize.toLocaleString()}원 (2·3등은 추정치)</p>
+            </div>
+        `;
+        
+        if (draws.length === 0) {
+            html += '<p>해당 기간에 당첨된 회차가 없습니다.</p>';
+        }
+        
+        draws.forEach(draw => {
             html += `
                 <div class="recommendation-set">
-                    <h4>${rec.name}</h4>
+                    <h4>${draw.drawNo}회 (${draw.drawDate})</h4>
                     <div class="numbers">
             `;
             
-            rec.numbers.forEach(num => {
-                const colorClass = this.getNumberColorClass(num);
-                html += `<span class="number-ball ${colorClass}">${num}</span>`;
+            draw.winningNumbers.forEach(num => {
+                html += `<span class="number-ball ${this.getNumberColorClass(num)}">${num}</span>`;
             });
             
             html += `
+                        <span style="margin: 0 10px; font-size: 1.2rem; line-height: 40px;">+</span>
+                        <span class="number-ball ${this.getNumberColorClass(draw.bonus)}">${draw.bonus}</span>
                     </div>
-                </div>
             `;
+            
+            draw.tickets.forEach(ticket => {
+                const rankLabel = ticket.rank > 0
+                    ? `${ticket.rank}등 (${ticket.prize.toLocaleString()}원)`
+                    : '낙첨';
+                
+                html += '<div class="numbers">';
+                ticket.numbers.forEach(num => {
+                    let colorClass = 'miss';
+                    if (ticket.matched.includes(num)) {
+                        colorClass = this.getNumberColorClass(num);
+                    } else if (ticket.bonusMatch && num === draw.bonus) {
+                        colorClass = `${this.getNumberColorClass(num)} bonus-match`;
+                    }
+                    html += `<span class="number-ball ${colorClass}">${num}</span>`;
+                });
+                html += `
+                        <span style="line-height: 40px; margin-left: 10px;">${ticket.matchCount}개 일치 · ${rankLabel}</span>
+                    </div>
+                `;
+            });
+            
+            html += '</div>';
+        });
+        
+        container.innerHTML = html;
+    }
+
+    /**
+     * 백테스트 실행
+     */
+    async runBacktest() {
+        if (!this.currentData) {
+            this.showStatus('error', '데이터를 먼저 로드해주세요.');
+            return;
+        }
+
+        this.showLoading(true, { cancellable: true });
+        
+        try {
+            const { strategy, params, local } = this.getStrategyOptions('backtestStrategy');
+            const testDraws = parseInt(document.getElementById('backtestPeriod').value);
+            const seedInput = document.getElementById('backtestSeed').value;
+            
+            const result = await this.workerClient.run('backtester', 'run', [{
+                strategy,
+                params,
+                testDraws,
+                seed: seedInput === '' ? null : parseInt(seedInput)
+            }], {
+                onProgress: (done, total) => this.showProgress(done, total),
+                local
+            });
+            
+            this.displayBacktestResult(result);
+            this.showStatus('success', '백테스트가 완료되었습니다.');
+        } catch (error) {
+            this.showJobError('백테스트', error);
+        } finally {
+            this.showLoading(false);
+        }
+    }
+
+    /**
+     * 공정 추첨 몬테카를로 시뮬레이션 실행
+     */
+    async runSimulation() {
+        if (!this.currentData) {
+            this.showStatus('error', '데이터를 먼저 로드해주세요.');
+            return;
+        }
+
+        this.showLoading(true, { cancellable: true });
+        
+        try {
+            const simulations = parseInt(document.getElementById('simulationCount').value);
+            const seedInput = document.getElementById('simulationSeed').value;
+            
+            const result = await this.workerClient.run('simulator', 'run', [{
+                simulations,
+                seed: seedInput === '' ? null : parseInt(seedInput),
+                range: this.currentRange
+            }], {
+                onProgress: (done, total) => this.showProgress(done, total)
+            });
+            
+            this.lastResults.simulation = result;
+            this.displaySimulationResult(result);
+            this.showStatus('success', '시뮬레이션이 완료되었습니다.');
+        } catch (error) {
+            this.showJobError('시뮬레이션', error);
+        } finally {
+            this.showLoading(false);
+        }
+    }
+
+    /**
+     * 시뮬레이션 결과 표시
+     * @param {Object} result - 시뮬레이션 결과
+     */
+    displaySimulationResult(result) {
+        const container = document.getElementById('simulationResult');
+        const unusual = result.metrics.filter(metric => metric.unusual);
+        
+        let html = `
+            <h3>🎲 실제 이력의 위치 (가상 이력 ${result.simulations.toLocaleString()}개, ${result.range.fromDraw}회 ~ ${result.range.toDraw}회)</h3>
+            <table class="number-table">
+                <thead>
+                    <tr>
+                        <th>지표</th>
+                        <th>실제 값</th>
+                        <th>가상 이력 95% 구간</th>
+                        <th>백분위</th>
+                        <th>p-값</th>
+                    </tr>
+                </thead>
+                <tbody>
+        `;
+        
+        result.metrics.forEach(metric => {
+            html += `
+                <tr${metric.unusual ? ' style="background: #fef2f2;"' : ''}>
+                    <td>${metric.label}</td>
+                    <td>${metric.actualText}</td>
+                    <td>${metric.lowerText} ~ ${metric.upperText}</td>
+                    <td>${metric.percentile.toFixed(1)}%</td>
+                    <td>${metric.pValue.toFixed(3)}</td>
+                </tr>
+            `;
+        });
+        
+        html += `
+                </tbody>
+            </table>
+            <div style="margin-top: 20px; padding: 15px; background: #f8f9fa; border-radius: 8px;">
+                <p><strong>📊 통계 정보:</strong></p>
+                <p>• 시드: ${result.seed} (같은 시드와 횟수로 실행하면 같은 결과가 나옵니다)</p>
+                <p>• 각 가상 이력은 공정한 6/45 추첨기로 실제와 같은 ${result.drawCount}회차를 뽑아 같은 분석을 실행한 결과입니다.</p>
+                <p>• ${unusual.length === 0
+                    ? '모든 지표가 가상 이력 95% 구간 안에 있어 공정한 추첨과 구별되지 않습니다.'
+                    : `95% 구간을 벗어난 지표: ${unusual.map(metric => metric.label).join(', ')} (지표가 ${result.metrics.length}개이므로 우연히 벗어날 수도 있습니다)`}</p>
+            </div>
+        `;
+        
+        container.innerHTML = html;
+    }
+
+    /**
+     * 백테스트 결과 표시
+     * @param {Object} result - 백테스트 결과
+     */
+    displayBacktestResult(result) {
+        const container = document.getElementById('backtestResult');
+        const rows = [...Object.values(result.results), result.baseline];
+        
+        let html = `
+            <h3>📈 전략별 성과 (${result.fromDraw}회 ~ ${result.toDraw}회, ${result.drawsTested}회차)</h3>
+            <table class="number-table">
+                <thead>
+                    <tr>
+                        <th>전략</th>
+                        <th>티켓</th>
+                        <th>1등</th>
+                        <th>2등</th>
+                        <th>3등</th>
+                        <th>4등</th>
+                        <th>5등</th>
+                        <th>적중률</th>
+                        <th>ROI</th>
+                    </tr>
+                </thead>
+                <tbody>
+        `;
+        
+        rows.forEach(stats => {
+            html += `
+                <tr>
+                    <td>${stats.name}</td>
+                    <td>${stats.tickets}</td>
+                    <td>${stats.rankCounts[1]}</td>
+                    <td>${stats.rankCounts[2]}</td>
+                    <td>${stats.rankCounts[3]}</td>
+                    <td>${stats.rankCounts[4]}</td>
+                    <td>${stats.rankCounts[5]}</td>
+                    <td>${stats.winRate.toFixed(2)}%</td>
+                    <td>${stats.roi.toFixed(1)}%</td>
+                </tr>
+            `;
+        });
+        
+        html += `
+                </tbody>
+            </table>
+            
+            <h3 style="margin-top: 30px;">🎯 일치 개수 분포</h3>
+            <table class="number-table">
+                <thead>
+                    <tr>
+                        <th>전략</th>
+                        <th>0개</th>
+                        <th>1개</th>
+                        <th>2개</th>
+                        <th>3개</th>
+                        <th>4개</th>
+                        <th>5개</th>
+                        <th>6개</th>
+                    </tr>
+                </thead>
+                <tbody>
+        `;
+        
+        rows.forEach(stats => {
+            html += `<tr><td>${stats.name}</td>`;
+            for (let k = 0; k <= 6; k++) {
+                html += `<td>${stats.matchCounts[k]}</td>`;
+            }
+            html += '</tr>';
+        });
+        
+        html += `
+                </tbody>
+            </table>
+            <div style="margin-top: 20px; padding: 15px; background: #f8f9fa; border-radius: 8px;">
+                <p><strong>💰 수익 정보 (1게임 ${result.ticketPrice.toLocaleString()}원 기준):</strong></p>
+        `;
+        
+        rows.forEach(stats => {
+            html += `<p>• ${stats.name}: 구매 ${stats.totalSpent.toLocaleString()}원 / 당첨 ${stats.totalWon.toLocaleString()}원</p>`;
         });
         
+        html += `
+                <p>• 2·3등 당첨금은 회차별 판매액으로 추정한 값입니다.</p>
+                <p>• 시드: ${result.seed} (같은 시드와 조건으로 실행하면 추천과 무작위 기준선이 모두 같게 나옵니다)</p>
+            </div>
+        `;
+        
         container.innerHTML = html;
     }
 
     /**
      * 빈도 차트 표시
      */
-    showFrequencyChart() {
+    async showFrequencyChart() {
+        if (!this.currentData) {
+            this.showStatus('error', '데이터를 먼저 로드해주세요.');
+            return;
+        }
+
+        this.showLoading(true);
+
+        try {
+            const result = await this.workerClient.run('analyzer', 'frequencyAnalysis', [this.currentRange, this.getBonusOption()]);
+            this.chartManager.createFrequencyChart(result);
+        } catch (error) {
+            this.showJobError('빈도 차트', error);
+        } finally {
+            this.showLoading(false);
+        }
+    }
+
+    /**
+     * 이동 출현율 차트 표시
+     */
+    async showRollingChart() {
         if (!this.currentData) {
             this.showStatus('error', '데이터를 먼저 로드해주세요.');
             return;
         }
 
-        const result = this.analyzer.frequencyAnalysis();
-        this.chartManager.createFrequencyChart(result);
+        const numbers = Array.from(document.querySelectorAll('#rollingNumberPicker .number-ball.selected'))
+            .map(ball => parseInt(ball.getAttribute('data-number')));
+        const windowSize = parseInt(document.getElementById('rollingWindow').value);
+
+        this.showLoading(true);
+
+        try {
+            const result = await this.workerClient.run('analyzer', 'rollingFrequencyAnalysis', [numbers, {
+                windowSize,
+                range: this.currentRange
+            }]);
+            this.chartManager.createRollingFrequencyChart(result);
+            this.displayRollingSummary(result);
+        } catch (error) {
+            this.showJobError('이동 출현율 분석', error);
+        } finally {
+            this.showLoading(false);
+        }
+    }
+
+    /**
+     * 이동 출현율 요약 표시
+     * @param {Object} result - 이동 구간 출현율 분석 결과
+     */
+    displayRollingSummary(result) {
+        const container = document.getElementById('rollingSummary');
+        const percent = rate => (rate * 100).toFixed(1);
+        const windows = result.labels.length;
+        // 구간마다 신뢰구간을 벗어날 확률은 약 (1 - 신뢰수준)이다.
+        const expectedOutside = ((1 - result.confidence) * 100).toFixed(0);
+
+        let html = `
+            <p>기대 출현율 ${percent(result.expectedRate)}%, ${Math.round(result.confidence * 100)}% 신뢰구간
+            ${percent(result.band.lower)}% ~ ${percent(result.band.upper)}% (구간 ${result.windowSize}회차, ${windows}개 구간)</p>
+            <table class="number-table">
+                <thead>
+                    <tr>
+                        <th>번호</th>
+                        <th>최근 출현율</th>
+                        <th>최저 / 최고</th>
+                        <th>신뢰구간 이탈</th>
+                    </tr>
+                </thead>
+                <tbody>
+        `;
+
+        result.series.forEach(item => {
+            const colorClass = this.getNumberColorClass(item.number);
+            html += `
+                <tr>
+                    <td><span class="number-ball ${colorClass}">${item.number}</span></td>
+                    <td>${percent(item.rates[item.rates.length - 1])}%</td>
+                    <td>${percent(Math.min(...item.rates))}% / ${percent(Math.max(...item.rates))}%</td>
+                    <td>${item.outsideBand}개 구간 (${(item.outsideBand / windows * 100).toFixed(1)}%)</td>
+                </tr>
+            `;
+        });
+
+        html += `
+                </tbody>
+            </table>
+            <p>• 무작위 추첨에서도 약 ${expectedOutside}%의 구간은 신뢰구간을 벗어나며, 인접한 구간은 서로 겹치므로 이탈이 연달아 나타납니다.</p>
+        `;
+
+        container.innerHTML = html;
     }
 
     /**
      * 주기 차트 표시
      */
-    showCycleChart() {
+    async showCycleChart() {
         if (!this.currentData) {
             this.showStatus('error', '데이터를 먼저 로드해주세요.');
             return;
         }
 
-        const result = this.analyzer.cycleAnalysis();
-        this.chartManager.createCycleChart(result);
+        this.showLoading(true);
+
+        try {
+            const result = await this.workerClient.run('analyzer', 'cycleAnalysis', [this.currentRange, this.getBonusOption()]);
+            this.chartManager.createCycleChart(result);
+        } catch (error) {
+            this.showJobError('주기 차트', error);
+        } finally {
+            this.showLoading(false);
+        }
     }
 
     /**
      * 패턴 차트 표시
      */
-    showPatternChart() {
+    async showPatternChart() {
         if (!this.currentData) {
             this.showStatus('error', '데이터를 먼저 로드해주세요.');
             return;
         }
 
-        const result = this.analyzer.patternAnalysis();
-        this.chartManager.createPatternChart(result);
+        this.showLoading(true);
+
+        try {
+            const result = await this.workerClient.run('analyzer', 'patternAnalysis', [this.currentRange, this.getBonusOption()]);
+            this.chartManager.createPatternChart(result);
+        } catch (error) {
+            this.showJobError('패턴 차트', error);
+        } finally {
+            this.showLoading(false);
+        }
     }
 
     /**
@@ -646,13 +3124,40 @@ class LottoWebApp {
         }, 5000);
     }
 
+    /**
+     * 작업 오류 표시 (취소된 작업은 안내 메시지로 표시)
+     * @param {string} label - 작업 이름
+     * @param {Error} error - 오류 객체
+     */
+    showJobError(label, error) {
+        if (error.cancelled) {
+            this.showStatus('info', `${label}이(가) 취소되었습니다.`);
+            return;
+        }
+        this.showStatus('error', `${label} 오류: ${error.message}`);
+    }
+
     /**
      * 로딩 오버레이 표시/숨김
      * @param {boolean} show - 표시 여부
+     * @param {Object} options - { cancellable } 취소 버튼 표시 여부
      */
-    showLoading(show) {
+    showLoading(show, options = {}) {
         const overlay = document.getElementById('loadingOverlay');
         overlay.style.display = show ? 'flex' : 'none';
+        
+        document.getElementById('cancelJob').style.display = show && options.cancellable ? 'inline-flex' : 'none';
+        document.getElementById('loadingProgress').textContent = '';
+    }
+
+    /**
+     * 로딩 오버레이에 진행률 표시
+     * @param {number} done - 완료한 단계 수
+     * @param {number} total - 전체 단계 수
+     */
+    showProgress(done, total) {
+        const percentage = total > 0 ? Math.floor(done / total * 100) : 0;
+        document.getElementById('loadingProgress').textContent = `${done} / ${total} (${percentage}%)`;
     }
 }
 
@@ -0,0 +1,181 @@
+/**
+ * 로또 추천 전략 백테스트 JavaScript 라이브러리
+ * 과거 회차를 순서대로 재현하여 추천 전략의 성과를 검증
+ */
+
+// 의존 모듈: 브라우저·워커에서는 먼저 로드된 전역 클래스를, Node.js에서는 require로 불러온 모듈을 쓴다.
+const backtestDeps = typeof module !== 'undefined' && module.exports
+    ? { LottoAnalyzer: require('./lotto_analysis.js'), LottoRandom: require('./lotto_random.js') }
+    : { LottoAnalyzer, LottoRandom };
+
+/**
+ * 백테스트 엔진 클래스
+ * 회차 N의 추천은 1 ~ N-1회차 데이터만으로 생성한 뒤 N회차 결과로 채점한다.
+ */
+class LottoBacktester {
+    constructor(analyzer) {
+        this.analyzer = analyzer;
+        this.ticketPrice = 1000;
+    }
+
+    /**
+     * 채점용 통계 객체 생성
+     * @param {string} name - 표시 이름
+     */
+    createStats(name) {
+        return {
+            name: name,
+            tickets: 0,
+            rankCounts: { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 },
+            matchCounts: { 0: 0, 1: 0, 2: 0, 3: 0, 4: 0, 5: 0, 6: 0 },
+            bonusMatches: 0,
+            wins: 0,
+            totalSpent: 0,
+            totalWon: 0
+        };
+    }
+
+    /**
+     * 티켓 하나를 채점하여 통계에 반영
+     * @param {Object} stats - 통계 객체
+     * @param {Array} numbers - 티켓 번호
+     * @param {Object} draw - 채점 대상 회차
+     * @param {Object} prizes - 등수별 당첨금
+     * @returns {Object} 등수 판정 결과
+     */
+    scoreTicket(stats, numbers, draw, prizes) {
+        const result = this.analyzer.getPrizeRank(numbers, draw);
+
+        stats.tickets++;
+        stats.matchCounts[result.matchCount]++;
+        stats.totalSpent += this.ticketPrice;
+
+        if (result.bonusMatch) {
+            stats.bonusMatches++;
+        }
+
+        if (result.rank > 0) {
+            stats.rankCounts[result.rank]++;
+            stats.wins++;
+            stats.totalWon += prizes[result.rank];
+        }
+
+        return result;
+    }
+
+    /**
+     * 통계 객체에 적중률과 ROI 계산
+     * @param {Object} stats - 통계 객체
+     */
+    finalizeStats(stats) {
+        stats.winRate = stats.tickets > 0 ? stats.wins / stats.tickets * 100 : 0;
+        stats.roi = stats.totalSpent > 0
+            ? (stats.totalWon - stats.totalSpent) / stats.totalSpent * 100
+            : 0;
+        return stats;
+    }
+
+    /**
+     * 워크포워드 백테스트 실행
+     * 시드 하나에서 회차별 추천 시드와 무작위 기준선 티켓을 모두 뽑으므로 같은 시드면 같은 결과가 나온다.
+     * @param {Object} options - 백테스트 옵션 ({ strategy, params, numRecommendations, recentPeriod, minTrainingDraws, testDraws, seed, onProgress })
+     * @returns {Object} 전략별 성과 및 랜덤 기준선 비교 결과
+     */
+    run(options = {}) {
+        const history = this.analyzer.data;
+        const {
+            strategy = 'mixed',
+            params = {},
+            numRecommendations = 4,
+            recentPeriod = 0,
+            minTrainingDraws = 50,
+            testDraws = 0,
+            seed = null,
+            onProgress = null
+        } = options;
+
+        if (history.length <= minTrainingDraws) {
+            throw new Error(`백테스트에는 최소 ${minTrainingDraws + 1}회차 이상의 데이터가 필요합니다.`);
+        }
+
+        let startIndex = minTrainingDraws;
+        if (testDraws > 0) {
+            startIndex = Math.max(minTrainingDraws, history.length - testDraws);
+        }
+
+        // 학습용 분석기 (회차마다 로그가 쌓이지 않도록 로거 비활성화)
+        const trainer = new backtestDeps.LottoAnalyzer();
+        trainer.isValidating = false;
+        trainer.logger = { info: () => {}, warn: () => {}, error: () => {} };
+
+        const random = backtestDeps.LottoRandom.seeded(seed);
+        const results = {};
+        const baseline = this.createStats('무작위 기준선');
+        const winningTickets = [];
+
+        for (let i = startIndex; i < history.length; i++) {
+            const draw = history[i];
+            const prizes = this.analyzer.estimatePrizeAmounts(draw);
+
+            trainer.loadData(history.slice(0, i));
+            const recommendations = trainer.generateRecommendations({
+                numRecommendations,
+                strategy,
+                params,
+                recentPeriod,
+                seed: random.nextUint32()
+            });
+
+            for (let rec of recommendations) {
+                if (!results[rec.type]) {
+                    results[rec.type] = this.createStats(rec.name);
+                }
+
+                const scored = this.scoreTicket(results[rec.type], rec.numbers, draw, prizes);
+                if (scored.rank > 0) {
+                    winningTickets.push({
+                        drawNo: draw.draw_no,
+                        type: rec.type,
+                        numbers: rec.numbers,
+                        rank: scored.rank,
+                        prize: prizes[scored.rank]
+                    });
+                }
+            }
+
+            // 같은 수의 무작위 티켓으로 기준선 채점
+            for (let j = 0; j < recommendations.length; j++) {
+                this.scoreTicket(baseline, trainer.generateRandomNumbers(random), draw, prizes);
+            }
+
+            if (onProgress) {
+                onProgress(i - startIndex + 1, history.length - startIndex);
+            }
+        }
+
+        Object.values(results).forEach(stats => this.finalizeStats(stats));
+        this.finalizeStats(baseline);
+
+        return {
+            strategy: strategy,
+            drawsTested: history.length - startIndex,
+            fromDraw: history[startIndex].draw_no,
+            toDraw: history[history.length - 1].draw_no,
+            ticketPrice: this.ticketPrice,
+            seed: random.seed,
+            results: results,
+            baseline: baseline,
+            winningTickets: winningTickets.sort((a, b) => a.rank - b.rank)
+        };
+    }
+}
+
+// 전역 변수로 사용할 수 있도록 내보내기
+if (typeof window !== 'undefined') {
+    window.LottoBacktester = LottoBacktester;
+}
+
+// Node.js(CommonJS)에서 사용할 수 있도록 내보내기
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = LottoBacktester;
+}
@@ -14,7 +14,8 @@ class LottoChart {
             danger: '#ef4444',
             hot: '#ef4444',
             cold: '#10b981',
-            balanced: '#f59e0b'
+            balanced: '#f59e0b',
+            pair: '#8b5cf6'
         };
     }
 
@@ -108,6 +109,143 @@ class LottoChart {
         return this.charts.frequency;
     }
 
+    /**
+     * 이동 구간 출현율 차트 생성
+     * @param {Object} rollingData - 이동 구간 출현율 분석 데이터
+     * @param {string} canvasId - Canvas 요소 ID
+     */
+    createRollingFrequencyChart(rollingData, canvasId = 'rollingChart') {
+        const ctx = document.getElementById(canvasId);
+        if (!ctx) {
+            console.error(`Canvas element with id '${canvasId}' not found`);
+            return;
+        }
+
+        // 기존 차트 제거
+        if (this.charts.rolling) {
+            this.charts.rolling.destroy();
+        }
+
+        const palette = [
+            this.colors.primary,
+            this.colors.danger,
+            this.colors.success,
+            this.colors.warning,
+            '#8b5cf6',
+            '#ec4899',
+            '#14b8a6',
+            this.colors.secondary
+        ];
+        const toPercent = rate => +(rate * 100).toFixed(2);
+        const constant = value => rollingData.labels.map(() => toPercent(value));
+        const confidenceLabel = `${Math.round(rollingData.confidence * 100)}% 신뢰구간`;
+
+        const datasets = [
+            {
+                label: confidenceLabel,
+                data: constant(rollingData.band.upper),
+                borderColor: 'transparent',
+                backgroundColor: this.colors.secondary + '20',
+                pointRadius: 0,
+                fill: '+1'
+            },
+            {
+                label: `${confidenceLabel} 하한`,
+                data: constant(rollingData.band.lower),
+                borderColor: 'transparent',
+                pointRadius: 0,
+                fill: false
+            },
+            {
+                label: '기대 출현율 (6/45)',
+                data: constant(rollingData.expectedRate),
+                borderColor: this.colors.secondary,
+                borderDash: [6, 4],
+                borderWidth: 1,
+                pointRadius: 0,
+                fill: false
+            }
+        ];
+
+        rollingData.series.forEach((item, index) => {
+            const color = palette[index % palette.length];
+            datasets.push({
+                label: `${item.number}번`,
+                data: item.rates.map(toPercent),
+                borderColor: color,
+                backgroundColor: color,
+                borderWidth: 2,
+                pointRadius: 0,
+                tension: 0.2,
+                fill: false
+            });
+        });
+
+        this.charts.rolling = new Chart(ctx, {
+            type: 'line',
+            data: {
+                labels: rollingData.labels,
+                datasets: datasets
+            },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                interaction: {
+                    mode: 'index',
+                    intersect: false
+                },
+                plugins: {
+                    title: {
+                        display: true,
+                        text: `최근 ${rollingData.windowSize}회차 이동 출현율`,
+                        font: {
+                            size: 16,
+                            weight: 'bold'
+                        }
+                    },
+                    legend: {
+                        position: 'bottom',
+                        labels: {
+                            // 신뢰구간 하한은 범례에서 숨김
+                            filter: item => item.datasetIndex !== 1
+                        }
+                    },
+                    tooltip: {
+                        filter: item => item.datasetIndex > 2,
+                        callbacks: {
+                            title: items => `${items[0].label}회 (${rollingData.dates[items[0].dataIndex]})`,
+                            label: item => `${item.dataset.label}: ${item.parsed.y}%`
+                        }
+                    }
+                },
+                scales: {
+                    y: {
+                        beginAtZero: true,
+                        title: {
+                            display: true,
+                            text: '출현율 (%)'
+                        }
+                    },
+                    x: {
+                        title: {
+                            display: true,
+                            text: '회차'
+                        },
+                        ticks: {
+                            maxTicksLimit: 12
+                        }
+                    }
+                },
+                animation: {
+                    duration: 1000,
+                    easing: 'easeInOutQuart'
+                }
+            }
+        });
+
+        return this.charts.rolling;
+    }
+
     /**
      * 주기관계 차트 생성
      * @param {Object} cycleData - 주기 분석 데이터
@@ -283,11 +421,12 @@ class LottoChart {
     }
 
     /**
-     * 번호 추천 차트 생성
-     * @param {Array} recommendations - 추천 번호 배열
+     * 관측 분포 vs 이론 분포 히스토그램 생성 (합계, AC 값, 간격)
+     * @param {Object} distributionData - compareDistribution 형식의 분석 데이터
+     * @param {string} title - 차트 제목
      * @param {string} canvasId - Canvas 요소 ID
      */
-    createRecommendationChart(recommendations, canvasId = 'frequencyChart') {
+    createDistributionChart(distributionData, title, canvasId = 'distributionChart') {
         const ctx = document.getElementById(canvasId);
         if (!ctx) {
             console.error(`Canvas element with id '${canvasId}' not found`);
@@ -295,54 +434,195 @@ class LottoChart {
         }
 
         // 기존 차트 제거
-        if (this.charts.recommendation) {
-            this.charts.recommendation.destroy();
+        if (this.charts.distribution) {
+            this.charts.distribution.destroy();
         }
 
-        // 추천 번호를 하나의 문자열로 합치기
-        const allNumbers = [];
-        recommendations.forEach((rec, index) => {
-            rec.numbers.forEach(num => {
-                allNumbers.push({
-                    number: num,
-                    recommendation: index + 1,
-                    color: this.getRecommendationColor(rec.type)
-                });
-            });
-        });
+        const histogram = distributionData.histogram;
 
-        // 번호별 출현 횟수 계산
-        const numberCounts = {};
-        allNumbers.forEach(item => {
-            numberCounts[item.number] = (numberCounts[item.number] || 0) + 1;
+        this.charts.distribution = new Chart(ctx, {
+            type: 'bar',
+            data: {
+                labels: histogram.map(bin => bin.label),
+                datasets: [
+                    {
+                        type: 'line',
+                        label: '이론 기대 횟수',
+                        data: histogram.map(bin => +bin.expected.toFixed(2)),
+                        borderColor: this.colors.danger,
+                        backgroundColor: this.colors.danger,
+                        pointRadius: 2,
+                        tension: 0.3,
+                        fill: false
+                    },
+                    {
+                        label: '실제 출현 횟수',
+                        data: histogram.map(bin => bin.observed),
+                        backgroundColor: this.colors.primary + 'b0',
+                        borderColor: this.colors.primary,
+                        borderWidth: 1
+                    }
+                ]
+            },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                plugins: {
+                    title: {
+                        display: true,
+                        text: title,
+                        font: {
+                            size: 16,
+                            weight: 'bold'
+                        }
+                    },
+                    legend: {
+                        position: 'bottom'
+                    }
+                },
+                scales: {
+                    y: {
+                        beginAtZero: true,
+                        title: {
+                            display: true,
+                            text: '회차 수'
+                        }
+                    }
+                },
+                animation: {
+                    duration: 1000,
+                    easing: 'easeInOutQuart'
+                }
+            }
         });
 
-        const labels = [];
-        const data = [];
-        const backgroundColors = [];
+        return this.charts.distribution;
+    }
 
-        for (let num = 1; num <= 45; num++) {
-            if (numberCounts[num]) {
-                labels.push(`${num}번`);
-                data.push(numberCounts[num]);
-                
-                // 추천에 포함된 번호는 특별한 색상
-                const isRecommended = allNumbers.some(item => item.number === num);
-                backgroundColors.push(isRecommended ? this.colors.success : this.colors.secondary);
+    /**
+     * 출현 간격 히스토그램 vs 기하분포 차트 생성
+     * @param {Object} cycleData - 주기 분석 데이터 (gapDistribution, gapStats)
+     * @param {number|null} number - 번호 (생략 시 전체 번호 합산)
+     * @param {string} canvasId - Canvas 요소 ID
+     */
+    createGapChart(cycleData, number = null, canvasId = 'gapChart') {
+        const ctx = document.getElementById(canvasId);
+        if (!ctx) {
+            console.error(`Canvas element with id '${canvasId}' not found`);
+            return;
+        }
+
+        // 기존 차트 제거
+        if (this.charts.gap) {
+            this.charts.gap.destroy();
+        }
+
+        const stats = number ? cycleData.gapStats[number] : cycleData.gapDistribution;
+        const histogram = stats && stats.histogram ? stats.histogram : [];
+        const title = number ? `${number}번 출현 간격 분포` : '전체 번호 출현 간격 분포';
+
+        this.charts.gap = new Chart(ctx, {
+            type: 'bar',
+            data: {
+                labels: histogram.map(bin => bin.label),
+                datasets: [
+                    {
+                        type: 'line',
+                        label: `기하분포 기대 (p = ${cycleData.includeBonus ? 7 : 6}/45)`,
+                        data: histogram.map(bin => +bin.expected.toFixed(2)),
+                        borderColor: this.colors.danger,
+                        backgroundColor: this.colors.danger,
+                        pointRadius: 2,
+                        tension: 0.3,
+                        fill: false
+                    },
+                    {
+                        label: '실제 간격 수',
+                        data: histogram.map(bin => bin.observed),
+                        backgroundColor: this.colors.primary + 'b0',
+                        borderColor: this.colors.primary,
+                        borderWidth: 1
+                    }
+                ]
+            },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                plugins: {
+                    title: {
+                        display: true,
+                        text: title,
+                        font: {
+                            size: 16,
+                            weight: 'bold'
+                        }
+                    },
+                    legend: {
+                        position: 'bottom'
+                    }
+                },
+                scales: {
+                    x: {
+                        title: {
+                            display: true,
+                            text: '간격 (회차)'
+                        }
+                    },
+                    y: {
+                        beginAtZero: true,
+                        title: {
+                            display: true,
+                            text: '간격 수'
+                        }
+                    }
+                },
+                animation: {
+                    duration: 1000,
+                    easing: 'easeInOutQuart'
+                }
             }
+        });
+
+        return this.charts.gap;
+    }
+
+    /**
+     * 번호대별 출현 개수 차트 생성
+     * @param {Object} bandData - 번호대 분석 데이터
+     * @param {string} canvasId - Canvas 요소 ID
+     */
+    createBandChart(bandData, canvasId = 'distributionChart') {
+        const ctx = document.getElementById(canvasId);
+        if (!ctx) {
+            console.error(`Canvas element with id '${canvasId}' not found`);
+            return;
         }
 
-        this.charts.recommendation = new Chart(ctx, {
+        // 기존 차트 제거 (분포 차트와 같은 캔버스 사용)
+        if (this.charts.distribution) {
+            this.charts.distribution.destroy();
+        }
+
+        this.charts.distribution = new Chart(ctx, {
             type: 'bar',
             data: {
-                labels: labels,
-                datasets: [{
-                    label: '추천에 포함된 횟수',
-                    data: data,
-                    backgroundColor: backgroundColors,
-                    borderColor: backgroundColors.map(color => color + '80'),
-                    borderWidth: 1
-                }]
+                labels: bandData.bands.map(band => band.label),
+                datasets: [
+                    {
+                        label: '회차당 평균 개수 (실제)',
+                        data: bandData.bands.map(band => +band.mean.toFixed(3)),
+                        backgroundColor: this.colors.primary + 'b0',
+                        borderColor: this.colors.primary,
+                        borderWidth: 1
+                    },
+                    {
+                        label: '회차당 평균 개수 (기대)',
+                        data: bandData.bands.map(band => +band.expectedMean.toFixed(3)),
+                        backgroundColor: this.colors.secondary + '60',
+                        borderColor: this.colors.secondary,
+                        borderWidth: 1
+                    }
+                ]
             },
             options: {
                 responsive: true,
@@ -350,14 +630,14 @@ class LottoChart {
                 plugins: {
                     title: {
                         display: true,
-                        text: '추천 번호 분포',
+                        text: '번호대별 출현 개수',
                         font: {
                             size: 16,
                             weight: 'bold'
                         }
                     },
                     legend: {
-                        display: false
+                        position: 'bottom'
                     }
                 },
                 scales: {
@@ -365,32 +645,578 @@ class LottoChart {
                         beginAtZero: true,
                         title: {
                             display: true,
-                            text: '포함된 횟수'
+                            text: '회차당 평균 개수'
                         }
                     },
                     x: {
                         title: {
                             display: true,
-                            text: '로또 번호'
+                            text: '번호대'
                         }
                     }
+                },
+                animation: {
+                    duration: 1000,
+                    easing: 'easeInOutQuart'
                 }
             }
         });
 
-        return this.charts.recommendation;
+        return this.charts.distribution;
     }
 
     /**
-     * 추천 타입에 따른 색상 반환
-     * @param {string} type - 추천 타입
+     * 번호 쌍 동반 출현 히트맵 생성 (45×45)
+     * 기대값보다 많이 나온 쌍은 빨간색, 적게 나온 쌍은 파란색으로 표시한다.
+     * @param {Object} coData - 동반 출현 분석 데이터
+     * @param {string} canvasId - Canvas 요소 ID
      */
-    getRecommendationColor(type) {
+    createPairHeatmapChart(coData, canvasId = 'pairHeatmap') {
+        const ctx = document.getElementById(canvasId);
+        if (!ctx) {
+            console.error(`Canvas element with id '${canvasId}' not found`);
+            return;
+        }
+
+        // 기존 차트 제거
+        if (this.charts.pairHeatmap) {
+            this.charts.pairHeatmap.destroy();
+        }
+
+        const points = [];
+        for (let i = 1; i <= 45; i++) {
+            for (let j = 1; j <= 45; j++) {
+                if (i !== j) {
+                    points.push({ x: i, y: j, count: coData.matrix[i][j] });
+                }
+            }
+        }
+
+        // 기대값 대비 비율을 ±50% 범위에서 색 농도로 변환
+        const cellColor = (count) => {
+            const ratio = count / coData.expectedPairCount - 1;
+            const intensity = Math.min(1, Math.abs(ratio) / 0.5);
+            const alpha = Math.round(intensity * 255).toString(16).padStart(2, '0');
+            return (ratio >= 0 ? this.colors.danger : this.colors.primary) + alpha;
+        };
+        const cellRadius = (context) => {
+            const area = context.chart.chartArea;
+            return area ? Math.max(1, Math.min(area.width, area.height) / 45 / 2) : 3;
+        };
+        const axis = (text) => ({
+            type: 'linear',
+            min: 0.5,
+            max: 45.5,
+            ticks: {
+                stepSize: 1,
+                autoSkip: true,
+                maxTicksLimit: 15
+            },
+            grid: {
+                display: false
+            },
+            title: {
+                display: true,
+                text: text
+            }
+        });
+
+        this.charts.pairHeatmap = new Chart(ctx, {
+            type: 'scatter',
+            data: {
+                datasets: [{
+                    label: '동반 출현 횟수',
+                    data: points,
+                    pointStyle: 'rect',
+                    pointRadius: cellRadius,
+                    pointHoverRadius: cellRadius,
+                    backgroundColor: context => cellColor(context.raw.count),
+                    borderWidth: 0
+                }]
+            },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                plugins: {
+                    title: {
+                        display: true,
+                        text: `번호 쌍 동반 출현 (기대값 ${coData.expectedPairCount.toFixed(1)}회)`,
+                        font: {
+                            size: 16,
+                            weight: 'bold'
+                        }
+                    },
+                    legend: {
+                        display: false
+                    },
+                    tooltip: {
+                        callbacks: {
+                            label: item => {
+                                const { x, y, count } = item.raw;
+                                const ratio = (count / coData.expectedPairCount * 100).toFixed(0);
+                                return `${x}번 & ${y}번: ${count}회 (기대값 대비 ${ratio}%)`;
+                            }
+                        }
+                    }
+                },
+                scales: {
+                    x: axis('번호'),
+                    y: Object.assign(axis('번호'), { reverse: true })
+                },
+                animation: false
+            }
+        });
+
+        return this.charts.pairHeatmap;
+    }
+
+    /**
+     * 연속번호 분포 차트 생성
+     * @param {Object} consecutiveData - 연속번호 분석 데이터
+     * @param {string} canvasId - Canvas 요소 ID
+     */
+    createConsecutiveChart(consecutiveData, canvasId = 'consecutiveChart') {
+        const ctx = document.getElementById(canvasId);
+        if (!ctx) {
+            console.error(`Canvas element with id '${canvasId}' not found`);
+            return;
+        }
+
+        // 기존 차트 제거
+        if (this.charts.consecutive) {
+            this.charts.consecutive.destroy();
+        }
+
+        const histogram = consecutiveData.pairComparison.histogram;
+
+        this.charts.consecutive = new Chart(ctx, {
+            type: 'bar',
+            data: {
+                labels: histogram.map(bin => bin.from === 0 ? '연속 없음' : `연속 ${bin.from}쌍`),
+                datasets: [
+                    {
+                        label: '실제 출현 횟수',
+                        data: histogram.map(bin => bin.observed),
+                        backgroundColor: this.colors.primary + 'b0',
+                        borderColor: this.colors.primary,
+                        borderWidth: 1
+                    },
+                    {
+                        label: '무작위 기대 횟수',
+                        data: histogram.map(bin => +bin.expected.toFixed(2)),
+                        backgroundColor: this.colors.secondary + '60',
+                        borderColor: this.colors.secondary,
+                        borderWidth: 1
+                    }
+                ]
+            },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                plugins: {
+                    title: {
+                        display: true,
+                        text: '연속번호 쌍 개수 분포',
+                        font: {
+                            size: 16,
+                            weight: 'bold'
+                        }
+                    },
+                    legend: {
+                        position: 'bottom'
+                    }
+                },
+                scales: {
+                    y: {
+                        beginAtZero: true,
+                        title: {
+                            display: true,
+                            text: '회차 수'
+                        }
+                    }
+                },
+                animation: {
+                    duration: 1000,
+                    easing: 'easeInOutQuart'
+                }
+            }
+        });
+
+        return this.charts.consecutive;
+    }
+
+    /**
+     * 끝자리 빈도 차트 생성
+     * @param {Object} endingData - 끝자리 분석 데이터
+     * @param {string} canvasId - Canvas 요소 ID
+     */
+    createEndingDigitChart(endingData, canvasId = 'endingDigitChart') {
+        const ctx = document.getElementById(canvasId);
+        if (!ctx) {
+            console.error(`Canvas element with id '${canvasId}' not found`);
+            return;
+        }
+
+        // 기존 차트 제거
+        if (this.charts.ending) {
+            this.charts.ending.destroy();
+        }
+
+        const digits = Object.keys(endingData.frequencies);
+
+        this.charts.ending = new Chart(ctx, {
+            type: 'bar',
+            data: {
+                labels: digits.map(digit => `끝자리 ${digit}`),
+                datasets: [
+                    {
+                        type: 'line',
+                        label: '무작위 기대 횟수',
+                        data: digits.map(digit => +endingData.expected[digit].toFixed(1)),
+                        borderColor: this.colors.danger,
+                        backgroundColor: this.colors.danger,
+                        pointRadius: 3,
+                        fill: false
+                    },
+                    {
+                        label: '출현 횟수',
+                        data: digits.map(digit => endingData.frequencies[digit]),
+                        backgroundColor: this.colors.primary + 'b0',
+                        borderColor: this.colors.primary,
+                        borderWidth: 1
+                    }
+                ]
+            },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                plugins: {
+                    title: {
+                        display: true,
+                        text: '끝자리별 출현 빈도',
+                        font: {
+                            size: 16,
+                            weight: 'bold'
+                        }
+                    },
+                    legend: {
+                        position: 'bottom'
+                    }
+                },
+                scales: {
+                    y: {
+                        beginAtZero: true,
+                        title: {
+                            display: true,
+                            text: '출현 횟수'
+                        }
+                    }
+                },
+                animation: {
+                    duration: 1000,
+                    easing: 'easeInOutQuart'
+                }
+            }
+        });
+
+        return this.charts.ending;
+    }
+
+    /**
+     * 판매액 추이 차트 생성
+     * @param {Object} prizeData - 당첨금 분석 결과
+     * @param {string} canvasId - Canvas 요소 ID
+     */
+    createSalesChart(prizeData, canvasId = 'salesChart') {
+        const ctx = document.getElementById(canvasId);
+        if (!ctx) {
+            console.error(`Canvas element with id '${canvasId}' not found`);
+            return;
+        }
+
+        // 기존 차트 제거
+        if (this.charts.sales) {
+            this.charts.sales.destroy();
+        }
+
+        this.charts.sales = new Chart(ctx, {
+            type: 'line',
+            data: {
+                labels: prizeData.series.map(item => item.drawNo),
+                datasets: [{
+                    label: '회차별 판매액 (억원)',
+                    data: prizeData.series.map(item => +(item.totalSales / 1e8).toFixed(1)),
+                    borderColor: this.colors.primary,
+                    backgroundColor: this.colors.primary + '20',
+                    borderWidth: 1.5,
+                    pointRadius: 0,
+                    fill: true
+                }]
+            },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                plugins: {
+                    title: {
+                        display: true,
+                        text: '회차별 판매액 추이',
+                        font: {
+                            size: 16,
+                            weight: 'bold'
+                        }
+                    },
+                    legend: {
+                        position: 'bottom'
+                    }
+                },
+                scales: {
+                    x: {
+                        title: {
+                            display: true,
+                            text: '회차'
+                        },
+                        ticks: {
+                            maxTicksLimit: 12
+                        }
+                    },
+                    y: {
+                        beginAtZero: true,
+                        title: {
+                            display: true,
+                            text: '억원'
+                        }
+                    }
+                },
+                animation: {
+                    duration: 1000,
+                    easing: 'easeInOutQuart'
+                }
+            }
+        });
+
+        return this.charts.sales;
+    }
+
+    /**
+     * 1등 당첨금/당첨자 수 추이 차트 생성
+     * @param {Object} prizeData - 당첨금 분석 결과
+     * @param {string} canvasId - Canvas 요소 ID
+     */
+    createFirstPrizeChart(prizeData, canvasId = 'firstPrizeChart') {
+        const ctx = document.getElementById(canvasId);
+        if (!ctx) {
+            console.error(`Canvas element with id '${canvasId}' not found`);
+            return;
+        }
+
+        // 기존 차트 제거
+        if (this.charts.firstPrize) {
+            this.charts.firstPrize.destroy();
+        }
+
+        this.charts.firstPrize = new Chart(ctx, {
+            type: 'line',
+            data: {
+                labels: prizeData.series.map(item => item.drawNo),
+                datasets: [
+                    {
+                        label: '1등 1인당 당첨금 (억원)',
+                        data: prizeData.series.map(item => item.firstWinners > 0 ? +(item.firstPrize / 1e8).toFixed(1) : null),
+                        borderColor: this.colors.danger,
+                        backgroundColor: this.colors.danger,
+                        borderWidth: 1.5,
+                        pointRadius: 0,
+                        spanGaps: false,
+                        yAxisID: 'y'
+                    },
+                    {
+                        label: '1등 당첨자 수',
+                        data: prizeData.series.map(item => item.firstWinners),
+                        borderColor: this.colors.secondary,
+                        backgroundColor: this.colors.secondary,
+                        borderWidth: 1,
+                        pointRadius: 0,
+                        yAxisID: 'winners'
+                    }
+                ]
+            },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                interaction: {
+                    mode: 'index',
+                    intersect: false
+                },
+                plugins: {
+                    title: {
+                        display: true,
+                        text: '1등 당첨금 및 당첨자 수 추이',
+                        font: {
+                            size: 16,
+                            weight: 'bold'
+                        }
+                    },
+                    legend: {
+                        position: 'bottom'
+                    }
+                },
+                scales: {
+                    x: {
+                        title: {
+                            display: true,
+                            text: '회차'
+                        },
+                        ticks: {
+                            maxTicksLimit: 12
+                        }
+                    },
+                    y: {
+                        beginAtZero: true,
+                        position: 'left',
+                        title: {
+                            display: true,
+                            text: '억원'
+                        }
+                    },
+                    winners: {
+                        beginAtZero: true,
+                        position: 'right',
+                        grid: {
+                            drawOnChartArea: false
+                        },
+                        title: {
+                            display: true,
+                            text: '당첨자 수'
+                        }
+                    }
+                },
+                animation: {
+                    duration: 1000,
+                    easing: 'easeInOutQuart'
+                }
+            }
+        });
+
+        return this.charts.firstPrize;
+    }
+
+    /**
+     * 번호 추천 차트 생성
+     * @param {Array} recommendations - 추천 번호 배열
+     * @param {string} canvasId - Canvas 요소 ID
+     */
+    createRecommendationChart(recommendations, canvasId = 'frequencyChart') {
+        const ctx = document.getElementById(canvasId);
+        if (!ctx) {
+            console.error(`Canvas element with id '${canvasId}' not found`);
+            return;
+        }
+
+        // 기존 차트 제거
+        if (this.charts.recommendation) {
+            this.charts.recommendation.destroy();
+        }
+
+        // 추천 번호를 하나의 문자열로 합치기
+        const allNumbers = [];
+        recommendations.forEach((rec, index) => {
+            rec.numbers.forEach(num => {
+                allNumbers.push({
+                    number: num,
+                    recommendation: index + 1,
+                    color: this.getRecommendationColor(rec.type)
+                });
+            });
+        });
+
+        // 번호별 출현 횟수 계산
+        const numberCounts = {};
+        allNumbers.forEach(item => {
+            numberCounts[item.number] = (numberCounts[item.number] || 0) + 1;
+        });
+
+        const labels = [];
+        const data = [];
+        const backgroundColors = [];
+
+        for (let num = 1; num <= 45; num++) {
+            if (numberCounts[num]) {
+                labels.push(`${num}번`);
+                data.push(numberCounts[num]);
+                
+                // 처음 이 번호를 포함한 추천 전략의 색상
+                backgroundColors.push(allNumbers.find(item => item.number === num).color);
+            }
+        }
+
+        this.charts.recommendation = new Chart(ctx, {
+            type: 'bar',
+            data: {
+                labels: labels,
+                datasets: [{
+                    label: '추천에 포함된 횟수',
+                    data: data,
+                    backgroundColor: backgroundColors,
+                    borderColor: backgroundColors.map(color => color + '80'),
+                    borderWidth: 1
+                }]
+            },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                plugins: {
+                    title: {
+                        display: true,
+                        text: '추천 번호 분포',
+                        font: {
+                            size: 16,
+                            weight: 'bold'
+                        }
+                    },
+                    legend: {
+                        display: false
+                    }
+                },
+                scales: {
+                    y: {
+                        beginAtZero: true,
+                        title: {
+                            display: true,
+                            text: '포함된 횟수'
+                        }
+                    },
+                    x: {
+                        title: {
+                            display: true,
+                            text: '로또 번호'
+                        }
+                    }
+                }
+            }
+        });
+
+        return this.charts.recommendation;
+    }
+
+    /**
+     * 추천 타입에 따른 색상 반환
+     * 추천 전략 레지스트리에 등록된 전략의 color를 우선 사용한다.
+     * @param {string} type - 추천 타입
+     */
+    getRecommendationColor(type) {
+        if (typeof LottoStrategyRegistry !== 'undefined') {
+            const strategyColor = LottoStrategyRegistry.getDefault().getColor(type);
+            if (strategyColor) {
+                return strategyColor;
+            }
+        }
+
         const colorMap = {
             'hot': this.colors.hot,
             'cold': this.colors.cold,
             'balanced': this.colors.balanced,
             'mixed': this.colors.primary,
+            'pair': this.colors.pair,
             'random': this.colors.secondary
         };
         return colorMap[type] || this.colors.primary;
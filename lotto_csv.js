@@ -0,0 +1,215 @@
+/**
+ * 로또 데이터 CSV 입출력 JavaScript 라이브러리
+ * lotto_history.csv 형식(UTF-8 BOM, CRLF)을 읽고 분석 결과를 CSV로 내보냄
+ */
+
+/**
+ * CSV 변환 클래스
+ * 상태가 없으므로 모든 메서드는 정적 메서드로 제공한다.
+ */
+class LottoCsv {
+    /**
+     * CSV 텍스트를 행 배열로 분리 (따옴표 필드, 이스케이프된 따옴표, 필드 내 줄바꿈 지원)
+     * @param {string} text - CSV 텍스트
+     * @returns {Array} 문자열 배열의 배열
+     */
+    static parseRows(text) {
+        const rows = [];
+        let row = [];
+        let field = '';
+        let inQuotes = false;
+        let i = text.charCodeAt(0) === 0xFEFF ? 1 : 0;
+
+        for (; i < text.length; i++) {
+            const char = text[i];
+
+            if (inQuotes) {
+                if (char === '"') {
+                    if (text[i + 1] === '"') {
+                        field += '"';
+                        i++;
+                    } else {
+                        inQuotes = false;
+                    }
+                } else {
+                    field += char;
+                }
+            } else if (char === '"') {
+                inQuotes = true;
+            } else if (char === ',') {
+                row.push(field);
+                field = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && text[i + 1] === '\n') {
+                    i++;
+                }
+                row.push(field);
+                rows.push(row);
+                row = [];
+                field = '';
+            } else {
+                field += char;
+            }
+        }
+
+        if (inQuotes) {
+            throw new Error('CSV 형식 오류: 닫히지 않은 따옴표가 있습니다.');
+        }
+
+        if (field !== '' || row.length > 0) {
+            row.push(field);
+            rows.push(row);
+        }
+
+        // 빈 줄 제거
+        return rows.filter(r => !(r.length === 1 && r[0].trim() === ''));
+    }
+
+    /**
+     * CSV 텍스트를 객체 배열로 변환 (첫 행은 헤더)
+     * @param {string} text - CSV 텍스트
+     * @param {Object} options - { stringColumns } 숫자로 변환하지 않을 열
+     * @returns {Array} 레코드 배열
+     */
+    static parse(text, options = {}) {
+        const { stringColumns = ['draw_date'] } = options;
+        const rows = LottoCsv.parseRows(text);
+
+        if (rows.length === 0) {
+            throw new Error('CSV 데이터가 비어있습니다.');
+        }
+
+        const headers = rows[0].map(header => header.trim());
+        return rows.slice(1).map((values, rowIndex) => {
+            if (values.length !== headers.length) {
+                throw new Error(`CSV 형식 오류: ${rowIndex + 2}번째 줄의 열 수(${values.length})가 헤더(${headers.length})와 다릅니다.`);
+            }
+
+            const record = {};
+            headers.forEach((header, index) => {
+                const value = values[index].trim();
+                record[header] = stringColumns.includes(header) ? value : LottoCsv.coerce(value);
+            });
+            return record;
+        });
+    }
+
+    /**
+     * 숫자 형태의 문자열을 숫자로 변환
+     * @param {string} value - 필드 값
+     */
+    static coerce(value) {
+        return /^-?\d+(\.\d+)?$/.test(value) ? Number(value) : value;
+    }
+
+    /**
+     * 필드 값 이스케이프
+     * @param {*} value - 필드 값
+     */
+    static escapeField(value) {
+        const text = value === null || value === undefined ? '' : String(value);
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+
+    /**
+     * 객체 배열을 CSV 텍스트로 변환
+     * @param {Array} records - 레코드 배열
+     * @param {Array} columns - 열 이름 (생략 시 첫 레코드의 키)
+     * @param {Object} options - { bom, lineEnding }
+     */
+    static stringify(records, columns = null, options = {}) {
+        const { bom = true, lineEnding = '\r\n' } = options;
+        const headers = columns || (records.length > 0 ? Object.keys(records[0]) : []);
+
+        const lines = [headers.map(LottoCsv.escapeField).join(',')];
+        for (let record of records) {
+            lines.push(headers.map(header => LottoCsv.escapeField(record[header])).join(','));
+        }
+
+        return (bom ? '\uFEFF' : '') + lines.join(lineEnding) + lineEnding;
+    }
+
+    /**
+     * 분석 결과를 CSV 레코드로 변환
+     * @param {string} type - 결과 종류 (history, frequency, cycle, recommendations)
+     * @param {*} result - 분석 결과
+     * @returns {Object} { columns, records }
+     */
+    static toRecords(type, result) {
+        if (type === 'history') {
+            return {
+                columns: ['draw_no', 'draw_date', 'num1', 'num2', 'num3', 'num4', 'num5', 'num6', 'bonus', 'total_prize', 'first_prize', 'first_winners'],
+                records: result
+            };
+        }
+
+        if (type === 'frequency') {
+            return {
+                columns: ['rank', 'number', 'count', 'percentage', 'expected'],
+                records: result.sorted.map(([num, count], index) => ({
+                    rank: index + 1,
+                    number: parseInt(num),
+                    count: count,
+                    percentage: (count / result.totalDraws * 100).toFixed(2),
+                    expected: result.expectedFrequency.toFixed(2)
+                }))
+            };
+        }
+
+        if (type === 'cycle') {
+            return {
+                columns: ['number', 'current_gap', 'average_cycle', 'median_gap', 'max_gap', 'gap_std_dev', 'gap_percentile', 'hazard'],
+                records: result.sortedByGap.map(([num, gap]) => {
+                    const stats = result.gapStats ? result.gapStats[num] : null;
+                    const fixed = (value, digits) => value === null || value === undefined ? '' : value.toFixed(digits);
+                    return {
+                        number: parseInt(num),
+                        current_gap: gap,
+                        average_cycle: result.averageCycles[num] !== undefined ? result.averageCycles[num].toFixed(2) : '',
+                        median_gap: stats && stats.median !== undefined ? stats.median : '',
+                        max_gap: stats && stats.max !== undefined ? stats.max : '',
+                        gap_std_dev: stats ? fixed(stats.stdDev, 2) : '',
+                        gap_percentile: stats ? fixed(stats.percentile, 1) : '',
+                        hazard: stats ? fixed(stats.hazard, 4) : ''
+                    };
+                })
+            };
+        }
+
+        if (type === 'recommendations') {
+            return {
+                columns: ['name', 'type', 'num1', 'num2', 'num3', 'num4', 'num5', 'num6', 'seed', 'popularity'],
+                records: result.map(rec => {
+                    const record = { name: rec.name, type: rec.type, seed: rec.seed, popularity: rec.popularity ? rec.popularity.score : '' };
+                    rec.numbers.forEach((num, index) => {
+                        record[`num${index + 1}`] = num;
+                    });
+                    return record;
+                })
+            };
+        }
+
+        throw new Error(`CSV로 내보낼 수 없는 결과 종류입니다: ${type}`);
+    }
+
+    /**
+     * 분석 결과를 CSV 텍스트로 내보내기
+     * @param {string} type - 결과 종류 (history, frequency, cycle, recommendations)
+     * @param {*} result - 분석 결과
+     * @param {Object} options - stringify 옵션
+     */
+    static exportResult(type, result, options = {}) {
+        const { columns, records } = LottoCsv.toRecords(type, result);
+        return LottoCsv.stringify(records, columns, options);
+    }
+}
+
+// 전역 변수로 사용할 수 있도록 내보내기
+if (typeof window !== 'undefined') {
+    window.LottoCsv = LottoCsv;
+}
+
+// Node.js(CommonJS)에서 사용할 수 있도록 내보내기
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = LottoCsv;
+}
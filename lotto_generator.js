@@ -0,0 +1,511 @@
+/**
+ * 로또 조건부 조합 생성 JavaScript 라이브러리
+ * 사용자가 지정한 조건(포함/제외 번호, 홀짝·고저 비율, 합계, AC 값 등)을 모두 만족하는 조합을 생성
+ */
+
+// 의존 모듈: 브라우저·워커에서는 먼저 로드된 전역 클래스를, Node.js에서는 require로 불러온 모듈을 쓴다.
+const generatorDeps = typeof module !== 'undefined' && module.exports
+    ? { LottoRandom: require('./lotto_random.js') }
+    : { LottoRandom };
+
+/**
+ * 조건부 조합 생성기 클래스
+ * 포함/제외 번호를 반영한 무작위 추출 후 나머지 조건으로 걸러내며,
+ * 통과율이 낮으면 남은 번호를 전체 탐색(가지치기 백트래킹)으로 바꿔
+ * 조건을 만족하는 조합이 정말 부족할 때만 어떤 조건이 원인인지 보고한다.
+ */
+class LottoCombinationGenerator {
+    constructor(analyzer) {
+        this.analyzer = analyzer;
+        this.maxAttempts = 200000;
+        this.enumerationThreshold = 20000; // 후보 조합 수가 이 이하면 처음부터 전체 탐색
+        this.probeAttempts = 1000;         // 통과율을 판단하기 전 최소 무작위 시도 횟수
+        this.minAcceptanceRate = 0.01;     // 무작위 추출 통과율이 이보다 낮으면 전체 탐색으로 전환
+
+        // 검사 순서 (앞선 조건을 통과한 조합만 다음 조건으로 넘어간다)
+        this.constraintLabels = {
+            numbers: '포함/제외 번호',
+            oddEven: '홀짝 비율',
+            lowHigh: '고저 비율',
+            sum: '번호 합계',
+            ac: 'AC 값',
+            consecutive: '최대 연속 번호',
+            ending: '같은 끝자리 개수',
+            pastWinners: '과거 1등 조합 제외'
+        };
+    }
+
+    /**
+     * 조합 특성 계산
+     * @param {Array} numbers - 번호 6개 (정렬됨)
+     */
+    describeCombination(numbers) {
+        const oddCount = numbers.filter(n => n % 2 === 1).length;
+        const lowCount = numbers.filter(n => n <= 22).length;
+        return {
+            numbers: numbers,
+            sum: numbers.reduce((a, b) => a + b, 0),
+            ac: this.analyzer.calculateAC(numbers),
+            oddEven: `${oddCount}:${6 - oddCount}`,
+            lowHigh: `${lowCount}:${6 - lowCount}`,
+            longestRun: this.analyzer.longestRun(numbers),
+            maxSameEnding: this.analyzer.maxSameEnding(numbers)
+        };
+    }
+
+    /**
+     * 조건 정규화 (빈 값은 조건 없음으로 처리)
+     * @param {Object} constraints - 사용자 조건
+     */
+    normalizeConstraints(constraints = {}) {
+        const isSet = (value) => value !== undefined && value !== null && value !== '';
+        const toInt = (value) => isSet(value) ? Number(value) : null;
+        const parseRatio = (value) => {
+            if (!isSet(value)) {
+                return null;
+            }
+            const input = String(value).trim();
+            const match = /^(\d+)\s*:\s*(\d+)$/.exec(input);
+            return match
+                ? { first: Number(match[1]), second: Number(match[2]), input }
+                : { first: null, second: null, input };
+        };
+
+        return {
+            include: (constraints.include || []).map(Number),
+            exclude: (constraints.exclude || []).map(Number),
+            oddEven: parseRatio(constraints.oddEven),
+            lowHigh: parseRatio(constraints.lowHigh),
+            sumMin: toInt(constraints.sumMin),
+            sumMax: toInt(constraints.sumMax),
+            acMin: toInt(constraints.acMin),
+            acMax: toInt(constraints.acMax),
+            maxConsecutive: toInt(constraints.maxConsecutive),
+            maxSameEnding: toInt(constraints.maxSameEnding),
+            excludePastWinners: Boolean(constraints.excludePastWinners)
+        };
+    }
+
+    /**
+     * 조합을 만들기 전에 확정적으로 불가능한 조건 찾기
+     * @param {Object} c - 정규화된 조건
+     * @returns {Object|null} { constraint, message } (문제가 없으면 null)
+     */
+    checkFeasibility(c) {
+        const fail = (constraint, message) => ({ constraint, label: this.constraintLabels[constraint], message });
+        const isValidNumber = (num) => Number.isInteger(num) && num >= 1 && num <= 45;
+
+        // 숫자 조건은 정수여야 한다 (NaN을 조건 없음으로 넘기지 않는다)
+        const integerFields = [
+            ['sumMin', 'sum', '합계 하한'],
+            ['sumMax', 'sum', '합계 상한'],
+            ['acMin', 'ac', 'AC 값 하한'],
+            ['acMax', 'ac', 'AC 값 상한'],
+            ['maxConsecutive', 'consecutive', '최대 연속 번호 길이'],
+            ['maxSameEnding', 'ending', '같은 끝자리 개수']
+        ];
+        for (const [field, constraint, name] of integerFields) {
+            if (c[field] !== null && !Number.isInteger(c[field])) {
+                return fail(constraint, `${name}에는 정수를 입력해주세요.`);
+            }
+        }
+        for (const key of ['oddEven', 'lowHigh']) {
+            if (c[key] && c[key].first === null) {
+                return fail(key, `비율은 '3:3'처럼 'a:b' 형식으로 입력해주세요: ${c[key].input}`);
+            }
+        }
+
+        // 포함/제외 번호
+        const invalid = [...c.include, ...c.exclude].filter(num => !isValidNumber(num));
+        if (invalid.length > 0) {
+            return fail('numbers', `1~45 범위를 벗어난 번호가 있습니다: ${invalid.join(', ')}`);
+        }
+        if (new Set(c.include).size !== c.include.length) {
+            return fail('numbers', '포함 번호에 중복이 있습니다.');
+        }
+        if (c.include.length > 6) {
+            return fail('numbers', `포함 번호는 최대 6개입니다 (${c.include.length}개 지정).`);
+        }
+        const conflicts = c.include.filter(num => c.exclude.includes(num));
+        if (conflicts.length > 0) {
+            return fail('numbers', `포함 번호와 제외 번호가 겹칩니다: ${conflicts.join(', ')}`);
+        }
+        const pool = this.buildPool(c);
+        if (c.include.length + pool.length < 6) {
+            return fail('numbers', `제외 번호가 너무 많아 남은 번호가 ${c.include.length + pool.length}개뿐입니다.`);
+        }
+        const need = 6 - c.include.length;
+
+        // 홀짝/고저 비율: 포함 번호와 남은 번호로 맞출 수 있는지 확인
+        const checkRatio = (key, ratio, isFirst, firstName, secondName) => {
+            if (!ratio) {
+                return null;
+            }
+            const { first, second } = ratio;
+            if (first + second !== 6) {
+                return fail(key, `비율의 두 수를 더하면 6이어야 합니다: ${ratio.input}`);
+            }
+            const includedFirst = c.include.filter(isFirst).length;
+            const includedSecond = c.include.length - includedFirst;
+            const needFirst = first - includedFirst;
+            const needSecond = second - includedSecond;
+            if (needFirst < 0 || needSecond < 0) {
+                return fail(key, `포함 번호만으로 ${firstName} ${includedFirst}개, ${secondName} ${includedSecond}개라서 ${first}:${second} 비율을 맞출 수 없습니다.`);
+            }
+            const availableFirst = pool.filter(isFirst).length;
+            const availableSecond = pool.length - availableFirst;
+            if (needFirst > availableFirst || needSecond > availableSecond) {
+                return fail(key, `제외 번호 때문에 ${first}:${second} 비율을 맞출 ${firstName}/${secondName} 번호가 부족합니다.`);
+            }
+            return null;
+        };
+        const ratioProblem = checkRatio('oddEven', c.oddEven, n => n % 2 === 1, '홀수', '짝수') ||
+            checkRatio('lowHigh', c.lowHigh, n => n <= 22, '저번호(1~22)', '고번호(23~45)');
+        if (ratioProblem) {
+            return ratioProblem;
+        }
+
+        // 합계: 가능한 최소/최대 합과 겹치는지 확인
+        if (c.sumMin !== null || c.sumMax !== null) {
+            const includedSum = c.include.reduce((a, b) => a + b, 0);
+            const minSum = includedSum + pool.slice(0, need).reduce((a, b) => a + b, 0);
+            const maxSum = includedSum + pool.slice(pool.length - need).reduce((a, b) => a + b, 0);
+            const sumMin = c.sumMin !== null ? c.sumMin : -Infinity;
+            const sumMax = c.sumMax !== null ? c.sumMax : Infinity;
+            if (sumMin > sumMax) {
+                return fail('sum', `합계 하한(${sumMin})이 상한(${sumMax})보다 큽니다.`);
+            }
+            if (sumMax < minSum || sumMin > maxSum) {
+                return fail('sum', `가능한 합계는 ${minSum}~${maxSum}입니다.`);
+            }
+        }
+
+        // AC 값 (0~10)
+        if (c.acMin !== null || c.acMax !== null) {
+            const acMin = c.acMin !== null ? c.acMin : 0;
+            const acMax = c.acMax !== null ? c.acMax : 10;
+            if (acMin > acMax) {
+                return fail('ac', `AC 값 하한(${acMin})이 상한(${acMax})보다 큽니다.`);
+            }
+            if (acMax < 0 || acMin > 10) {
+                return fail('ac', 'AC 값은 0~10 범위입니다.');
+            }
+        }
+
+        // 연속 번호 / 끝자리
+        if (c.maxConsecutive !== null) {
+            if (c.maxConsecutive < 1) {
+                return fail('consecutive', '최대 연속 번호 길이는 1 이상이어야 합니다.');
+            }
+            if (this.analyzer.longestRun(c.include) > c.maxConsecutive) {
+                return fail('consecutive', `포함 번호에 이미 ${this.analyzer.longestRun(c.include)}개 연속 번호가 있습니다.`);
+            }
+        }
+        if (c.maxSameEnding !== null) {
+            if (c.maxSameEnding < 1) {
+                return fail('ending', '같은 끝자리 개수는 1 이상이어야 합니다.');
+            }
+            if (c.include.length > 0 && this.analyzer.maxSameEnding(c.include) > c.maxSameEnding) {
+                return fail('ending', `포함 번호에 끝자리가 같은 번호가 ${this.analyzer.maxSameEnding(c.include)}개 있습니다.`);
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * 추출 대상 번호 (포함/제외 번호를 뺀 나머지, 오름차순)
+     * @param {Object} c - 정규화된 조건
+     */
+    buildPool(c) {
+        const pool = [];
+        for (let num = 1; num <= 45; num++) {
+            if (!c.include.includes(num) && !c.exclude.includes(num)) {
+                pool.push(num);
+            }
+        }
+        return pool;
+    }
+
+    /**
+     * 조합이 처음으로 위반하는 조건
+     * @param {Object} info - describeCombination 결과
+     * @param {Object} c - 정규화된 조건
+     * @param {Set} pastWinners - 과거 1등 조합 키
+     * @returns {string|null} 조건 키 (모두 만족하면 null)
+     */
+    findViolation(info, c, pastWinners) {
+        if (c.oddEven && info.oddEven !== `${c.oddEven.first}:${c.oddEven.second}`) return 'oddEven';
+        if (c.lowHigh && info.lowHigh !== `${c.lowHigh.first}:${c.lowHigh.second}`) return 'lowHigh';
+        if ((c.sumMin !== null && info.sum < c.sumMin) || (c.sumMax !== null && info.sum > c.sumMax)) return 'sum';
+        if ((c.acMin !== null && info.ac < c.acMin) || (c.acMax !== null && info.ac > c.acMax)) return 'ac';
+        if (c.maxConsecutive !== null && info.longestRun > c.maxConsecutive) return 'consecutive';
+        if (c.maxSameEnding !== null && info.maxSameEnding > c.maxSameEnding) return 'ending';
+        if (pastWinners && pastWinners.has(info.numbers.join(','))) return 'pastWinners';
+        return null;
+    }
+
+    /**
+     * 조건을 만족하는 서로 다른 조합 생성
+     * 무작위 추출로 시작하되, 후보 조합이 적거나 통과율이 낮으면 전체 탐색으로 전환한다.
+     * @param {Object} constraints - { include, exclude, oddEven, lowHigh, sumMin, sumMax, acMin, acMax, maxConsecutive, maxSameEnding, excludePastWinners }
+     * @param {Object} options - { count, maxAttempts, seed }
+     * @returns {Object} { feasible, combinations, requested, attempts, rejections, infeasible, seed, method, totalMatches }
+     */
+    generate(constraints = {}, options = {}) {
+        const {
+            count = 5,
+            maxAttempts = this.maxAttempts,
+            seed = null
+        } = options;
+
+        if (!Number.isInteger(count) || count < 1) {
+            throw new Error(`생성할 조합 수는 1 이상의 정수여야 합니다: ${count}`);
+        }
+
+        const c = this.normalizeConstraints(constraints);
+        const rejections = {};
+        Object.keys(this.constraintLabels).forEach(key => { rejections[key] = 0; });
+
+        const result = {
+            feasible: true,
+            combinations: [],
+            requested: count,
+            attempts: 0,
+            rejections: rejections,
+            infeasible: null,
+            seed: null,
+            method: 'sampling',
+            totalMatches: null
+        };
+
+        const problem = this.checkFeasibility(c);
+        if (problem) {
+            result.feasible = false;
+            result.infeasible = problem;
+            return result;
+        }
+
+        const pastWinners = c.excludePastWinners
+            ? new Set(this.analyzer.data.map(d => this.analyzer.sortNumbers([d.num1, d.num2, d.num3, d.num4, d.num5, d.num6]).join(',')))
+            : null;
+        const pool = this.buildPool(c);
+        const need = 6 - c.include.length;
+        const seen = new Set();
+        const random = generatorDeps.LottoRandom.seeded(seed);
+        result.seed = random.seed;
+
+        let space = 1;
+        for (let i = 0; i < need; i++) {
+            space = space * (pool.length - i) / (i + 1);
+        }
+
+        let lowAcceptance = space <= this.enumerationThreshold;
+        while (!lowAcceptance && result.combinations.length < count && result.attempts < maxAttempts) {
+            result.attempts++;
+
+            const numbers = this.analyzer.sortNumbers([...c.include, ...random.sample(pool, need)]);
+            const key = numbers.join(',');
+            if (seen.has(key)) {
+                continue;
+            }
+
+            const info = this.describeCombination(numbers);
+            const violation = this.findViolation(info, c, pastWinners);
+            if (violation) {
+                rejections[violation]++;
+            } else {
+                seen.add(key);
+                result.combinations.push(info);
+            }
+
+            lowAcceptance = result.attempts >= this.probeAttempts &&
+                result.combinations.length < result.attempts * this.minAcceptanceRate;
+        }
+
+        if (result.combinations.length >= count) {
+            return result;
+        }
+
+        // 무작위 추출로 채우지 못하면 전체 탐색 후 아직 뽑히지 않은 조합 중에서 균등하게 고른다 (저수지 표본추출)
+        result.method = 'enumeration';
+        const needed = count - result.combinations.length;
+        const reservoir = [];
+        let matches = 0;
+        let fresh = 0;
+        this.enumerate(c, pastWinners, (info) => {
+            matches++;
+            if (seen.has(info.numbers.join(','))) {
+                return false;
+            }
+            fresh++;
+            if (reservoir.length < needed) {
+                reservoir.push(info);
+            } else {
+                const j = random.nextInt(fresh);
+                if (j < needed) {
+                    reservoir[j] = info;
+                }
+            }
+            return false;
+        }, result);
+
+        result.totalMatches = matches;
+        result.combinations.push(...reservoir);
+
+        if (result.combinations.length < count) {
+            result.feasible = false;
+            result.infeasible = this.diagnose(result, c, pastWinners);
+        }
+
+        return result;
+    }
+
+    /**
+     * 포함 번호와 남은 번호로 만들 수 있는 조합을 가지치기 백트래킹으로 전체 탐색
+     * 부분 조합만으로 이미 어긋나는 조건(비율 초과, 합계 범위, 연속·끝자리 초과, AC 상한)은 더 내려가지 않는다.
+     * @param {Object} c - 정규화된 조건
+     * @param {Set} pastWinners - 과거 1등 조합 키 (없으면 null)
+     * @param {Function} onMatch - 조건을 모두 만족한 조합(describeCombination 결과)마다 호출, true를 반환하면 탐색 중단
+     * @param {Object} stats - { attempts, rejections } 검사 통계를 누적할 객체 (생략 가능)
+     * @returns {boolean} 중단되었는지 여부
+     */
+    enumerate(c, pastWinners, onMatch, stats = null) {
+        const pool = this.buildPool(c);
+        const need = 6 - c.include.length;
+        const sumMin = c.sumMin !== null ? c.sumMin : -Infinity;
+        const sumMax = c.sumMax !== null ? c.sumMax : Infinity;
+
+        // 남은 r개를 index 이후에서 고를 때의 최소 합, 뒤에서 고를 때의 최대 합
+        const prefix = [0];
+        pool.forEach(num => prefix.push(prefix[prefix.length - 1] + num));
+        const minRest = (index, r) => prefix[index + r] - prefix[index];
+        const maxRest = (r) => prefix[pool.length] - prefix[pool.length - r];
+
+        const exceedsRatio = (numbers, ratio, isFirst) => {
+            if (!ratio) {
+                return false;
+            }
+            const first = numbers.filter(isFirst).length;
+            return first > ratio.first || numbers.length - first > ratio.second;
+        };
+        const distinctDifferences = (numbers) => {
+            const differences = new Set();
+            for (let i = 0; i < numbers.length; i++) {
+                for (let j = i + 1; j < numbers.length; j++) {
+                    differences.add(Math.abs(numbers[j] - numbers[i]));
+                }
+            }
+            return differences.size;
+        };
+        const isPruned = (numbers) =>
+            exceedsRatio(numbers, c.oddEven, n => n % 2 === 1) ||
+            exceedsRatio(numbers, c.lowHigh, n => n <= 22) ||
+            (c.maxConsecutive !== null && this.analyzer.longestRun(numbers) > c.maxConsecutive) ||
+            (c.maxSameEnding !== null && this.analyzer.maxSameEnding(numbers) > c.maxSameEnding) ||
+            (c.acMax !== null && distinctDifferences(numbers) - 5 > c.acMax);
+
+        const chosen = [];
+        const visit = (index, sum) => {
+            const remaining = need - chosen.length;
+            if (remaining === 0) {
+                const info = this.describeCombination(this.analyzer.sortNumbers([...c.include, ...chosen]));
+                const violation = this.findViolation(info, c, pastWinners);
+                if (stats) {
+                    stats.attempts++;
+                    if (violation) {
+                        stats.rejections[violation]++;
+                    }
+                }
+                return !violation && onMatch(info) === true;
+            }
+
+            for (let i = index; i <= pool.length - remaining; i++) {
+                // 오름차순으로 고르므로 최소 합이 상한을 넘으면 이후 번호도 모두 넘는다
+                if (sum + minRest(i, remaining) > sumMax) {
+                    break;
+                }
+                if (sum + pool[i] + maxRest(remaining - 1) < sumMin) {
+                    continue;
+                }
+                chosen.push(pool[i]);
+                const stop = !isPruned([...c.include, ...chosen]) && visit(i + 1, sum + pool[i]);
+                chosen.pop();
+                if (stop) {
+                    return true;
+                }
+            }
+            return false;
+        };
+
+        return visit(0, c.include.reduce((a, b) => a + b, 0));
+    }
+
+    /**
+     * 전체 탐색으로도 요청한 개수를 채우지 못한 원인 찾기
+     * 조합이 하나도 없으면 조건을 검사 순서대로 하나씩 더해 가며 조합이 사라지는 첫 조건을 찾고,
+     * 일부만 있으면 가장 많이 걸러낸 조건을 완화 대상으로 제시한다.
+     * @param {Object} result - generate 진행 결과
+     * @param {Object} c - 정규화된 조건
+     * @param {Set} pastWinners - 과거 1등 조합 키 (없으면 null)
+     */
+    diagnose(result, c, pastWinners) {
+        const found = result.combinations.length;
+        let constraint = null;
+
+        if (found === 0) {
+            const relaxed = {
+                ...c,
+                oddEven: null,
+                lowHigh: null,
+                sumMin: null,
+                sumMax: null,
+                acMin: null,
+                acMax: null,
+                maxConsecutive: null,
+                maxSameEnding: null
+            };
+            const apply = {
+                oddEven: () => { relaxed.oddEven = c.oddEven; },
+                lowHigh: () => { relaxed.lowHigh = c.lowHigh; },
+                sum: () => { relaxed.sumMin = c.sumMin; relaxed.sumMax = c.sumMax; },
+                ac: () => { relaxed.acMin = c.acMin; relaxed.acMax = c.acMax; },
+                consecutive: () => { relaxed.maxConsecutive = c.maxConsecutive; },
+                ending: () => { relaxed.maxSameEnding = c.maxSameEnding; },
+                pastWinners: () => {}
+            };
+            for (const key of Object.keys(apply)) {
+                apply[key]();
+                const exists = this.enumerate(relaxed, key === 'pastWinners' ? pastWinners : null, () => true);
+                if (!exists) {
+                    constraint = key;
+                    break;
+                }
+            }
+        } else {
+            for (const key of Object.keys(this.constraintLabels)) {
+                if (result.rejections[key] > 0 && (!constraint || result.rejections[key] > result.rejections[constraint])) {
+                    constraint = key;
+                }
+            }
+        }
+
+        constraint = constraint || 'numbers';
+        const label = this.constraintLabels[constraint];
+        const message = found === 0
+            ? `'${label}' 조건까지 함께 만족하는 조합이 하나도 없습니다.`
+            : `조건을 모두 만족하는 조합은 ${found}개뿐입니다. '${label}' 조건을 완화하거나 조합 수를 줄여주세요.`;
+
+        return { constraint, label, message };
+    }
+}
+
+// 전역 변수로 사용할 수 있도록 내보내기
+if (typeof window !== 'undefined') {
+    window.LottoCombinationGenerator = LottoCombinationGenerator;
+}
+
+// Node.js(CommonJS)에서 사용할 수 있도록 내보내기
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = LottoCombinationGenerator;
+}
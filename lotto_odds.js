@@ -0,0 +1,249 @@
+/**
+ * 로또 당첨 확률 및 기대값 계산 JavaScript 라이브러리
+ * 초기하분포로 등수별 정확한 당첨 확률을 구하고, 과거 평균 당첨금으로 기대값을 계산
+ */
+
+// 의존 모듈: 브라우저·워커에서는 먼저 로드된 전역 클래스를, Node.js에서는 require로 불러온 모듈을 쓴다.
+const oddsDeps = typeof module !== 'undefined' && module.exports
+    ? { LottoStats: require('./lotto_stats.js') }
+    : { LottoStats };
+
+/**
+ * 당첨 확률/기대값 계산 클래스
+ * 여러 장의 티켓은 번호가 겹치는 만큼 같은 추첨에서 함께 당첨되므로,
+ * 티켓 번호 합집합과 당첨번호의 교집합을 모두 나열해 정확한 확률을 구한다.
+ */
+class LottoOddsCalculator {
+    constructor(analyzer) {
+        this.analyzer = analyzer;
+        this.totalCombinations = oddsDeps.LottoStats.combination(45, 6);
+    }
+
+    /**
+     * 티켓 1장의 등수별 당첨 확률
+     * 당첨번호 6개와 k개가 일치할 확률은 초기하분포 H(k; 45, 6, 6)이며,
+     * 5개 일치 중 나머지 1개가 보너스 번호이면 2등이다 (남은 39개 중 1개).
+     * @returns {Object} { 1: p1, 2: p2, 3: p3, 4: p4, 5: p5 }
+     */
+    getTierProbabilities() {
+        const match = (k) => oddsDeps.LottoStats.hypergeometricPmf(k, 45, 6, 6);
+        const five = match(5);
+
+        return {
+            1: match(6),
+            2: five / 39,
+            3: five * 38 / 39,
+            4: match(4),
+            5: match(3)
+        };
+    }
+
+    /**
+     * 과거 회차의 등수별 평균 당첨금 (1게임 1,000원 회차 기준)
+     * 1등은 당첨자가 있었던 회차의 실제 1인당 당첨금, 2·3등은 판매액으로 추정한 금액의 평균이다.
+     * @param {Object} range - 집계 구간 (생략 시 전체)
+     * @returns {Object} { prizes: { 1~5 }, draws }
+     */
+    getAveragePrizes(range = null) {
+        const draws = this.analyzer.getRangeData(range).filter(d =>
+            this.analyzer.getTicketPrice(d.draw_no) === 1000 && d.total_prize > 0
+        );
+
+        if (draws.length === 0) {
+            throw new Error('평균 당첨금을 계산할 판매액 정보가 없습니다.');
+        }
+
+        const sums = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 };
+        let firstPrizeDraws = 0;
+        draws.forEach(draw => {
+            const prizes = this.analyzer.estimatePrizeAmounts(draw);
+            if (draw.first_winners > 0 && draw.first_prize > 0) {
+                sums[1] += draw.first_prize;
+                firstPrizeDraws++;
+            }
+            [2, 3, 4, 5].forEach(rank => {
+                sums[rank] += prizes[rank];
+            });
+        });
+
+        return {
+            prizes: {
+                1: firstPrizeDraws > 0 ? sums[1] / firstPrizeDraws : 0,
+                2: sums[2] / draws.length,
+                3: sums[3] / draws.length,
+                4: sums[4] / draws.length,
+                5: sums[5] / draws.length
+            },
+            draws: draws.length
+        };
+    }
+
+    /**
+     * 티켓 번호 정규화 및 검증
+     * @param {Array} tickets - 6개 번호 티켓 배열
+     */
+    normalizeTickets(tickets) {
+        if (!Array.isArray(tickets) || tickets.length === 0) {
+            throw new Error('확률을 계산할 티켓이 없습니다.');
+        }
+
+        return tickets.map(numbers => {
+            const unique = [...new Set(numbers)];
+            if (unique.length !== 6 || unique.some(n => !Number.isInteger(n) || n < 1 || n > 45)) {
+                throw new Error(`티켓은 1~45 사이의 서로 다른 번호 6개여야 합니다: ${numbers}`);
+            }
+            return unique.sort((a, b) => a - b);
+        });
+    }
+
+    /**
+     * 여러 티켓 중 최고 등수의 확률 분포 (티켓 간 번호 중복 반영)
+     * 합집합 U에 속한 당첨번호 부분집합 S(|S| ≤ 6)를 모두 나열하고,
+     * U 밖의 당첨번호 조합 수 C(45-|U|, 6-|S|)를 가중치로 곱한다.
+     * 5개 일치 티켓은 빠진 번호가 보너스 번호(남은 39개 중 하나)일 때 2등이 된다.
+     * 합집합이 45개 전체여도 나열 수는 약 980만 가지이다.
+     * @param {Array} tickets - 정규화된 티켓 배열
+     * @returns {Object} { 0~5: 최고 등수 확률 }
+     */
+    bestRankDistribution(tickets) {
+        const union = [...new Set(tickets.flat())].sort((a, b) => a - b);
+        const size = union.length;
+
+        // 번호별로 해당 번호를 가진 티켓 목록
+        const owners = union.map(num => tickets
+            .map((numbers, index) => numbers.includes(num) ? index : -1)
+            .filter(index => index >= 0));
+        const outsideWeights = [];
+        for (let s = 0; s <= 6; s++) {
+            outsideWeights.push(oddsDeps.LottoStats.combination(45 - size, 6 - s));
+        }
+
+        const matches = new Int8Array(tickets.length);
+        const inDraw = new Uint8Array(46);
+        const weights = { 0: 0, 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 };
+
+        const evaluate = (drawn) => {
+            const weight = outsideWeights[drawn];
+            let best = 6;
+            let bonusCandidates = 0;
+            const seen = [];
+
+            for (let t = 0; t < tickets.length; t++) {
+                const count = matches[t];
+                if (count === 6) {
+                    best = 1;
+                    break;
+                }
+                if (count === 5) {
+                    best = Math.min(best, 3);
+                    const missing = tickets[t].find(num => !inDraw[num]);
+                    if (!seen.includes(missing)) {
+                        seen.push(missing);
+                        bonusCandidates++;
+                    }
+                } else if (count === 4) {
+                    best = Math.min(best, 4);
+                } else if (count === 3) {
+                    best = Math.min(best, 5);
+                }
+            }
+
+            if (best === 6) {
+                weights[0] += weight;
+            } else if (best === 3) {
+                weights[2] += weight * bonusCandidates / 39;
+                weights[3] += weight * (39 - bonusCandidates) / 39;
+            } else {
+                weights[best] += weight;
+            }
+        };
+
+        const visit = (start, drawn) => {
+            evaluate(drawn);
+            if (drawn === 6) {
+                return;
+            }
+            for (let i = start; i < size; i++) {
+                const ownerList = owners[i];
+                inDraw[union[i]] = 1;
+                for (const t of ownerList) matches[t]++;
+                visit(i + 1, drawn + 1);
+                for (const t of ownerList) matches[t]--;
+                inDraw[union[i]] = 0;
+            }
+        };
+        visit(0, 0);
+
+        const distribution = {};
+        Object.keys(weights).forEach(rank => {
+            distribution[rank] = weights[rank] / this.totalCombinations;
+        });
+        return distribution;
+    }
+
+    /**
+     * 티켓(또는 티켓 묶음)의 당첨 확률과 기대값 계산
+     * 기대값은 티켓별 기대 당첨금의 합이므로 번호 중복과 무관하고,
+     * 중복은 "적어도 한 장 당첨" 확률에만 영향을 준다.
+     * @param {Array} tickets - 6개 번호 티켓 배열
+     * @param {Object} options - { range } 평균 당첨금 집계 구간
+     * @returns {Object} 확률/기대값 보고서
+     */
+    evaluate(tickets, options = {}) {
+        const normalized = this.normalizeTickets(tickets);
+        const tiers = this.getTierProbabilities();
+        const { prizes, draws } = this.getAveragePrizes(options.range || null);
+        const ranks = [1, 2, 3, 4, 5];
+
+        const ticketExpectedValue = ranks.reduce((sum, rank) => sum + tiers[rank] * prizes[rank], 0);
+        const ticketWinProbability = ranks.reduce((sum, rank) => sum + tiers[rank], 0);
+        const best = this.bestRankDistribution(normalized);
+        const cost = normalized.length * 1000;
+        const expectedValue = ticketExpectedValue * normalized.length;
+
+        // 티켓별 당첨이 서로 독립이라고 가정했을 때의 "적어도 한 장 당첨" 확률 (비교용)
+        const independentWinProbability = 1 - Math.pow(1 - ticketWinProbability, normalized.length);
+        const winProbability = 1 - best[0];
+
+        return {
+            tickets: normalized,
+            perTicket: {
+                tiers: ranks.map(rank => ({
+                    rank: rank,
+                    probability: tiers[rank],
+                    odds: 1 / tiers[rank],
+                    averagePrize: prizes[rank],
+                    expectedValue: tiers[rank] * prizes[rank]
+                })),
+                winProbability: ticketWinProbability,
+                expectedValue: ticketExpectedValue,
+                expectedValuePer1000: ticketExpectedValue
+            },
+            set: {
+                count: normalized.length,
+                uniqueNumbers: new Set(normalized.flat()).size,
+                bestRank: ranks.map(rank => ({
+                    rank: rank,
+                    probability: best[rank],
+                    expectedCount: tiers[rank] * normalized.length
+                })),
+                winProbability: winProbability,
+                independentWinProbability: independentWinProbability,
+                cost: cost,
+                expectedValue: expectedValue,
+                expectedValuePer1000: expectedValue / cost * 1000
+            },
+            prizeDraws: draws
+        };
+    }
+}
+
+// 전역 변수로 사용할 수 있도록 내보내기
+if (typeof window !== 'undefined') {
+    window.LottoOddsCalculator = LottoOddsCalculator;
+}
+
+// Node.js(CommonJS)에서 사용할 수 있도록 내보내기
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = LottoOddsCalculator;
+}
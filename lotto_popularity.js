@@ -0,0 +1,152 @@
+/**
+ * 로또 인기 조합 위험도 JavaScript 라이브러리
+ * 많은 사람이 함께 고를 법한 조합일수록 1등 당첨금을 나눠 가질 가능성이 커지므로,
+ * 생일 번호, 등차수열, 과거 1등 조합, 응모지 직선 패턴, 한 번호대 몰림을 점수로 평가
+ */
+
+/**
+ * 인기 조합 위험도 평가 클래스
+ * 점수는 0~100이며 높을수록 다른 사람과 겹칠 위험이 크다.
+ */
+class LottoPopularityScorer {
+    constructor(analyzer) {
+        this.analyzer = analyzer;
+        this.gridColumns = 7; // 응모지 한 줄에 7개 번호
+        this.levels = [
+            { min: 40, key: 'high', label: '높음' },
+            { min: 15, key: 'medium', label: '보통' },
+            { min: 0, key: 'low', label: '낮음' }
+        ];
+        this.pastWinners = null;
+        this.pastWinnersData = null;
+    }
+
+    /**
+     * 과거 1등 조합 (정렬된 번호 문자열 → 회차)
+     * 분석기에 다른 데이터 배열이 로드되면 다시 만든다 (병합으로 회차 수가 같아도 내용이 바뀔 수 있다).
+     */
+    getPastWinners() {
+        if (!this.pastWinners || this.pastWinnersData !== this.analyzer.data) {
+            this.pastWinners = new Map();
+            this.analyzer.data.forEach(draw => {
+                const key = this.analyzer.sortNumbers(this.analyzer.getDrawNumbers(draw)).join(',');
+                this.pastWinners.set(key, draw.draw_no);
+            });
+            this.pastWinnersData = this.analyzer.data;
+        }
+        return this.pastWinners;
+    }
+
+    /**
+     * 가장 긴 등차수열 길이 (공차 1 이상, 순서대로 고를 필요 없음)
+     * @param {Array} sorted - 오름차순 번호
+     */
+    longestProgression(sorted) {
+        let longest = Math.min(sorted.length, 2);
+        for (let i = 0; i < sorted.length; i++) {
+            for (let j = i + 1; j < sorted.length; j++) {
+                const step = sorted[j] - sorted[i];
+                let length = 2;
+                let next = sorted[j] + step;
+                while (sorted.includes(next)) {
+                    length++;
+                    next += step;
+                }
+                longest = Math.max(longest, length);
+            }
+        }
+        return longest;
+    }
+
+    /**
+     * 응모지(7열 격자)에서 한 직선 위에 놓인 최대 번호 개수
+     * 가로줄, 세로줄, 대각선 등 모든 직선을 포함한다.
+     * @param {Array} numbers - 번호 목록
+     */
+    longestGridLine(numbers) {
+        const points = numbers.map(num => ({
+            row: Math.floor((num - 1) / this.gridColumns),
+            col: (num - 1) % this.gridColumns
+        }));
+
+        let longest = Math.min(points.length, 2);
+        for (let i = 0; i < points.length; i++) {
+            for (let j = i + 1; j < points.length; j++) {
+                const dr = points[j].row - points[i].row;
+                const dc = points[j].col - points[i].col;
+                const count = points.filter(p =>
+                    (p.row - points[i].row) * dc === (p.col - points[i].col) * dr
+                ).length;
+                longest = Math.max(longest, count);
+            }
+        }
+        return longest;
+    }
+
+    /**
+     * 조합의 인기 위험도 평가
+     * @param {Array} numbers - 번호 6개
+     * @returns {Object} { score, level, label, factors[{ key, label, points, detail }] }
+     */
+    score(numbers) {
+        const sorted = this.analyzer.sortNumbers(numbers);
+        const factors = [];
+        const add = (key, label, points, detail) => {
+            if (points > 0) {
+                factors.push({ key, label, points, detail });
+            }
+        };
+
+        // 생일 번호: 월/일로 고르면 31 이하에 몰린다
+        const birthday = sorted.filter(n => n <= 31).length;
+        add('birthday', '생일 번호', birthday === 6 ? 30 : birthday === 5 ? 10 : 0, `31 이하 번호 ${birthday}개`);
+
+        // 등차수열: 1-2-3-4-5-6, 7-14-21-... 처럼 간격이 일정한 번호
+        const progression = this.longestProgression(sorted);
+        add('progression', '등차수열', progression >= 6 ? 40 : progression === 5 ? 20 : progression === 4 ? 6 : 0, `같은 간격 번호 ${progression}개`);
+
+        // 과거 1등 조합을 그대로 다시 고르는 경우
+        const pastDraw = this.getPastWinners().get(sorted.join(','));
+        add('pastWinner', '과거 1등 조합', pastDraw ? 30 : 0, pastDraw ? `${pastDraw}회 1등 조합` : '');
+
+        // 응모지 위의 가로/세로/대각선 패턴
+        const gridLine = this.longestGridLine(sorted);
+        add('grid', '응모지 직선 패턴', gridLine >= 6 ? 30 : gridLine === 5 ? 15 : gridLine === 4 ? 5 : 0, `한 직선 위 번호 ${gridLine}개`);
+
+        // 한 번호대 몰림
+        const bandCounts = this.analyzer.getNumberBands().map(band => ({
+            label: band.label,
+            count: sorted.filter(n => n >= band.min && n <= band.max).length
+        }));
+        const topBand = bandCounts.reduce((a, b) => b.count > a.count ? b : a);
+        add('band', '한 번호대 몰림', topBand.count >= 6 ? 25 : topBand.count === 5 ? 10 : 0, `${topBand.label}에 ${topBand.count}개`);
+
+        const score = Math.min(100, factors.reduce((sum, factor) => sum + factor.points, 0));
+        const level = this.levels.find(item => score >= item.min);
+
+        return {
+            score: score,
+            level: level.key,
+            label: level.label,
+            factors: factors
+        };
+    }
+
+    /**
+     * 위험도가 높은 조합인지 여부
+     * @param {Object} result - score 결과
+     */
+    isHighRisk(result) {
+        return result.level === 'high';
+    }
+}
+
+// 전역 변수로 사용할 수 있도록 내보내기
+if (typeof window !== 'undefined') {
+    window.LottoPopularityScorer = LottoPopularityScorer;
+}
+
+// Node.js(CommonJS)에서 사용할 수 있도록 내보내기
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = LottoPopularityScorer;
+}
@@ -0,0 +1,162 @@
+/**
+ * 로또 난수 생성 JavaScript 라이브러리
+ * 재현 가능한 시드 기반 PRNG와 crypto.getRandomValues 기반 난수를 같은 인터페이스로 제공
+ */
+
+/**
+ * 난수 생성기 클래스
+ * 시드를 주면 같은 시드에서 항상 같은 수열을 만드는 PRNG(mulberry32) 모드,
+ * 시드가 없으면 crypto.getRandomValues를 사용하는 암호학적 난수 모드로 동작한다.
+ * 정수 추출은 모두 거절 표본추출로 편향 없이 처리한다.
+ */
+class LottoRandom {
+    /**
+     * @param {number|string|null} seed - 32비트 정수 시드 (생략 시 암호학적 난수 모드)
+     */
+    constructor(seed = null) {
+        if (seed === null || seed === undefined || seed === '') {
+            this.mode = 'crypto';
+            this.seed = null;
+            this.buffer = new Uint32Array(64);
+            this.bufferIndex = this.buffer.length;
+        } else {
+            this.mode = 'seeded';
+            this.seed = LottoRandom.normalizeSeed(seed);
+            this.state = this.seed;
+        }
+    }
+
+    /**
+     * 시드 값 검증 및 32비트 부호 없는 정수로 변환
+     * @param {number|string} seed - 시드
+     */
+    static normalizeSeed(seed) {
+        const value = Number(seed);
+        if (!Number.isFinite(value) || !Number.isInteger(value)) {
+            throw new Error(`시드는 정수여야 합니다: ${seed}`);
+        }
+        return value >>> 0;
+    }
+
+    /**
+     * crypto.getRandomValues를 제공하는 객체 (브라우저, Web Worker, Node.js)
+     */
+    static getCrypto() {
+        if (typeof globalThis !== 'undefined' && globalThis.crypto && typeof globalThis.crypto.getRandomValues === 'function') {
+            return globalThis.crypto;
+        }
+        if (typeof require === 'function') {
+            return require('crypto').webcrypto;
+        }
+        throw new Error('crypto.getRandomValues를 사용할 수 없는 환경입니다.');
+    }
+
+    /**
+     * 암호학적 난수로 새 시드 생성
+     * @returns {number} 32비트 부호 없는 정수
+     */
+    static createSeed() {
+        return LottoRandom.getCrypto().getRandomValues(new Uint32Array(1))[0];
+    }
+
+    /**
+     * 시드 기반 생성기 (시드 생략 시 새 시드를 만들어 결과를 재현·공유할 수 있게 한다)
+     * @param {number|string|null} seed - 시드
+     */
+    static seeded(seed = null) {
+        return new LottoRandom(seed === null || seed === undefined || seed === '' ? LottoRandom.createSeed() : seed);
+    }
+
+    /**
+     * 32비트 부호 없는 정수 난수
+     */
+    nextUint32() {
+        if (this.mode === 'crypto') {
+            if (this.bufferIndex >= this.buffer.length) {
+                LottoRandom.getCrypto().getRandomValues(this.buffer);
+                this.bufferIndex = 0;
+            }
+            return this.buffer[this.bufferIndex++];
+        }
+
+        // mulberry32
+        this.state = (this.state + 0x6D2B79F5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return (t ^ (t >>> 14)) >>> 0;
+    }
+
+    /**
+     * 0 이상 1 미만의 실수 난수 (Math.random 대체)
+     */
+    next() {
+        return this.nextUint32() / 4294967296;
+    }
+
+    /**
+     * 0 이상 max 미만의 정수 난수 (거절 표본추출로 나머지 편향 제거)
+     * @param {number} max - 상한 (1 이상 2^32 이하)
+     */
+    nextInt(max) {
+        if (!Number.isInteger(max) || max < 1 || max > 4294967296) {
+            throw new Error(`난수 범위가 올바르지 않습니다: ${max}`);
+        }
+
+        const limit = 4294967296 - (4294967296 % max);
+        let value;
+        do {
+            value = this.nextUint32();
+        } while (value >= limit);
+        return value % max;
+    }
+
+    /**
+     * 배열 앞부분을 부분 Fisher-Yates 셔플로 무작위 추출 (배열을 직접 변경)
+     * @param {Array} pool - 후보 배열
+     * @param {number} count - 추출 개수
+     * @returns {Array} 추출된 원소 (추출 순서)
+     */
+    sample(pool, count) {
+        if (count > pool.length) {
+            throw new Error(`후보(${pool.length}개)보다 많이 추출할 수 없습니다: ${count}`);
+        }
+
+        for (let i = 0; i < count; i++) {
+            const j = i + this.nextInt(pool.length - i);
+            [pool[i], pool[j]] = [pool[j], pool[i]];
+        }
+        return pool.slice(0, count);
+    }
+
+    /**
+     * 1~45 중 서로 다른 번호 6개 (오름차순)
+     */
+    pickNumbers() {
+        const pool = Array.from({ length: 45 }, (_, i) => i + 1);
+        return this.sample(pool, 6).sort((a, b) => a - b);
+    }
+
+    /**
+     * 당첨번호 6개와 보너스 번호 1개 추첨
+     * @returns {Object} { numbers, bonus }
+     */
+    drawNumbers() {
+        const pool = Array.from({ length: 45 }, (_, i) => i + 1);
+        const drawn = this.sample(pool, 7);
+        return {
+            numbers: drawn.slice(0, 6).sort((a, b) => a - b),
+            bonus: drawn[6]
+        };
+    }
+}
+
+// 전역 변수로 사용할 수 있도록 내보내기
+if (typeof window !== 'undefined') {
+    window.LottoRandom = LottoRandom;
+}
+
+// Node.js(CommonJS)에서 사용할 수 있도록 내보내기
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = LottoRandom;
+}
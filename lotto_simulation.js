@@ -0,0 +1,255 @@
+/**
+ * 로또 공정 추첨 몬테카를로 시뮬레이션 JavaScript 라이브러리
+ * 공정한 6/45 추첨기로 실제와 같은 길이의 가상 이력을 만들어 기존 분석을 반복 실행하고,
+ * 실제 이력의 지표가 가상 이력 분포에서 몇 번째 백분위에 있는지 계산
+ */
+
+// 의존 모듈: 브라우저·워커에서는 먼저 로드된 전역 클래스를, Node.js에서는 require로 불러온 모듈을 쓴다.
+const simulationDeps = typeof module !== 'undefined' && module.exports
+    ? { LottoAnalyzer: require('./lotto_analysis.js'), LottoRandom: require('./lotto_random.js') }
+    : { LottoAnalyzer, LottoRandom };
+
+/**
+ * 몬테카를로 시뮬레이터 클래스
+ * 같은 시드로 실행하면 같은 가상 이력과 결과를 재현한다.
+ */
+class LottoSimulator {
+    constructor(analyzer) {
+        this.analyzer = analyzer;
+        this.defaultSimulations = 1000;
+        this.maxSimulations = 20000;
+    }
+
+    /**
+     * 공정한 추첨으로 가상 이력 생성
+     * 회차 번호와 추첨일은 실제 이력을 그대로 사용하고, 번호 7개(보너스 포함)만 새로 뽑는다.
+     * @param {Array} template - 실제 회차 데이터
+     * @param {LottoRandom} random - 난수 생성기
+     */
+    generateHistory(template, random) {
+        return template.map(draw => {
+            const { numbers, bonus } = random.drawNumbers();
+
+            return {
+                draw_no: draw.draw_no,
+                draw_date: draw.draw_date,
+                num1: numbers[0],
+                num2: numbers[1],
+                num3: numbers[2],
+                num4: numbers[3],
+                num5: numbers[4],
+                num6: numbers[5],
+                bonus: bonus
+            };
+        });
+    }
+
+    /**
+     * 비교 지표 정의
+     * 각 지표는 분석기에 로드된 이력 하나에서 기존 분석 메서드로 계산한다.
+     */
+    getMetrics() {
+        const rate = (entries, key, total) => {
+            const entry = entries.find(([label]) => label === key);
+            return entry ? entry[1] / total : 0;
+        };
+
+        return [
+            {
+                key: 'frequencyChiSquare',
+                label: '번호별 빈도 카이제곱',
+                format: value => value.toFixed(1),
+                compute: (analyzer) => {
+                    const result = analyzer.frequencyAnalysis();
+                    return Object.values(result.frequencies).reduce((sum, count) =>
+                        sum + Math.pow(count - result.expectedFrequency, 2) / result.expectedFrequency, 0);
+                }
+            },
+            {
+                key: 'frequencySpread',
+                label: '최다-최소 출현 횟수 차이',
+                format: value => `${+value.toFixed(1)}회`,
+                compute: (analyzer) => {
+                    const counts = Object.values(analyzer.frequencyAnalysis().frequencies);
+                    return Math.max(...counts) - Math.min(...counts);
+                }
+            },
+            {
+                key: 'maxCurrentGap',
+                label: '최장 미출현 회차',
+                format: value => `${+value.toFixed(1)}회차`,
+                compute: (analyzer) => analyzer.cycleAnalysis().sortedByGap[0][1]
+            },
+            {
+                key: 'cycleSpread',
+                label: '번호별 평균 주기의 표준편차',
+                format: value => value.toFixed(3),
+                compute: (analyzer) => {
+                    const cycles = Object.values(analyzer.cycleAnalysis().averageCycles);
+                    const mean = cycles.reduce((a, b) => a + b, 0) / cycles.length;
+                    return Math.sqrt(cycles.reduce((sum, c) => sum + Math.pow(c - mean, 2), 0) / cycles.length);
+                }
+            },
+            {
+                key: 'oddEvenBalanced',
+                label: '홀짝 3:3 비율',
+                format: value => `${(value * 100).toFixed(1)}%`,
+                compute: (analyzer) => {
+                    const result = analyzer.patternAnalysis();
+                    return rate(result.oddEven, '3:3', result.totalDraws);
+                }
+            },
+            {
+                key: 'oddEvenExtreme',
+                label: '홀짝 6:0 또는 0:6 비율',
+                format: value => `${(value * 100).toFixed(2)}%`,
+                compute: (analyzer) => {
+                    const result = analyzer.patternAnalysis();
+                    return rate(result.oddEven, '6:0', result.totalDraws) + rate(result.oddEven, '0:6', result.totalDraws);
+                }
+            },
+            {
+                key: 'consecutiveRate',
+                label: '연속 번호 포함 회차 비율',
+                format: value => `${(value * 100).toFixed(1)}%`,
+                compute: (analyzer) => {
+                    const result = analyzer.consecutiveAnalysis();
+                    return result.hasConsecutive / result.totalDraws;
+                }
+            },
+            {
+                key: 'sumMean',
+                label: '번호 합계 평균',
+                format: value => value.toFixed(2),
+                compute: (analyzer) => analyzer.sumAnalysis().mean
+            },
+            {
+                key: 'hotPersistence',
+                label: '전반부 Hot 10 중 후반부 Hot 10 유지 개수',
+                format: value => `${+value.toFixed(1)}개`,
+                compute: (analyzer) => {
+                    const data = analyzer.data;
+                    const middle = data[Math.floor(data.length / 2) - 1].draw_no;
+                    const first = analyzer.frequencyAnalysis({ fromDraw: data[0].draw_no, toDraw: middle });
+                    const second = analyzer.frequencyAnalysis({ fromDraw: middle + 1, toDraw: data[data.length - 1].draw_no });
+                    const hot = new Set(second.hotNumbers.map(([num]) => num));
+                    return first.hotNumbers.filter(([num]) => hot.has(num)).length;
+                }
+            }
+        ];
+    }
+
+    /**
+     * 이력 하나의 모든 지표 계산
+     * @param {LottoAnalyzer} analyzer - 이력이 로드된 분석기
+     * @param {Array} metrics - getMetrics 결과
+     */
+    measure(analyzer, metrics) {
+        return metrics.map(metric => metric.compute(analyzer));
+    }
+
+    /**
+     * 정렬된 값에서 분위수
+     * @param {Array} sorted - 오름차순 정렬된 값
+     * @param {number} q - 0~1 분위
+     */
+    quantile(sorted, q) {
+        const position = (sorted.length - 1) * q;
+        const lower = Math.floor(position);
+        const upper = Math.ceil(position);
+        return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+    }
+
+    /**
+     * 시뮬레이션 실행
+     * 백분위는 가상 이력 중 실제보다 작은 비율(같은 값은 절반)이며,
+     * p-값은 양쪽 꼬리 중 작은 쪽의 2배이다.
+     * @param {Object} options - { simulations, seed, range, onProgress }
+     * @returns {Object} 지표별 실제 값과 가상 분포 비교 결과
+     */
+    run(options = {}) {
+        const {
+            simulations = this.defaultSimulations,
+            seed = null,
+            range = null,
+            onProgress = null
+        } = options;
+
+        const count = parseInt(simulations);
+        if (!Number.isInteger(count) || count < 10 || count > this.maxSimulations) {
+            throw new Error(`시뮬레이션 횟수는 10 ~ ${this.maxSimulations.toLocaleString()} 사이여야 합니다.`);
+        }
+
+        const history = this.analyzer.getRangeData(range);
+        if (history.length < 20) {
+            throw new Error('시뮬레이션에는 최소 20회차 이상의 데이터가 필요합니다.');
+        }
+
+        // 가상 이력용 분석기 (반복마다 로그가 쌓이지 않도록 로거 비활성화)
+        const simulated = new simulationDeps.LottoAnalyzer();
+        simulated.isValidating = false;
+        simulated.logger = { info: () => {}, warn: () => {}, error: () => {} };
+
+        const metrics = this.getMetrics();
+        simulated.loadData(history);
+        const actual = this.measure(simulated, metrics);
+
+        const random = simulationDeps.LottoRandom.seeded(seed);
+        const samples = metrics.map(() => new Float64Array(count));
+        for (let i = 0; i < count; i++) {
+            simulated.loadData(this.generateHistory(history, random));
+            this.measure(simulated, metrics).forEach((value, index) => {
+                samples[index][i] = value;
+            });
+
+            if (onProgress && ((i + 1) % 10 === 0 || i + 1 === count)) {
+                onProgress(i + 1, count);
+            }
+        }
+
+        return {
+            seed: random.seed,
+            simulations: count,
+            drawCount: history.length,
+            metrics: metrics.map((metric, index) => {
+                const values = samples[index];
+                const sorted = Array.from(values).sort((a, b) => a - b);
+                const value = actual[index];
+                let below = 0;
+                let equal = 0;
+                values.forEach(v => {
+                    if (v < value) below++;
+                    else if (v === value) equal++;
+                });
+                const lowerTail = (below + equal) / count;
+                const upperTail = (count - below) / count;
+
+                return {
+                    key: metric.key,
+                    label: metric.label,
+                    actual: value,
+                    actualText: metric.format(value),
+                    simulatedMean: sorted.reduce((a, b) => a + b, 0) / count,
+                    lower: this.quantile(sorted, 0.025),
+                    upper: this.quantile(sorted, 0.975),
+                    lowerText: metric.format(this.quantile(sorted, 0.025)),
+                    upperText: metric.format(this.quantile(sorted, 0.975)),
+                    percentile: (below + equal / 2) / count * 100,
+                    pValue: Math.min(1, 2 * Math.min(lowerTail, upperTail)),
+                    unusual: lowerTail < 0.025 || upperTail < 0.025
+                };
+            }),
+            range: this.analyzer.describeRange(history)
+        };
+    }
+}
+
+// 전역 변수로 사용할 수 있도록 내보내기
+if (typeof window !== 'undefined') {
+    window.LottoSimulator = LottoSimulator;
+}
+
+// Node.js(CommonJS)에서 사용할 수 있도록 내보내기
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = LottoSimulator;
+}
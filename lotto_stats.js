@@ -0,0 +1,281 @@
+/**
+ * 로또 분석용 통계 함수 JavaScript 라이브러리
+ * 분포 함수, 검정 통계량, 다중 비교 보정
+ */
+
+/**
+ * 통계 유틸리티 클래스
+ * 상태가 없으므로 모든 메서드는 정적 메서드로 제공한다.
+ */
+class LottoStats {
+    /**
+     * 로그 감마 함수 (Lanczos 근사)
+     * @param {number} x - 양수
+     */
+    static logGamma(x) {
+        const coefficients = [
+            676.5203681218851, -1259.1392167224028, 771.32342877765313,
+            -176.61503916999185, 12.507343278686905, -0.13857109526572012,
+            9.9843695780195716e-6, 1.5056327351493116e-7
+        ];
+
+        if (x < 0.5) {
+            return Math.log(Math.PI / Math.sin(Math.PI * x)) - LottoStats.logGamma(1 - x);
+        }
+
+        x -= 1;
+        let a = 0.99999999999980993;
+        const t = x + 7.5;
+        for (let i = 0; i < coefficients.length; i++) {
+            a += coefficients[i] / (x + i + 1);
+        }
+
+        return 0.5 * Math.log(2 * Math.PI) + (x + 0.5) * Math.log(t) - t + Math.log(a);
+    }
+
+    /**
+     * 로그 조합 수 log(C(n, k))
+     * @param {number} n - 전체 개수
+     * @param {number} k - 선택 개수
+     */
+    static logCombination(n, k) {
+        if (k < 0 || k > n) {
+            return -Infinity;
+        }
+        return LottoStats.logGamma(n + 1) - LottoStats.logGamma(k + 1) - LottoStats.logGamma(n - k + 1);
+    }
+
+    /**
+     * 조합 수 C(n, k)
+     * @param {number} n - 전체 개수
+     * @param {number} k - 선택 개수
+     */
+    static combination(n, k) {
+        if (k < 0 || k > n) {
+            return 0;
+        }
+
+        let result = 1;
+        for (let i = 1; i <= Math.min(k, n - k); i++) {
+            result = result * (n - i + 1) / i;
+        }
+        return Math.round(result);
+    }
+
+    /**
+     * 표준정규분포 누적분포함수
+     * @param {number} z - 표준점수
+     */
+    static normalCdf(z) {
+        // Abramowitz-Stegun 7.1.26 오차함수 근사
+        const x = Math.abs(z) / Math.SQRT2;
+        const t = 1 / (1 + 0.3275911 * x);
+        const erf = 1 - (((((1.061405429 * t - 1.453152027) * t) + 1.421413741) * t - 0.284496736) * t + 0.254829592) * t * Math.exp(-x * x);
+        return z >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+    }
+
+    /**
+     * 표준정규분포 분위수 함수 (누적분포함수의 역함수)
+     * @param {number} p - 누적 확률 (0 < p < 1)
+     */
+    static normalQuantile(p) {
+        if (p <= 0 || p >= 1) {
+            throw new Error(`확률은 0과 1 사이여야 합니다: ${p}`);
+        }
+
+        // Acklam 유리함수 근사 (상대 오차 1.15e-9)
+        const a = [-3.969683028665376e+01, 2.209460984245205e+02, -2.759285104469687e+02,
+            1.383577518672690e+02, -3.066479806614716e+01, 2.506628277459239e+00];
+        const b = [-5.447609879822406e+01, 1.615858368580409e+02, -1.556989798598866e+02,
+            6.680131188771972e+01, -1.328068155288572e+01];
+        const c = [-7.784894002430293e-03, -3.223964580411365e-01, -2.400758277161838e+00,
+            -2.549732539343734e+00, 4.374664141464968e+00, 2.938163982698783e+00];
+        const d = [7.784695709041462e-03, 3.224671290700398e-01, 2.445134137142996e+00,
+            3.754408661907416e+00];
+        const low = 0.02425;
+
+        if (p < low) {
+            const q = Math.sqrt(-2 * Math.log(p));
+            return (((((c[0] * q + c[1]) * q + c[2]) * q + c[3]) * q + c[4]) * q + c[5]) /
+                ((((d[0] * q + d[1]) * q + d[2]) * q + d[3]) * q + 1);
+        }
+        if (p > 1 - low) {
+            return -LottoStats.normalQuantile(1 - p);
+        }
+
+        const q = p - 0.5;
+        const r = q * q;
+        return (((((a[0] * r + a[1]) * r + a[2]) * r + a[3]) * r + a[4]) * r + a[5]) * q /
+            (((((b[0] * r + b[1]) * r + b[2]) * r + b[3]) * r + b[4]) * r + 1);
+    }
+
+    /**
+     * 이항분포 확률질량함수
+     * @param {number} k - 성공 횟수
+     * @param {number} n - 시행 횟수
+     * @param {number} p - 성공 확률
+     */
+    static binomialPmf(k, n, p) {
+        if (k < 0 || k > n) {
+            return 0;
+        }
+        return Math.exp(LottoStats.logCombination(n, k) + k * Math.log(p) + (n - k) * Math.log(1 - p));
+    }
+
+    /**
+     * 정확 이항검정 양측 p-값
+     * 관측값 이하의 확률을 가진 모든 결과의 확률 합
+     * @param {number} k - 관측 성공 횟수
+     * @param {number} n - 시행 횟수
+     * @param {number} p - 귀무가설 성공 확률
+     */
+    static binomialTestPValue(k, n, p) {
+        const observed = LottoStats.binomialPmf(k, n, p);
+        let pValue = 0;
+
+        for (let i = 0; i <= n; i++) {
+            const prob = LottoStats.binomialPmf(i, n, p);
+            if (prob <= observed * (1 + 1e-7)) {
+                pValue += prob;
+            }
+        }
+
+        return Math.min(1, pValue);
+    }
+
+    /**
+     * 초기하분포 확률질량함수
+     * 모집단 N개 중 성공 K개일 때 n개 추출에서 k개 성공할 확률
+     * @param {number} k - 추출 내 성공 개수
+     * @param {number} N - 모집단 크기
+     * @param {number} K - 모집단 내 성공 개수
+     * @param {number} n - 추출 개수
+     */
+    static hypergeometricPmf(k, N, K, n) {
+        const total = LottoStats.combination(N, n);
+        return LottoStats.combination(K, k) * LottoStats.combination(N - K, n - k) / total;
+    }
+
+    /**
+     * 정규화 상부 불완전 감마함수 Q(a, x)
+     * @param {number} a - 형태 모수
+     * @param {number} x - 상한
+     */
+    static upperIncompleteGamma(a, x) {
+        if (x <= 0) {
+            return 1;
+        }
+
+        const logPrefix = -x + a * Math.log(x) - LottoStats.logGamma(a);
+
+        if (x < a + 1) {
+            // 급수 전개
+            let sum = 1 / a;
+            let term = sum;
+            for (let n = 1; n < 500; n++) {
+                term *= x / (a + n);
+                sum += term;
+                if (Math.abs(term) < Math.abs(sum) * 1e-15) {
+                    break;
+                }
+            }
+            return 1 - sum * Math.exp(logPrefix);
+        }
+
+        // 연분수 전개 (Lentz 방법)
+        const tiny = 1e-300;
+        let b = x + 1 - a;
+        let c = 1 / tiny;
+        let d = 1 / b;
+        let h = d;
+        for (let i = 1; i < 500; i++) {
+            const an = -i * (i - a);
+            b += 2;
+            d = an * d + b;
+            if (Math.abs(d) < tiny) d = tiny;
+            c = b + an / c;
+            if (Math.abs(c) < tiny) c = tiny;
+            d = 1 / d;
+            const delta = d * c;
+            h *= delta;
+            if (Math.abs(delta - 1) < 1e-15) {
+                break;
+            }
+        }
+        return h * Math.exp(logPrefix);
+    }
+
+    /**
+     * 카이제곱 분포 상측 확률 (p-값)
+     * @param {number} statistic - 카이제곱 통계량
+     * @param {number} df - 자유도
+     */
+    static chiSquarePValue(statistic, df) {
+        return LottoStats.upperIncompleteGamma(df / 2, statistic / 2);
+    }
+
+    /**
+     * 피어슨 상관계수
+     * @param {Array} xs - 첫 번째 변수
+     * @param {Array} ys - 두 번째 변수
+     * @returns {number} 상관계수 (분산이 0이면 0)
+     */
+    static pearsonCorrelation(xs, ys) {
+        const n = Math.min(xs.length, ys.length);
+        if (n < 2) {
+            return 0;
+        }
+
+        const meanX = xs.slice(0, n).reduce((a, b) => a + b, 0) / n;
+        const meanY = ys.slice(0, n).reduce((a, b) => a + b, 0) / n;
+        let covariance = 0;
+        let varianceX = 0;
+        let varianceY = 0;
+        for (let i = 0; i < n; i++) {
+            covariance += (xs[i] - meanX) * (ys[i] - meanY);
+            varianceX += Math.pow(xs[i] - meanX, 2);
+            varianceY += Math.pow(ys[i] - meanY, 2);
+        }
+
+        return varianceX > 0 && varianceY > 0 ? covariance / Math.sqrt(varianceX * varianceY) : 0;
+    }
+
+    /**
+     * Bonferroni 보정 p-값
+     * @param {Array} pValues - p-값 배열
+     */
+    static bonferroni(pValues) {
+        return pValues.map(p => Math.min(1, p * pValues.length));
+    }
+
+    /**
+     * Benjamini-Hochberg 보정 p-값 (FDR)
+     * @param {Array} pValues - p-값 배열
+     */
+    static benjaminiHochberg(pValues) {
+        const m = pValues.length;
+        const order = pValues
+            .map((p, index) => ({ p, index }))
+            .sort((a, b) => a.p - b.p);
+
+        const adjusted = new Array(m);
+        let minSoFar = 1;
+        for (let i = m - 1; i >= 0; i--) {
+            const value = Math.min(minSoFar, order[i].p * m / (i + 1));
+            minSoFar = value;
+            adjusted[order[i].index] = value;
+        }
+
+        return adjusted;
+    }
+}
+
+// 전역 변수로 사용할 수 있도록 내보내기
+if (typeof window !== 'undefined') {
+    window.LottoStats = LottoStats;
+}
+
+// Node.js(CommonJS)에서 사용할 수 있도록 내보내기
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = LottoStats;
+}
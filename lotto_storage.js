@@ -0,0 +1,141 @@
+/**
+ * 로또 데이터 로컬 저장소 JavaScript 라이브러리
+ * IndexedDB 키-값 저장소 (미지원 시 localStorage로 대체)
+ */
+
+/**
+ * 로컬 저장소 클래스
+ * 모든 메서드는 Promise를 반환한다. IndexedDB와 localStorage를 모두 쓸 수 없으면 아무것도 하지 않지만,
+ * 읽기/쓰기 중 오류가 나거나 트랜잭션이 중단되면(용량 초과 등) Promise가 거부되므로 호출한 쪽에서 처리해야 한다.
+ */
+class LottoStorage {
+    /**
+     * @param {string} dbName - IndexedDB 데이터베이스 이름
+     * @param {string} storeName - 오브젝트 스토어 이름
+     */
+    constructor(dbName = 'ailotto', storeName = 'kv') {
+        this.dbName = dbName;
+        this.storeName = storeName;
+        this.dbPromise = null;
+    }
+
+    /**
+     * IndexedDB 열기 (실패 시 null)
+     * @returns {Promise<IDBDatabase|null>}
+     */
+    open() {
+        if (this.dbPromise) {
+            return this.dbPromise;
+        }
+
+        this.dbPromise = new Promise((resolve) => {
+            if (typeof indexedDB === 'undefined') {
+                resolve(null);
+                return;
+            }
+
+            try {
+                const request = indexedDB.open(this.dbName, 1);
+                request.onupgradeneeded = () => {
+                    request.result.createObjectStore(this.storeName);
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => {
+                    console.warn(`IndexedDB를 열 수 없어 localStorage를 사용합니다: ${request.error}`);
+                    resolve(null);
+                };
+            } catch (error) {
+                console.warn(`IndexedDB를 열 수 없어 localStorage를 사용합니다: ${error.message}`);
+                resolve(null);
+            }
+        });
+
+        return this.dbPromise;
+    }
+
+    /**
+     * IndexedDB 요청 실행
+     * 트랜잭션이 오류로 실패하거나 중단(abort)되면 거부된다.
+     * @param {string} mode - 트랜잭션 모드 (readonly, readwrite)
+     * @param {Function} operation - (store) => IDBRequest
+     */
+    async transaction(mode, operation) {
+        const db = await this.open();
+        if (!db) {
+            return undefined;
+        }
+
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(this.storeName, mode);
+            const request = operation(tx.objectStore(this.storeName));
+            tx.oncomplete = () => resolve(request.result);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error || new Error('저장소 트랜잭션이 중단되었습니다.'));
+        });
+    }
+
+    /**
+     * localStorage 키
+     * @param {string} key - 저장 키
+     */
+    localKey(key) {
+        return `${this.dbName}:${key}`;
+    }
+
+    /**
+     * 값 읽기
+     * @param {string} key - 저장 키
+     * @returns {Promise<*>} 저장된 값 (없으면 null)
+     */
+    async get(key) {
+        const db = await this.open();
+        if (db) {
+            const value = await this.transaction('readonly', store => store.get(key));
+            return value === undefined ? null : value;
+        }
+
+        if (typeof localStorage !== 'undefined') {
+            const text = localStorage.getItem(this.localKey(key));
+            return text === null ? null : JSON.parse(text);
+        }
+        return null;
+    }
+
+    /**
+     * 값 저장
+     * @param {string} key - 저장 키
+     * @param {*} value - 저장할 값 (구조화 복제 가능 객체)
+     */
+    async set(key, value) {
+        const db = await this.open();
+        if (db) {
+            await this.transaction('readwrite', store => store.put(value, key));
+            return;
+        }
+
+        if (typeof localStorage !== 'undefined') {
+            localStorage.setItem(this.localKey(key), JSON.stringify(value));
+        }
+    }
+
+    /**
+     * 값 삭제
+     * @param {string} key - 저장 키
+     */
+    async remove(key) {
+        const db = await this.open();
+        if (db) {
+            await this.transaction('readwrite', store => store.delete(key));
+            return;
+        }
+
+        if (typeof localStorage !== 'undefined') {
+            localStorage.removeItem(this.localKey(key));
+        }
+    }
+}
+
+// 전역 변수로 사용할 수 있도록 내보내기
+if (typeof window !== 'undefined') {
+    window.LottoStorage = LottoStorage;
+}
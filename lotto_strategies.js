@@ -0,0 +1,396 @@
+/**
+ * 로또 추천 전략 레지스트리 JavaScript 라이브러리
+ * 추천 전략을 { id, label, color, params, generate } 객체로 등록하고,
+ * 분석기·차트·UI가 등록된 목록을 그대로 사용하도록 한다.
+ */
+
+/**
+ * 추천 전략 레지스트리 클래스
+ *
+ * 전략 객체
+ *   id          - 전략 ID (추천 옵션의 strategy 값)
+ *   label       - 화면에 표시할 이름
+ *   color       - 추천 차트 색상 (LottoChart.getRecommendationColor)
+ *   type        - 이 전략이 만든 조합의 추천 타입 (생략 시 id)
+ *   description - 설명 (선택)
+ *   params      - 파라미터 스키마 [{ key, label, type: 'number'|'select'|'boolean', default, min, max, step, options }]
+ *   generate(analyzer, params, rng, context) - 조합 배열 [{ name, numbers, type?, details? }] 반환
+ *     context: { range, recentPeriod, count, frequency(), recent(), cycle(), coOccurrence() } 분석 결과는 호출 사이에 재사용된다.
+ *
+ * 사용자 전략은 메인 스레드에서만 등록되므로 앱은 내장 전략이 아닌 전략을 워커 대신 메인 스레드에서 실행한다.
+ */
+class LottoStrategyRegistry {
+    constructor() {
+        this.strategies = new Map();
+        this.listeners = [];
+    }
+
+    /**
+     * 내장 전략이 등록된 공용 레지스트리 (분석기, 차트, 앱이 함께 사용)
+     */
+    static getDefault() {
+        if (!LottoStrategyRegistry.defaultRegistry) {
+            const registry = new LottoStrategyRegistry();
+            LottoStrategyRegistry.getBuiltinStrategies().forEach(strategy => {
+                registry.register(Object.assign({ builtin: true }, strategy));
+            });
+            LottoStrategyRegistry.defaultRegistry = registry;
+        }
+        return LottoStrategyRegistry.defaultRegistry;
+    }
+
+    /**
+     * 내장 전략 정의 (기본 파라미터로 실행하면 기존 추천 결과와 같다)
+     */
+    static getBuiltinStrategies() {
+        const toNumbers = (entries) => entries.map(([num]) => parseInt(num));
+        const offsetParam = (label) => ({ key: 'offset', label: label, type: 'number', default: 0, min: 0, max: 39, step: 1 });
+
+        const frequency = {
+            id: 'frequency',
+            label: '빈도 기반',
+            color: '#ef4444',
+            type: 'hot',
+            description: '가장 많이 나온 번호 6개',
+            params: [offsetParam('상위 건너뛰기')],
+            generate: (analyzer, params, rng, context) => {
+                const sorted = toNumbers(context.frequency().sorted);
+                return [{
+                    name: '빈도 기반 (Hot Numbers)',
+                    numbers: sorted.slice(params.offset, params.offset + 6)
+                }];
+            }
+        };
+
+        const gap = {
+            id: 'gap',
+            label: '미출현 기반',
+            color: '#10b981',
+            type: 'cold',
+            description: '가장 오래 나오지 않은 번호 6개',
+            params: [offsetParam('상위 건너뛰기')],
+            generate: (analyzer, params, rng, context) => {
+                const sorted = toNumbers(context.cycle().sortedByGap);
+                return [{
+                    name: '미출현 기반 (Due Numbers)',
+                    numbers: sorted.slice(params.offset, params.offset + 6)
+                }];
+            }
+        };
+
+        const balanced = {
+            id: 'balanced',
+            label: '균형 전략',
+            color: '#f59e0b',
+            description: '빈도 상위 홀수와 짝수를 정해진 비율로 조합',
+            params: [{ key: 'oddCount', label: '홀수 개수', type: 'number', default: 3, min: 0, max: 6, step: 1 }],
+            generate: (analyzer, params, rng, context) => {
+                const frequencies = context.frequency().frequencies;
+                const allNumbers = Object.keys(frequencies)
+                    .map(n => parseInt(n))
+                    .sort((a, b) => frequencies[b] - frequencies[a]);
+                const oddNumbers = allNumbers.filter(n => n % 2 === 1).slice(0, params.oddCount);
+                const evenNumbers = allNumbers.filter(n => n % 2 === 0).slice(0, 6 - params.oddCount);
+
+                return [{
+                    name: `균형 전략 (홀짝 ${params.oddCount}:${6 - params.oddCount})`,
+                    numbers: [...oddNumbers, ...evenNumbers]
+                }];
+            }
+        };
+
+        const pair = {
+            id: 'pair',
+            label: '동반 출현 기반',
+            color: '#8b5cf6',
+            description: '자주 함께 나온 번호 쌍의 친화도로 조합',
+            params: [{ key: 'anchor', label: '중심 번호 (0 = 최다 출현 번호)', type: 'number', default: 0, min: 0, max: 45, step: 1 }],
+            generate: (analyzer, params, rng, context) => {
+                const coResult = context.coOccurrence();
+                const results = [{
+                    name: '동반 출현 기반 (Pair Affinity)',
+                    numbers: analyzer.pickByPairAffinity(coResult)
+                }];
+
+                // 중심 번호에서 시작하는 조합
+                const anchor = params.anchor || parseInt(context.frequency().hotNumbers[0][0]);
+                const anchored = analyzer.pickByPairAffinity(coResult, [anchor]);
+                if (anchored.join() !== results[0].numbers.join()) {
+                    results.push({
+                        name: `동반 출현 기반 (${anchor}번 중심)`,
+                        numbers: anchored
+                    });
+                }
+                return results;
+            }
+        };
+
+        const mixed = {
+            id: 'mixed',
+            label: '혼합 전략',
+            color: '#2563eb',
+            description: '빈도·미출현·균형 조합과, 빈도 상위·장기 미출현·최근 상위 번호를 섞은 조합',
+            params: [
+                { key: 'hotCount', label: '빈도 상위 번호 수', type: 'number', default: 2, min: 0, max: 6, step: 1 },
+                { key: 'dueCount', label: '장기 미출현 번호 수', type: 'number', default: 2, min: 0, max: 6, step: 1 }
+            ],
+            generate: (analyzer, params, rng, context) => {
+                const results = [frequency, gap, balanced].flatMap(strategy => {
+                    const defaults = {};
+                    strategy.params.forEach(param => {
+                        defaults[param.key] = param.default;
+                    });
+                    return strategy.generate(analyzer, defaults, rng, context)
+                        .map(rec => Object.assign({ type: strategy.type || strategy.id }, rec));
+                });
+
+                const mixedNumbers = [];
+                const addAll = (numbers) => numbers.forEach(num => {
+                    if (mixedNumbers.length < 6 && !mixedNumbers.includes(num)) {
+                        mixedNumbers.push(num);
+                    }
+                });
+                addAll(toNumbers(context.frequency().hotNumbers.slice(0, params.hotCount)));
+                addAll(toNumbers(context.cycle().topGap.slice(0, params.dueCount)));
+                // 나머지는 최근 상위 번호로, 그래도 모자라면 전체 빈도 순으로 채운다
+                addAll(toNumbers(context.recent().hotNumbers));
+                addAll(toNumbers(context.frequency().sorted));
+
+                results.push({ name: '혼합 전략', numbers: mixedNumbers });
+                return results;
+            }
+        };
+
+        const weighted = {
+            id: 'weighted',
+            label: '가중 확률 샘플링',
+            color: '#0ea5e9',
+            description: '빈도·최근 빈도·미출현 점수로 만든 가중치에 따라 서로 다른 조합을 추출',
+            params: [
+                { key: 'temperature', label: '온도 (0 = 점수 순, 클수록 균등)', type: 'number', default: 1, min: 0, max: 100, step: 0.1 },
+                { key: 'frequencyWeight', label: '빈도 가중', type: 'number', default: 1, min: -3, max: 3, step: 0.5 },
+                { key: 'recentWeight', label: '최근 빈도 가중', type: 'number', default: 1, min: -3, max: 3, step: 0.5 },
+                { key: 'cycleWeight', label: '미출현 가중', type: 'number', default: 1, min: -3, max: 3, step: 0.5 },
+                { key: 'recentDraws', label: '최근 회차 수', type: 'number', default: 30, min: 5, max: 300, step: 1 }
+            ],
+            generate: (analyzer, params, rng, context) => {
+                const sampling = analyzer.samplingWeights(Object.assign({ range: context.range }, params));
+                const weightOf = {};
+                sampling.numbers.forEach(item => {
+                    weightOf[item.number] = item.weight;
+                });
+
+                return analyzer.sampleWeightedCombinations(sampling, context.count || 5, rng).map((numbers, index) => ({
+                    name: `가중 샘플 ${index + 1}`,
+                    numbers: numbers,
+                    details: {
+                        weights: numbers.map(num => ({ number: num, weight: weightOf[num] })),
+                        temperature: sampling.temperature
+                    }
+                }));
+            }
+        };
+
+        return [mixed, frequency, gap, balanced, pair, weighted];
+    }
+
+    /**
+     * 전략 등록 (같은 ID가 있으면 교체)
+     * @param {Object} strategy - 전략 객체
+     * @returns {LottoStrategyRegistry} 체이닝용
+     */
+    register(strategy) {
+        if (!strategy || typeof strategy.id !== 'string' || !/^[A-Za-z0-9_-]+$/.test(strategy.id)) {
+            throw new Error('전략 ID는 영문, 숫자, -, _ 로 된 문자열이어야 합니다.');
+        }
+        if (typeof strategy.generate !== 'function') {
+            throw new Error(`'${strategy.id}' 전략에 generate 함수가 없습니다.`);
+        }
+
+        const params = Array.isArray(strategy.params) ? strategy.params : [];
+        params.forEach(param => {
+            if (!param.key || !['number', 'select', 'boolean'].includes(param.type)) {
+                throw new Error(`'${strategy.id}' 전략의 파라미터 정의가 올바르지 않습니다: ${param.key}`);
+            }
+            if (param.type === 'select' && (!Array.isArray(param.options) || param.options.length === 0)) {
+                throw new Error(`'${strategy.id}' 전략의 ${param.key} 파라미터에 선택지가 없습니다.`);
+            }
+        });
+
+        this.strategies.set(strategy.id, Object.assign({}, strategy, {
+            label: strategy.label || strategy.id,
+            type: strategy.type || strategy.id,
+            params: params,
+            builtin: Boolean(strategy.builtin)
+        }));
+        this.notify();
+        return this;
+    }
+
+    /**
+     * 전략 삭제
+     * @param {string} id - 전략 ID
+     */
+    unregister(id) {
+        const removed = this.strategies.delete(id);
+        if (removed) {
+            this.notify();
+        }
+        return removed;
+    }
+
+    /**
+     * 전략 목록이 바뀔 때 호출할 함수 등록
+     * @param {Function} listener - 콜백 (레지스트리를 인자로 받음)
+     * @returns {Function} 등록 해제 함수
+     */
+    onChange(listener) {
+        this.listeners.push(listener);
+        return () => {
+            this.listeners = this.listeners.filter(item => item !== listener);
+        };
+    }
+
+    /**
+     * 변경 알림
+     */
+    notify() {
+        this.listeners.forEach(listener => listener(this));
+    }
+
+    /**
+     * 전략 존재 여부
+     * @param {string} id - 전략 ID
+     */
+    has(id) {
+        return this.strategies.has(id);
+    }
+
+    /**
+     * 전략 조회
+     * @param {string} id - 전략 ID
+     */
+    get(id) {
+        const strategy = this.strategies.get(id);
+        if (!strategy) {
+            throw new Error(`알 수 없는 추천 전략입니다: ${id}`);
+        }
+        return strategy;
+    }
+
+    /**
+     * 등록된 전략 목록 (함수를 뺀 직렬화 가능한 정보)
+     * @returns {Array} [{ id, label, color, type, description, params, builtin }]
+     */
+    list() {
+        return [...this.strategies.values()].map(strategy => ({
+            id: strategy.id,
+            label: strategy.label,
+            color: strategy.color || null,
+            type: strategy.type,
+            description: strategy.description || '',
+            params: strategy.params.map(param => Object.assign({}, param)),
+            builtin: strategy.builtin
+        }));
+    }
+
+    /**
+     * 추천 타입의 색상 (해당 타입을 만드는 전략의 color)
+     * @param {string} type - 추천 타입
+     * @returns {string|null} 색상 (없으면 null)
+     */
+    getColor(type) {
+        for (const strategy of this.strategies.values()) {
+            if ((strategy.type === type || strategy.id === type) && strategy.color) {
+                return strategy.color;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * 파라미터 기본값 적용 및 검증
+     * @param {string} id - 전략 ID
+     * @param {Object} params - 입력 파라미터 (문자열 값 허용)
+     * @returns {Object} 스키마 타입으로 변환된 파라미터
+     */
+    normalizeParams(id, params = {}) {
+        const strategy = this.get(id);
+        const normalized = {};
+
+        strategy.params.forEach(param => {
+            const raw = params[param.key];
+            const missing = raw === undefined || raw === null || raw === '';
+
+            if (param.type === 'number') {
+                const value = missing ? param.default : Number(raw);
+                if (!Number.isFinite(value) ||
+                    (param.min !== undefined && value < param.min) ||
+                    (param.max !== undefined && value > param.max) ||
+                    (Number.isInteger(param.step) && !Number.isInteger(value))) {
+                    throw new Error(`${strategy.label}: ${param.label || param.key} 값이 올바르지 않습니다 (${param.min} ~ ${param.max}): ${raw}`);
+                }
+                normalized[param.key] = value;
+            } else if (param.type === 'select') {
+                const value = missing ? param.default : raw;
+                const option = param.options.find(item => String(item.value) === String(value));
+                if (!option) {
+                    throw new Error(`${strategy.label}: ${param.label || param.key} 값이 올바르지 않습니다: ${raw}`);
+                }
+                normalized[param.key] = option.value;
+            } else {
+                normalized[param.key] = missing ? Boolean(param.default) : raw === true || raw === 'true';
+            }
+        });
+
+        return normalized;
+    }
+
+    /**
+     * 전략 실행 및 결과 검증
+     * @param {string} id - 전략 ID
+     * @param {LottoAnalyzer} analyzer - 분석기
+     * @param {Object} params - 파라미터
+     * @param {LottoRandom} rng - 난수 생성기
+     * @param {Object} context - 분석 구간과 분석 결과 캐시
+     * @returns {Array} [{ name, type, strategy, numbers, details? }]
+     */
+    run(id, analyzer, params, rng, context) {
+        const strategy = this.get(id);
+        const results = strategy.generate(analyzer, this.normalizeParams(id, params), rng, context);
+        if (!Array.isArray(results)) {
+            throw new Error(`'${id}' 전략이 조합 배열을 반환하지 않았습니다.`);
+        }
+
+        return results.map((rec, index) => {
+            const numbers = Array.isArray(rec.numbers) ? rec.numbers.map(Number) : [];
+            const unique = new Set(numbers);
+            if (numbers.length !== 6 || unique.size !== 6 || numbers.some(n => !Number.isInteger(n) || n < 1 || n > 45)) {
+                throw new Error(`'${id}' 전략이 올바르지 않은 번호를 반환했습니다: ${rec.numbers}`);
+            }
+
+            const result = {
+                name: rec.name || `${strategy.label} ${index + 1}`,
+                type: rec.type || strategy.type,
+                strategy: id,
+                numbers: analyzer.sortNumbers(numbers)
+            };
+            if (rec.details) {
+                result.details = rec.details;
+            }
+            return result;
+        });
+    }
+}
+
+LottoStrategyRegistry.defaultRegistry = null;
+
+// 전역 변수로 사용할 수 있도록 내보내기
+if (typeof window !== 'undefined') {
+    window.LottoStrategyRegistry = LottoStrategyRegistry;
+}
+
+// Node.js(CommonJS)에서 사용할 수 있도록 내보내기
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = LottoStrategyRegistry;
+}
@@ -0,0 +1,155 @@
+/**
+ * 로또 티켓 당첨 확인 JavaScript 라이브러리
+ * 보유 티켓을 과거 회차 결과와 대조하여 등수와 예상 당첨금을 계산
+ */
+
+/**
+ * 티켓 당첨 확인 클래스
+ * LottoAnalyzer에 로드된 회차 데이터를 기준으로 채점한다.
+ */
+class LottoTicketChecker {
+    constructor(analyzer) {
+        this.analyzer = analyzer;
+    }
+
+    /**
+     * 티켓 유효성 검사
+     * @param {Array} numbers - 티켓 번호
+     * @throws {Error} 6개의 서로 다른 1~45 번호가 아닐 때
+     */
+    validateTicket(numbers) {
+        if (!Array.isArray(numbers) || numbers.length !== 6) {
+            throw new Error(`티켓은 6개의 번호로 구성되어야 합니다: ${numbers}`);
+        }
+
+        for (const num of numbers) {
+            if (!Number.isInteger(num) || num < 1 || num > 45) {
+                throw new Error(`유효하지 않은 번호가 있습니다: ${num}`);
+            }
+        }
+
+        if (new Set(numbers).size !== 6) {
+            throw new Error(`중복된 번호가 있습니다: ${numbers.join(', ')}`);
+        }
+    }
+
+    /**
+     * 입력 텍스트에서 티켓 추출 (한 줄에 한 티켓, 공백/쉼표 구분)
+     * @param {string} text - 입력 텍스트
+     * @returns {Object} 파싱된 티켓 목록과 줄별 오류
+     */
+    parseTickets(text) {
+        const tickets = [];
+        const errors = [];
+
+        text.split(/\r?\n/).forEach((line, index) => {
+            const trimmed = line.trim();
+            if (trimmed === '') {
+                return;
+            }
+
+            const numbers = trimmed.split(/[\s,]+/).filter(s => s !== '').map(Number);
+            try {
+                this.validateTicket(numbers);
+                tickets.push(this.analyzer.sortNumbers(numbers));
+            } catch (error) {
+                errors.push({ line: index + 1, message: error.message });
+            }
+        });
+
+        return { tickets, errors };
+    }
+
+    /**
+     * 회차 번호로 데이터 검색
+     * @param {number} drawNo - 회차 번호
+     */
+    findDraw(drawNo) {
+        return this.analyzer.data.find(d => d.draw_no === drawNo) || null;
+    }
+
+    /**
+     * 단일 회차 채점
+     * @param {Array} tickets - 티켓 배열
+     * @param {Object} draw - 회차 데이터
+     */
+    checkDraw(tickets, draw) {
+        const prizes = this.analyzer.estimatePrizeAmounts(draw);
+
+        return {
+            drawNo: draw.draw_no,
+            drawDate: draw.draw_date,
+            winningNumbers: [draw.num1, draw.num2, draw.num3, draw.num4, draw.num5, draw.num6],
+            bonus: draw.bonus,
+            tickets: tickets.map(numbers => {
+                const result = this.analyzer.getPrizeRank(numbers, draw);
+                return {
+                    numbers: numbers,
+                    matched: result.matched,
+                    matchCount: result.matchCount,
+                    bonusMatch: result.bonusMatch,
+                    rank: result.rank,
+                    prize: result.rank > 0 ? prizes[result.rank] : 0
+                };
+            })
+        };
+    }
+
+    /**
+     * 티켓 당첨 확인
+     * @param {Array} tickets - 6개 번호 티켓 배열
+     * @param {Object} options - { drawNo } 또는 { fromDraw, toDraw }
+     * @returns {Object} 회차별 채점 결과와 합계
+     */
+    checkTickets(tickets, options = {}) {
+        if (this.analyzer.data.length === 0) {
+            throw new Error('회차 데이터가 로드되지 않았습니다.');
+        }
+
+        tickets.forEach(numbers => this.validateTicket(numbers));
+
+        const latestDraw = this.analyzer.data[this.analyzer.data.length - 1].draw_no;
+        const fromDraw = options.fromDraw || options.drawNo || options.toDraw || latestDraw;
+        const toDraw = options.toDraw || options.drawNo || fromDraw;
+
+        if (fromDraw > toDraw) {
+            throw new Error(`회차 범위가 올바르지 않습니다: ${fromDraw} ~ ${toDraw}`);
+        }
+
+        const draws = this.analyzer.data.filter(d => d.draw_no >= fromDraw && d.draw_no <= toDraw);
+        if (draws.length === 0) {
+            throw new Error(`해당 회차 데이터가 없습니다: ${fromDraw} ~ ${toDraw}`);
+        }
+
+        const results = draws.map(draw => this.checkDraw(tickets, draw));
+
+        const rankCounts = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 };
+        let totalPrize = 0;
+        for (let result of results) {
+            for (let ticket of result.tickets) {
+                if (ticket.rank > 0) {
+                    rankCounts[ticket.rank]++;
+                    totalPrize += ticket.prize;
+                }
+            }
+        }
+
+        return {
+            fromDraw: fromDraw,
+            toDraw: toDraw,
+            results: results,
+            rankCounts: rankCounts,
+            totalPrize: totalPrize
+        };
+    }
+}
+
+// 전역 변수로 사용할 수 있도록 내보내기
+if (typeof window !== 'undefined') {
+    window.LottoTicketChecker = LottoTicketChecker;
+}
+
+// Node.js(CommonJS)에서 사용할 수 있도록 내보내기
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = LottoTicketChecker;
+}
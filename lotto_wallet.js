@@ -0,0 +1,283 @@
+/**
+ * 로또 "내 티켓" 지갑 JavaScript 라이브러리
+ * 구매했거나 추천받은 조합을 대상 회차와 함께 저장하고, 해당 회차 결과가 로드되면 자동으로 채점
+ */
+
+// 의존 모듈: 브라우저·워커에서는 먼저 로드된 전역 클래스를, Node.js에서는 require로 불러온 모듈을 쓴다.
+const walletDeps = typeof module !== 'undefined' && module.exports
+    ? { LottoTicketChecker: require('./lotto_ticket_checker.js') }
+    : { LottoTicketChecker };
+
+/**
+ * 티켓 지갑 클래스
+ * 저장소(LottoStorage)를 주면 변경할 때마다 저장하고, 없으면 메모리에만 보관한다.
+ */
+class LottoWallet {
+    /**
+     * @param {LottoAnalyzer} analyzer - 회차 데이터가 로드된 분석기
+     * @param {LottoStorage} storage - 저장소 (선택)
+     */
+    constructor(analyzer, storage = null) {
+        this.analyzer = analyzer;
+        this.storage = storage;
+        this.checker = new walletDeps.LottoTicketChecker(analyzer);
+        this.storageKey = 'wallet';
+        this.tickets = [];
+        this.loadPromise = null;
+        this.demo = false; // 데모(가상) 데이터가 로드된 동안에는 티켓을 추가하거나 채점하지 않는다
+    }
+
+    /**
+     * 데모 데이터 사용 여부 설정
+     * 데모 회차 번호는 실제 회차와 겹치므로, 데모 결과로 채점하면 실제 티켓이 잘못된 결과로 저장된다.
+     * @param {boolean} demo - 데모 데이터 여부
+     */
+    setDemoMode(demo) {
+        this.demo = Boolean(demo);
+    }
+
+    /**
+     * 저장된 티켓 불러오기 (여러 번 호출해도 한 번만 읽고, 읽기에 실패하면 다음 호출에서 다시 시도한다)
+     */
+    load() {
+        if (!this.loadPromise) {
+            this.loadPromise = (async () => {
+                if (!this.storage) {
+                    return this.tickets;
+                }
+                const saved = await this.storage.get(this.storageKey);
+                this.tickets = saved && Array.isArray(saved.tickets) ? saved.tickets : [];
+                return this.tickets;
+            })();
+            this.loadPromise.catch(() => {
+                this.loadPromise = null;
+            });
+        }
+        return this.loadPromise;
+    }
+
+    /**
+     * 현재 티켓 저장
+     */
+    async save() {
+        if (this.storage) {
+            await this.storage.set(this.storageKey, { tickets: this.tickets, updatedAt: Date.now() });
+        }
+    }
+
+    /**
+     * 다음 추첨 회차 (기본 대상 회차)
+     */
+    getNextDrawNo() {
+        const data = this.analyzer.data;
+        return data.length > 0 ? data[data.length - 1].draw_no + 1 : 1;
+    }
+
+    /**
+     * 티켓 추가
+     * @param {Array} tickets - 6개 번호 티켓 배열
+     * @param {Object} options - { drawNo, source, label, seed }
+     * @returns {Promise<Array>} 추가된 티켓 (이미 결과가 있는 회차면 바로 채점됨)
+     */
+    async addTickets(tickets, options = {}) {
+        const {
+            drawNo = this.getNextDrawNo(),
+            source = 'manual',
+            label = '',
+            seed = null
+        } = options;
+
+        const targetDraw = parseInt(drawNo);
+        if (!Number.isInteger(targetDraw) || targetDraw < 1) {
+            throw new Error(`대상 회차가 올바르지 않습니다: ${drawNo}`);
+        }
+        if (!Array.isArray(tickets) || tickets.length === 0) {
+            throw new Error('지갑에 추가할 티켓이 없습니다.');
+        }
+        tickets.forEach(numbers => this.checker.validateTicket(numbers));
+        if (this.demo) {
+            throw new Error('데모 데이터를 사용하는 동안에는 지갑에 티켓을 추가할 수 없습니다. 실제 당첨번호 데이터를 로드해주세요.');
+        }
+
+        await this.load();
+        const addedAt = Date.now();
+        const added = tickets.map((numbers, index) => ({
+            id: `${addedAt}-${this.tickets.length + index}`,
+            numbers: this.analyzer.sortNumbers(numbers),
+            drawNo: targetDraw,
+            price: this.analyzer.getTicketPrice(targetDraw),
+            source: source,
+            label: Array.isArray(label) ? label[index] || '' : label,
+            seed: seed,
+            addedAt: addedAt,
+            result: null
+        }));
+
+        this.tickets.push(...added);
+        this.scorePending();
+        await this.save();
+        return added;
+    }
+
+    /**
+     * 티켓 삭제
+     * @param {string} id - 티켓 ID
+     */
+    async removeTicket(id) {
+        await this.load();
+        this.tickets = this.tickets.filter(ticket => ticket.id !== id);
+        await this.save();
+    }
+
+    /**
+     * 모든 티켓 삭제
+     */
+    async clear() {
+        await this.load();
+        this.tickets = [];
+        await this.save();
+    }
+
+    /**
+     * 채점에 사용한 회차 결과 식별값 (추첨일·당첨번호·보너스)
+     * @param {Object} draw - 회차 데이터
+     */
+    getDrawKey(draw) {
+        return [draw.draw_date, draw.num1, draw.num2, draw.num3, draw.num4, draw.num5, draw.num6, draw.bonus].join('|');
+    }
+
+    /**
+     * 결과가 로드된 회차의 티켓 채점 (저장은 호출한 쪽에서 한다)
+     * 아직 채점하지 않았거나, 채점 후 해당 회차 데이터가 바뀐 티켓을 다시 채점한다.
+     * @returns {Array} 이번에 채점된 티켓
+     */
+    scorePending() {
+        if (this.demo) {
+            return [];
+        }
+
+        const draws = new Map(this.analyzer.data.map(d => [d.draw_no, d]));
+        const scored = [];
+
+        this.tickets.forEach(ticket => {
+            const draw = draws.get(ticket.drawNo);
+            if (!draw) {
+                return;
+            }
+            const drawKey = this.getDrawKey(draw);
+            if (ticket.result && ticket.result.drawKey === drawKey) {
+                return;
+            }
+
+            const prizes = this.analyzer.estimatePrizeAmounts(draw);
+            const rank = this.analyzer.getPrizeRank(ticket.numbers, draw);
+            ticket.result = {
+                matched: rank.matched,
+                matchCount: rank.matchCount,
+                bonusMatch: rank.bonusMatch,
+                rank: rank.rank,
+                prize: rank.rank > 0 ? prizes[rank.rank] : 0,
+                drawKey: drawKey,
+                checkedAt: Date.now()
+            };
+            scored.push(ticket);
+        });
+
+        return scored;
+    }
+
+    /**
+     * 새 회차 데이터가 로드된 뒤 지갑 갱신
+     * @returns {Promise<Array>} 이번에 채점된 티켓
+     */
+    async refresh() {
+        await this.load();
+        const scored = this.scorePending();
+        if (scored.length > 0) {
+            await this.save();
+        }
+        return scored;
+    }
+
+    /**
+     * 지갑 요약: 누적 구매액·당첨금, 최고 성적, 회차별 기록
+     * @returns {Object} { totalTickets, pending, totalSpent, totalWon, net, roi, rankCounts, best, history }
+     */
+    getSummary() {
+        const byDraw = new Map();
+        const rankCounts = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 };
+        let best = null;
+
+        this.tickets.forEach(ticket => {
+            const entry = byDraw.get(ticket.drawNo) || { drawNo: ticket.drawNo, tickets: 0, pending: 0, spent: 0, won: 0, bestRank: 0 };
+            entry.tickets++;
+            entry.spent += ticket.price;
+
+            if (!ticket.result) {
+                entry.pending++;
+            } else {
+                entry.won += ticket.result.prize;
+                if (ticket.result.rank > 0) {
+                    rankCounts[ticket.result.rank]++;
+                    if (entry.bestRank === 0 || ticket.result.rank < entry.bestRank) {
+                        entry.bestRank = ticket.result.rank;
+                    }
+                }
+
+                // 최고 성적: 등수가 높을수록, 같은 등수(또는 낙첨)면 일치 개수가 많을수록
+                if (!best || this.compareResults(ticket.result, best.result) < 0) {
+                    best = ticket;
+                }
+            }
+            byDraw.set(ticket.drawNo, entry);
+        });
+
+        // 회차 순 누적 기록
+        let cumulativeSpent = 0;
+        let cumulativeWon = 0;
+        const history = [...byDraw.values()]
+            .sort((a, b) => a.drawNo - b.drawNo)
+            .map(entry => {
+                cumulativeSpent += entry.spent;
+                cumulativeWon += entry.won;
+                return Object.assign(entry, { cumulativeSpent, cumulativeWon });
+            });
+
+        const totalSpent = cumulativeSpent;
+        const totalWon = cumulativeWon;
+        return {
+            totalTickets: this.tickets.length,
+            pending: this.tickets.filter(ticket => !ticket.result).length,
+            totalSpent: totalSpent,
+            totalWon: totalWon,
+            net: totalWon - totalSpent,
+            roi: totalSpent > 0 ? (totalWon - totalSpent) / totalSpent * 100 : 0,
+            rankCounts: rankCounts,
+            best: best,
+            history: history
+        };
+    }
+
+    /**
+     * 채점 결과 비교 (a가 더 좋으면 음수)
+     * @param {Object} a - 채점 결과
+     * @param {Object} b - 채점 결과
+     */
+    compareResults(a, b) {
+        const rankOrder = (result) => result.rank > 0 ? result.rank : 6;
+        if (rankOrder(a) !== rankOrder(b)) {
+            return rankOrder(a) - rankOrder(b);
+        }
+        return b.matchCount - a.matchCount;
+    }
+}
+
+// 전역 변수로 사용할 수 있도록 내보내기
+if (typeof window !== 'undefined') {
+    window.LottoWallet = LottoWallet;
+}
+
+// Node.js(CommonJS)에서 사용할 수 있도록 내보내기
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = LottoWallet;
+}
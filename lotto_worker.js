@@ -0,0 +1,84 @@
+/**
+ * 로또 분석 Web Worker
+ * 분석 작업을 백그라운드 스레드에서 실행하여 UI가 멈추지 않도록 함
+ *
+ * 요청 메시지
+ *   { id, type: 'load', data }
+ *   { id, type: 'run', service, method, args, progress }
+ * 응답 메시지
+ *   { id, type: 'progress', progress: { done, total } }
+ *   { id, type: 'result', result }
+ *   { id, type: 'error', error }
+ *
+ * 작업 취소는 메인 스레드의 LottoWorkerClient가 워커를 종료하고 재시작하는 방식으로 처리한다.
+ */
+
+importScripts(
+    'lotto_stats.js',
+    'lotto_random.js',
+    'lotto_popularity.js',
+    'lotto_strategies.js',
+    'lotto_analysis.js',
+    'lotto_ticket_checker.js',
+    'lotto_backtest.js',
+    'lotto_generator.js',
+    'lotto_odds.js',
+    'lotto_simulation.js'
+);
+
+const analyzer = new LottoAnalyzer();
+const services = {
+    analyzer: analyzer,
+    ticketChecker: new LottoTicketChecker(analyzer),
+    backtester: new LottoBacktester(analyzer),
+    generator: new LottoCombinationGenerator(analyzer),
+    odds: new LottoOddsCalculator(analyzer),
+    simulator: new LottoSimulator(analyzer)
+};
+
+/**
+ * 서비스 메서드 실행
+ * progress 요청 시 마지막 옵션 인자에 onProgress 콜백을 주입한다.
+ * @param {Object} message - 실행 요청 메시지
+ */
+function runServiceMethod(message) {
+    const { id, service, method, progress } = message;
+    const target = services[service];
+
+    if (!target || typeof target[method] !== 'function') {
+        throw new Error(`알 수 없는 작업입니다: ${service}.${method}`);
+    }
+
+    const args = Array.isArray(message.args) ? [...message.args] : [];
+    if (progress) {
+        const last = args[args.length - 1];
+        const options = (last && typeof last === 'object' && !Array.isArray(last)) ? args.pop() : {};
+        args.push(Object.assign({}, options, {
+            onProgress: (done, total) => {
+                self.postMessage({ id, type: 'progress', progress: { done, total } });
+            }
+        }));
+    }
+
+    return target[method](...args);
+}
+
+self.onmessage = (event) => {
+    const message = event.data;
+
+    try {
+        let result;
+        if (message.type === 'load') {
+            analyzer.loadData(message.data);
+            result = analyzer.getDataSummary();
+        } else if (message.type === 'run') {
+            result = runServiceMethod(message);
+        } else {
+            throw new Error(`알 수 없는 메시지 타입입니다: ${message.type}`);
+        }
+
+        self.postMessage({ id: message.id, type: 'result', result });
+    } catch (error) {
+        self.postMessage({ id: message.id, type: 'error', error: error.message });
+    }
+};
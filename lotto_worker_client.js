@@ -0,0 +1,220 @@
+/**
+ * 로또 분석 Web Worker 클라이언트 JavaScript 라이브러리
+ * lotto_worker.js와의 메시지 프로토콜을 Promise 기반 API로 감싼다.
+ */
+
+/**
+ * 분석 워커 클라이언트 클래스
+ * Worker를 사용할 수 없는 환경(file:// 등)에서는 메인 스레드 서비스로 대신 실행한다.
+ */
+class LottoWorkerClient {
+    /**
+     * @param {Object} localServices - 워커 미지원 시 사용할 서비스 ({ analyzer, ... })
+     * @param {string} scriptUrl - 워커 스크립트 경로
+     */
+    constructor(localServices, scriptUrl = 'lotto_worker.js') {
+        this.localServices = localServices;
+        this.scriptUrl = scriptUrl;
+        this.worker = null;
+        this.pending = new Map();
+        this.nextId = 1;
+        this.data = null;
+
+        this.startWorker();
+    }
+
+    /**
+     * 워커 시작 (실패 시 메인 스레드 모드)
+     */
+    startWorker() {
+        if (typeof Worker === 'undefined') {
+            console.warn('Web Worker를 지원하지 않아 메인 스레드에서 분석을 실행합니다.');
+            return;
+        }
+
+        try {
+            this.worker = new Worker(this.scriptUrl);
+            this.worker.onmessage = (event) => this.handleMessage(event.data);
+            this.worker.onerror = (event) => {
+                console.warn(`분석 워커 오류: ${event.message}`);
+                event.preventDefault();
+                this.fallbackToMainThread();
+            };
+        } catch (error) {
+            console.warn(`분석 워커를 시작할 수 없어 메인 스레드에서 실행합니다: ${error.message}`);
+            this.worker = null;
+        }
+    }
+
+    /**
+     * 워커 스크립트 로드 실패 시 대기 중인 작업을 메인 스레드에서 재실행
+     */
+    fallbackToMainThread() {
+        if (this.worker) {
+            this.worker.terminate();
+            this.worker = null;
+        }
+
+        if (this.data) {
+            this.localServices.analyzer.loadData(this.data);
+        }
+
+        const jobs = [...this.pending.values()];
+        this.pending.clear();
+        jobs.forEach(job => this.runLocal(job));
+    }
+
+    /**
+     * 워커 응답 처리
+     * @param {Object} message - 응답 메시지
+     */
+    handleMessage(message) {
+        const job = this.pending.get(message.id);
+        if (!job) {
+            return; // 취소된 작업의 응답
+        }
+
+        if (message.type === 'progress') {
+            if (job.onProgress) {
+                job.onProgress(message.progress.done, message.progress.total);
+            }
+            return;
+        }
+
+        this.pending.delete(message.id);
+        if (message.type === 'result') {
+            job.resolve(message.result);
+        } else {
+            job.reject(new Error(message.error));
+        }
+    }
+
+    /**
+     * 요청 전송
+     * @param {Object} message - 요청 메시지 (id 제외)
+     * @param {Function} onProgress - 진행률 콜백
+     * @param {boolean} local - 워커가 있어도 메인 스레드에서 실행
+     * @returns {Promise} 결과 Promise (promise.jobId에 요청 ID)
+     */
+    request(message, onProgress = null, local = false) {
+        const id = this.nextId++;
+        let job;
+
+        const promise = new Promise((resolve, reject) => {
+            job = { id, message: Object.assign({ id }, message), onProgress, resolve, reject };
+        });
+        promise.jobId = id;
+
+        if (this.worker && !local) {
+            this.pending.set(id, job);
+            this.worker.postMessage(job.message);
+        } else {
+            this.runLocal(job);
+        }
+
+        return promise;
+    }
+
+    /**
+     * 메인 스레드에서 작업 실행
+     * @param {Object} job - 작업 정보
+     */
+    runLocal(job) {
+        const { message } = job;
+
+        try {
+            if (message.type === 'load') {
+                this.localServices.analyzer.loadData(message.data);
+                job.resolve(this.localServices.analyzer.getDataSummary());
+                return;
+            }
+
+            const target = this.localServices[message.service];
+            if (!target || typeof target[message.method] !== 'function') {
+                throw new Error(`알 수 없는 작업입니다: ${message.service}.${message.method}`);
+            }
+
+            const args = [...message.args];
+            if (job.onProgress) {
+                const last = args[args.length - 1];
+                const options = (last && typeof last === 'object' && !Array.isArray(last)) ? args.pop() : {};
+                args.push(Object.assign({}, options, { onProgress: job.onProgress }));
+            }
+
+            job.resolve(target[message.method](...args));
+        } catch (error) {
+            job.reject(error);
+        }
+    }
+
+    /**
+     * 워커에 데이터 로드
+     * @param {Array} data - 로또 데이터 배열
+     */
+    load(data) {
+        this.data = data;
+        return this.request({ type: 'load', data });
+    }
+
+    /**
+     * 서비스 메서드 실행
+     * @param {string} service - 서비스 이름 (analyzer, backtester, ticketChecker)
+     * @param {string} method - 메서드 이름
+     * @param {Array} args - 인자 배열
+     * @param {Object} options - { onProgress, local } local이면 메인 스레드에서 실행 (워커로 보낼 수 없는 사용자 전략 등)
+     */
+    run(service, method, args = [], options = {}) {
+        return this.request(
+            { type: 'run', service, method, args, progress: Boolean(options.onProgress) },
+            options.onProgress || null,
+            Boolean(options.local)
+        );
+    }
+
+    /**
+     * 작업 취소
+     * 실행 중인 작업은 워커를 재시작하여 중단하고, 남은 작업은 새 워커로 다시 보낸다.
+     * @param {number} id - 요청 ID (생략 시 모든 작업 취소)
+     */
+    cancel(id) {
+        const ids = id === undefined ? [...this.pending.keys()] : [id];
+        const runningId = this.pending.keys().next().value;
+
+        ids.forEach(jobId => {
+            const job = this.pending.get(jobId);
+            if (job) {
+                this.pending.delete(jobId);
+                const error = new Error('작업이 취소되었습니다.');
+                error.cancelled = true;
+                job.reject(error);
+            }
+        });
+
+        if (this.worker && ids.includes(runningId)) {
+            this.restartWorker();
+        }
+    }
+
+    /**
+     * 워커 재시작 후 데이터와 대기 중인 작업 재전송
+     */
+    restartWorker() {
+        this.worker.terminate();
+        this.startWorker();
+
+        if (!this.worker) {
+            this.fallbackToMainThread();
+            return;
+        }
+
+        if (this.data) {
+            this.worker.postMessage({ id: 0, type: 'load', data: this.data });
+        }
+        this.pending.forEach(job => this.worker.postMessage(job.message));
+    }
+}
+
+// 전역 변수로 사용할 수 있도록 내보내기
+if (typeof window !== 'undefined') {
+    window.LottoWorkerClient = LottoWorkerClient;
+}